@@ -0,0 +1,52 @@
+'use strict';
+
+import { v4 as uuidv4 } from 'uuid';
+import { normalizeAlertsFromDetails } from './normalize.js';
+import { insertNewAlerts, markAlertsPosted } from './db.js';
+import { buildCorePayload, postToCoreIngestAsync } from './coreIngest.js';
+import { postAlert } from './bubble.js';
+
+/**
+ * Forward alerts that have not been posted before (deduped by acknowledgeRef)
+ * to Core and Bubble as ALERT events. Filter reminders are flagged with
+ * isFilterReminder so the filter product can pick them up. An alert counts
+ * as posted once Core accepts it, so a failed post is retried next pass.
+ * Only call with details fetched using { includeAlerts: true }.
+ *
+ * @param {object} args - { user_id, hvac_id }
+ * @param {object} details - response body from fetchThermostatDetails()
+ * @param {object} [options] - { baseline }: record the current alerts as seen without posting
+ *   (first pass for a thermostat, whose existing alerts aren't news)
+ * @returns {Promise<{ seen: number, posted: number }>}
+ */
+export async function handleAlerts({ user_id, hvac_id }, details, { baseline = false } = {}) {
+  const alerts = normalizeAlertsFromDetails(details);
+  if (!alerts.length) return { seen: 0, posted: 0 };
+
+  const fresh = await insertNewAlerts(hvac_id, alerts, { posted: baseline });
+  if (!fresh.length) return { seen: alerts.length, posted: 0 };
+
+  const payloads = fresh.map((alert) =>
+    buildCorePayload({
+      deviceKey: hvac_id,
+      userId: user_id,
+      eventType: 'ALERT',
+      isReachable: true,
+      alert,
+      observedAt: new Date(),
+      sourceEventId: uuidv4(),
+      payloadRaw: alert
+    })
+  );
+  await postToCoreIngestAsync(payloads, 'alert');
+  await markAlertsPosted(hvac_id, fresh.map((a) => a.acknowledgeRef));
+
+  for (const alert of fresh) {
+    console.log(`[${hvac_id}] 🚨 ${alert.category} alert: ${alert.text || alert.notificationType}`);
+    await postAlert({ userId: user_id, hvac_id, alert }).catch((e) =>
+      console.error(`[${hvac_id}] Failed to post alert to Bubble:`, e.message)
+    );
+  }
+
+  return { seen: alerts.length, posted: fresh.length };
+}
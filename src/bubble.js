@@ -63,3 +63,53 @@ export async function postConnectivityChange({ userId, hvac_id, isReachable, rea
   
   await postToBubble(payload, "connectivity");
 }
+
+export async function postReauthRequired({ userId, hvac_id, reason }) {
+  const payload = {
+    userId,
+    hvacId: hvac_id,
+    thermostatName: null,
+    hvacMode: null,
+    equipmentStatus: "",
+    isCooling: false,
+    isHeating: false,
+    isFanOnly: false,
+    isRunning: false,
+    actualTemperatureF: null,
+    desiredHeatF: null,
+    desiredCoolF: null,
+    ok: false,
+    ts: nowUtc(),
+    eventType: "ReauthRequired",
+    reason
+  };
+
+  await postToBubble(payload, "reauth-required");
+}
+
+export async function postAlert({ userId, hvac_id, alert }) {
+  const payload = {
+    userId,
+    hvacId: hvac_id,
+    thermostatName: null,
+    hvacMode: null,
+    equipmentStatus: "",
+    isCooling: false,
+    isHeating: false,
+    isFanOnly: false,
+    isRunning: false,
+    actualTemperatureF: null,
+    desiredHeatF: null,
+    desiredCoolF: null,
+    ok: true,
+    ts: nowUtc(),
+    eventType: "Alert",
+    alertCategory: alert.category,
+    isFilterReminder: alert.isFilterReminder,
+    alertText: alert.text,
+    alertSeverity: alert.severity,
+    alertRef: alert.acknowledgeRef
+  };
+
+  await postToBubble(payload, "alert");
+}
@@ -1,14 +1,26 @@
+import os from "os";
+
 export const PORT = Number(process.env.PORT || 3000);
 
 export const BUBBLE_THERMOSTAT_UPDATES_URL = (process.env.BUBBLE_THERMOSTAT_UPDATES_URL || "").trim();
 export const CORE_INGEST_URL = (process.env.CORE_INGEST_URL || "https://core-ingest-ingest.up.railway.app").trim();
 
 export const ECOBEE_CLIENT_ID = (process.env.ECOBEE_CLIENT_ID || "").trim();
-export const ECOBEE_TOKEN_URL = "https://api.ecobee.com/token";
+// Point at a local mock (see src/mock/ecobeeMock.js) to run the pipeline offline
+export const ECOBEE_API_BASE_URL = (process.env.ECOBEE_API_BASE_URL || "https://api.ecobee.com").trim().replace(/\/+$/, "");
+export const ECOBEE_TOKEN_URL = `${ECOBEE_API_BASE_URL}/token`;
 
 export const POLL_INTERVAL_MS = Number(process.env.POLL_INTERVAL_MS || 60_000);
-export const ERROR_BACKOFF_MS = Number(process.env.ERROR_BACKOFF_MS || 120_000);
+// "interval" (fixed tick over all accounts) or "adaptive" (per-device timers from runtime hints)
+export const POLL_MODE = (process.env.POLL_MODE || "interval").trim().toLowerCase();
+// Per-device retry after a failed poll: base doubles per consecutive failure, up to the cap
+export const POLL_BACKOFF_BASE_MS = Math.max(1_000, Number(process.env.POLL_BACKOFF_BASE_MS || 30_000));
+export const POLL_BACKOFF_MAX_MS = Math.max(POLL_BACKOFF_BASE_MS, Number(process.env.POLL_BACKOFF_MAX_MS || 1_800_000));
 export const MAX_ACCUMULATE_SECONDS = Number(process.env.MAX_ACCUMULATE_SECONDS || 600);
+// Days of remote sensor history kept (each sensor's latest reading is always kept)
+export const SENSOR_READING_RETENTION_DAYS = Math.max(1, Number(process.env.SENSOR_READING_RETENTION_DAYS || 30));
+// IANA zone for daily runtime accounting when a thermostat's own zone isn't known
+export const DEFAULT_DEVICE_TIMEZONE = (process.env.DEFAULT_DEVICE_TIMEZONE || "UTC").trim();
 
 // Force post at least once every 12 hours, even if values haven't changed
 export const MAX_TIME_BETWEEN_POSTS_MS = Number(process.env.MAX_TIME_BETWEEN_POSTS_MS || 43_200_000); // 12 hours
@@ -18,6 +30,23 @@ export const REACHABILITY_STALE_MS = Math.max(60_000, Number(process.env.REACHAB
 export const CONNECTIVITY_CHECK_EVERY_MS = Math.max(15_000, Number(process.env.CONNECTIVITY_CHECK_EVERY_MS || 60_000));
 export const PUBLISH_CONNECTIVITY = process.env.PUBLISH_CONNECTIVITY === "0" ? false : true;
 
+// Ecobee request scheduler (shared by poller, adaptive poller and validation)
+export const ECOBEE_GLOBAL_REQUESTS_PER_SEC = Math.max(0.1, Number(process.env.ECOBEE_GLOBAL_REQUESTS_PER_SEC || 10));
+export const ECOBEE_ACCOUNT_REQUESTS_PER_MIN = Math.max(1, Number(process.env.ECOBEE_ACCOUNT_REQUESTS_PER_MIN || 30));
+
+// Consecutive Ecobee API failures (5xx, timeouts, network) across all requests that
+// mark a platform outage; stale devices are not flipped offline while it lasts
+export const ECOBEE_OUTAGE_FAILURE_THRESHOLD = Math.max(2, Number(process.env.ECOBEE_OUTAGE_FAILURE_THRESHOLD || 10));
+
+// Replica leasing: devices are split across instances; singleton jobs run on the leader
+export const INSTANCE_ID = (process.env.INSTANCE_ID || `${os.hostname()}:${process.pid}`).trim();
+export const LEASE_TTL_MS = Math.max(15_000, Number(process.env.LEASE_TTL_MS || 90_000));
+// Renew well inside the TTL so a slow cycle never lets a live replica's leases lapse
+export const LEASE_RENEW_MS = Math.min(Number(process.env.LEASE_RENEW_MS || 30_000), Math.floor(LEASE_TTL_MS / 3));
+
+// A claimed poll that never reports back (crash, hang) frees the device after this long
+export const POLL_CLAIM_TTL_MS = Math.max(60_000, Number(process.env.POLL_CLAIM_TTL_MS || 300_000));
+
 // Parallel processing
 export const POLL_CONCURRENCY = Math.max(1, Number(process.env.POLL_CONCURRENCY || 5));
 
@@ -31,3 +60,7 @@ export const DATABASE_URL = process.env.DATABASE_URL;
 export const PGSSLMODE = process.env.PGSSLMODE;
 
 export const CORE_API_KEY = (process.env.CORE_API_KEY || "").trim();
+
+// Token encryption at rest: "v1:<base64 32-byte key>,v2:<base64 32-byte key>"
+export const TOKEN_ENCRYPTION_KEYS = (process.env.TOKEN_ENCRYPTION_KEYS || "").trim();
+export const TOKEN_ENCRYPTION_KEY_VERSION = (process.env.TOKEN_ENCRYPTION_KEY_VERSION || "").trim();
@@ -7,6 +7,11 @@ import {
 } from "./config.js";
 import { nowUtc, sleep } from "./util.js";
 import { insertCoreEvent, allocateSequenceNumber, insertOutboundEventLog } from "./db.js";
+import { getCachedDeviceProfile } from "./deviceProfile.js";
+import { getCachedDeviceLocation, timezoneForLocation } from "./deviceLocation.js";
+import { sessionFamily } from "./equipmentState.js";
+import { runtimeByType } from "./sessionSegments.js";
+import { summarizeSessionStats } from "./sessionStats.js";
 
 const CORE_API_KEY = process.env.CORE_API_KEY;
 
@@ -20,7 +25,7 @@ export function buildCorePayload({
   
   // Device metadata
   manufacturer = "Ecobee",
-  model = "Ecobee Thermostat",
+  model = null, // defaults to the equipment profile's model name
   connectionSource = "ecobee",
   source = "ecobee",
   sourceVendor = "ecobee",
@@ -28,7 +33,7 @@ export function buildCorePayload({
   deviceType = "thermostat",
   firmwareVersion = null,
   serialNumber = null,
-  timezone = null,
+  timezone = null, // defaults to the thermostat's location
   zipPrefix = null,
 
   // Runtime state
@@ -52,6 +57,25 @@ export function buildCorePayload({
   outdoorHumidity = null,
   pressureHpa = null,
 
+  // Remote sensor (SENSOR_READING events only)
+  sensorId = null,
+  sensorName = null,
+  sensorType = null,
+  occupancy = null,
+
+  // Hold / vacation / demand response (thermostat events list)
+  thermostatEvent = null,
+
+  // Ecobee alert (ALERT events only)
+  alert = null,
+
+  // Equipment profile (DEVICE_PROFILE events only, sent when it changes)
+  equipmentProfile = null,
+
+  // Closed session (session-end events only): { segments, stats } from
+  // closeSegments() / summarizeSessionStats()
+  session = null,
+
   // Metadata
   observedAt,
   sourceEventId,
@@ -63,6 +87,13 @@ export function buildCorePayload({
       : null;
 
   const isoNow = (observedAt || new Date()).toISOString();
+  const cachedProfile = getCachedDeviceProfile(deviceKey);
+  const location = getCachedDeviceLocation(deviceKey);
+  // First 3 characters: US ZIP3 / Canadian FSA, coarse enough to share
+  const locationZipPrefix = location?.postalCode ? location.postalCode.replace(/\s+/g, "").slice(0, 3).toUpperCase() : null;
+  const family = sessionFamily(equipmentStatus === "IDLE" ? previousStatus : equipmentStatus);
+  // Every stat key is always present, null outside session ends
+  const sessionStats = { ...summarizeSessionStats(null, 0), ...session?.stats };
 
   // Prefer explicit isReachable parameter; fall back to payloadRaw inference
   let isReachable;
@@ -81,31 +112,26 @@ export function buildCorePayload({
     workspace_id: workspaceId || userId || null,
     device_name: deviceName || "Ecobee Thermostat",
     manufacturer,
-    model,
+    model: model || cachedProfile?.model || "Ecobee Thermostat",
+    equipment_profile: equipmentProfile,
     device_type: deviceType,
     source,
     source_vendor: sourceVendor,
     connection_source: connectionSource,
     firmware_version: firmwareVersion,
     serial_number: serialNumber,
-    timezone,
-    zip_prefix: zipPrefix,
-    zip_code_prefix: zipPrefix,
+    timezone: timezone || (location ? timezoneForLocation(location) : null),
+    zip_prefix: zipPrefix || locationZipPrefix,
+    zip_code_prefix: zipPrefix || locationZipPrefix,
+    city: location?.city || null,
+    utc_offset_minutes: location?.utcOffsetMinutes ?? null,
 
     last_mode: mode || null,
     // When transitioning to IDLE, use previousStatus to determine what session type just ended
     // This ensures runtime_seconds is correctly associated with the session type
-    last_is_cooling: equipmentStatus === "IDLE"
-      ? (previousStatus === "Cooling" || previousStatus === "Cooling_Fan")
-      : (equipmentStatus === "Cooling" || equipmentStatus === "Cooling_Fan"),
-    last_is_heating: equipmentStatus === "IDLE"
-      ? (previousStatus === "Heating" || previousStatus === "Heating_Fan" ||
-         previousStatus === "AuxHeat" || previousStatus === "AuxHeat_Fan")
-      : (equipmentStatus === "Heating" || equipmentStatus === "Heating_Fan" ||
-         equipmentStatus === "AuxHeat" || equipmentStatus === "AuxHeat_Fan"),
-    last_is_fan_only: equipmentStatus === "IDLE"
-      ? previousStatus === "Fan_only"
-      : equipmentStatus === "Fan_only",
+    last_is_cooling: family === "cooling",
+    last_is_heating: family === "heating" || family === "aux_heat",
+    last_is_fan_only: family === "fan",
     last_equipment_status: equipmentStatus || null,
     is_reachable: isReachable,
 
@@ -126,6 +152,21 @@ export function buildCorePayload({
     outdoor_humidity: outdoorHumidity,
     pressure_hpa: pressureHpa,
 
+    // Remote sensor, keyed by thermostat + sensor id
+    sensor_id: sensorId,
+    sensor_key: sensorId ? `${deviceKey}:${sensorId}` : null,
+    sensor_name: sensorName,
+    sensor_type: sensorType,
+    occupancy,
+
+    thermostat_event: thermostatEvent,
+    alert,
+
+    // Session summary: per-mode/stage segments and the session's readings
+    session_segments: session?.segments || null,
+    runtime_by_type: session ? runtimeByType(session.segments) : null,
+    ...sessionStats,
+
     // Event data
     event_type: eventType,
     is_active: !!isActive,
@@ -1,6 +1,9 @@
 import pg from "pg";
-import { DATABASE_URL, PGSSLMODE } from "./config.js";
+import { DATABASE_URL, PGSSLMODE, DEFAULT_DEVICE_TIMEZONE, SENSOR_READING_RETENTION_DAYS } from "./config.js";
 import { nowUtc, sha, toMillis } from "./util.js";
+import { SESSION_FAMILIES, baseSessionState } from "./equipmentState.js";
+import { splitSegmentsByLocalDay } from "./localTime.js";
+import { encryptTokens, decryptTokens, rewrapDataKey, isTokenEncryptionEnabled, activeTokenKeyVersion } from "./tokenCrypto.js";
 
 const { Pool } = pg;
 export const pool = new Pool({
@@ -11,6 +14,32 @@ export const pool = new Pool({
   connectionTimeoutMillis: 2000,
 });
 
+// Revision string fields: thermostatId:name:connected:thermostatRev:alertsRev:runtimeRev:intervalRev
+const REVISION_COMPONENT_POSITIONS = {
+  last_thermostat_rev: 4,
+  last_alerts_rev: 5,
+  last_runtime_rev: 6,
+  last_interval_rev: 7,
+};
+
+/**
+ * Add a per-component revision column. Only the migration that creates it
+ * seeds it from last_revision, so existing links don't refetch everything:
+ * afterwards a NULL or lagging component is a fetch still to retry.
+ */
+async function addRevisionComponentColumn(column) {
+  const { rowCount } = await pool.query(
+    `SELECT 1 FROM information_schema.columns WHERE table_name = 'ecobee_revisions' AND column_name = $1`,
+    [column]
+  );
+  if (rowCount > 0) return;
+  await pool.query(`ALTER TABLE ecobee_revisions ADD COLUMN IF NOT EXISTS ${column} TEXT;`);
+  await pool.query(
+    `UPDATE ecobee_revisions SET ${column} = NULLIF(split_part(last_revision, ':', $1), '') WHERE last_revision <> ''`,
+    [REVISION_COMPONENT_POSITIONS[column]]
+  );
+}
+
 export async function ensureSchema() {
   await pool.query(`
     CREATE EXTENSION IF NOT EXISTS pgcrypto;
@@ -90,6 +119,133 @@ export async function ensureSchema() {
       created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
     );
 
+    CREATE TABLE IF NOT EXISTS ecobee_runtime_session_segments (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      session_id UUID NOT NULL REFERENCES ecobee_runtime_sessions(id) ON DELETE CASCADE,
+      hvac_id TEXT NOT NULL,
+      segment_index INTEGER NOT NULL,
+      started_at TIMESTAMPTZ NOT NULL,
+      ended_at TIMESTAMPTZ NOT NULL,
+      runtime_seconds INTEGER NOT NULL,
+      equipment_type TEXT NOT NULL,
+      stage INTEGER,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (session_id, segment_index)
+    );
+
+    CREATE TABLE IF NOT EXISTS ecobee_runtime_session_days (
+      session_id UUID NOT NULL REFERENCES ecobee_runtime_sessions(id) ON DELETE CASCADE,
+      hvac_id TEXT NOT NULL,
+      local_date DATE NOT NULL,
+      timezone TEXT NOT NULL,
+      equipment_type TEXT NOT NULL,
+      runtime_seconds INTEGER NOT NULL,
+      PRIMARY KEY (session_id, local_date, equipment_type)
+    );
+
+    CREATE TABLE IF NOT EXISTS ecobee_sensor_readings (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      hvac_id TEXT NOT NULL,
+      sensor_id TEXT NOT NULL,
+      sensor_name TEXT,
+      sensor_type TEXT,
+      temperature_f NUMERIC(5,2),
+      humidity INTEGER,
+      occupancy BOOLEAN,
+      in_use BOOLEAN,
+      observed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS ecobee_thermostat_events (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      hvac_id TEXT NOT NULL,
+      event_key TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      payload JSONB NOT NULL,
+      started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      ended_at TIMESTAMPTZ,
+      UNIQUE (hvac_id, event_key)
+    );
+
+    CREATE TABLE IF NOT EXISTS ecobee_alerts (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      hvac_id TEXT NOT NULL,
+      acknowledge_ref TEXT NOT NULL,
+      category TEXT NOT NULL,
+      notification_type TEXT,
+      severity TEXT,
+      alert_text TEXT,
+      payload JSONB NOT NULL,
+      first_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (hvac_id, acknowledge_ref)
+    );
+
+    CREATE TABLE IF NOT EXISTS ecobee_device_profiles (
+      hvac_id TEXT PRIMARY KEY,
+      user_id TEXT,
+      thermostat_rev TEXT,
+      profile JSONB NOT NULL,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS ecobee_device_locations (
+      hvac_id TEXT PRIMARY KEY,
+      user_id TEXT,
+      thermostat_rev TEXT,
+      location JSONB NOT NULL,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS ecobee_runtime_validations (
+      hvac_id TEXT PRIMARY KEY,
+      last_validated_date DATE NOT NULL,
+      validated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS ecobee_poll_schedule (
+      hvac_id TEXT PRIMARY KEY,
+      next_poll_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      next_poll_seconds INTEGER,
+      attempt INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      last_polled_at TIMESTAMPTZ,
+      claimed_by TEXT,
+      claimed_until TIMESTAMPTZ,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS ecobee_replicas (
+      instance_id TEXT PRIMARY KEY,
+      started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      heartbeat_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS ecobee_device_leases (
+      hvac_id TEXT PRIMARY KEY,
+      owner TEXT NOT NULL,
+      expires_at TIMESTAMPTZ NOT NULL,
+      acquired_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS ecobee_leader_leases (
+      name TEXT PRIMARY KEY,
+      owner TEXT NOT NULL,
+      expires_at TIMESTAMPTZ NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS ecobee_control_audit (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      hvac_id TEXT NOT NULL,
+      user_id TEXT,
+      action TEXT NOT NULL,
+      request JSONB NOT NULL,
+      ecobee_request JSONB,
+      status TEXT NOT NULL,
+      error TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
     CREATE TABLE IF NOT EXISTS outbound_event_log (
       id SERIAL PRIMARY KEY,
       device_key VARCHAR(255) NOT NULL,
@@ -123,6 +279,47 @@ export async function ensureSchema() {
   await pool.query(`ALTER TABLE ecobee_runtime ADD COLUMN IF NOT EXISTS pending_mode_change BOOLEAN DEFAULT FALSE;`);
   await pool.query(`ALTER TABLE ecobee_runtime ADD COLUMN IF NOT EXISTS next_sequence_number INTEGER NOT NULL DEFAULT 1;`);
   await pool.query(`ALTER TABLE ecobee_last_state ADD COLUMN IF NOT EXISTS last_posted_at TIMESTAMPTZ;`);
+  await addRevisionComponentColumn('last_alerts_rev');
+  await addRevisionComponentColumn('last_thermostat_rev');
+  await addRevisionComponentColumn('last_runtime_rev');
+  await addRevisionComponentColumn('last_interval_rev');
+
+  // Alerts are marked posted only once Core accepted them; rows from before this count as posted
+  await pool.query(`ALTER TABLE ecobee_alerts ADD COLUMN IF NOT EXISTS posted_at TIMESTAMPTZ DEFAULT NOW();`);
+  await pool.query(`ALTER TABLE ecobee_alerts ALTER COLUMN posted_at DROP DEFAULT;`);
+
+  // Existing links start with a due schedule row
+  await pool.query(`
+    INSERT INTO ecobee_poll_schedule (hvac_id)
+    SELECT DISTINCT hvac_id FROM ecobee_tokens
+    ON CONFLICT (hvac_id) DO NOTHING
+  `);
+
+  // Authorization status: 'active' or 'reauth_required' (refresh token revoked)
+  await pool.query(`ALTER TABLE ecobee_tokens ADD COLUMN IF NOT EXISTS auth_status TEXT NOT NULL DEFAULT 'active';`);
+  await pool.query(`ALTER TABLE ecobee_tokens ADD COLUMN IF NOT EXISTS auth_status_changed_at TIMESTAMPTZ;`);
+  await pool.query(`ALTER TABLE ecobee_tokens ADD COLUMN IF NOT EXISTS auth_error TEXT;`);
+
+  // Envelope encryption: wrapped per-row data key + master key version
+  await pool.query(`ALTER TABLE ecobee_tokens ADD COLUMN IF NOT EXISTS token_dek TEXT;`);
+  await pool.query(`ALTER TABLE ecobee_tokens ADD COLUMN IF NOT EXISTS token_key_version TEXT;`);
+  await pool.query(`ALTER TABLE ecobee_tokens ADD COLUMN IF NOT EXISTS token_fingerprint TEXT;`);
+
+  // 'poller' for live sessions, 'report' for sessions rebuilt from runtime report intervals
+  await pool.query(`ALTER TABLE ecobee_runtime_sessions ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'poller';`);
+  await pool.query(`ALTER TABLE ecobee_runtime_sessions ADD COLUMN IF NOT EXISTS stage INTEGER;`);
+
+  // Time-weighted session statistics (see sessionStats.js); avg_* above are time-weighted too
+  await pool.query(`ALTER TABLE ecobee_runtime_sessions ADD COLUMN IF NOT EXISTS min_temperature NUMERIC(5,2);`);
+  await pool.query(`ALTER TABLE ecobee_runtime_sessions ADD COLUMN IF NOT EXISTS max_temperature NUMERIC(5,2);`);
+  await pool.query(`ALTER TABLE ecobee_runtime_sessions ADD COLUMN IF NOT EXISTS start_temperature NUMERIC(5,2);`);
+  await pool.query(`ALTER TABLE ecobee_runtime_sessions ADD COLUMN IF NOT EXISTS end_temperature NUMERIC(5,2);`);
+  await pool.query(`ALTER TABLE ecobee_runtime_sessions ADD COLUMN IF NOT EXISTS start_heat_setpoint NUMERIC(5,2);`);
+  await pool.query(`ALTER TABLE ecobee_runtime_sessions ADD COLUMN IF NOT EXISTS end_heat_setpoint NUMERIC(5,2);`);
+  await pool.query(`ALTER TABLE ecobee_runtime_sessions ADD COLUMN IF NOT EXISTS start_cool_setpoint NUMERIC(5,2);`);
+  await pool.query(`ALTER TABLE ecobee_runtime_sessions ADD COLUMN IF NOT EXISTS end_cool_setpoint NUMERIC(5,2);`);
+  await pool.query(`ALTER TABLE ecobee_runtime_sessions ADD COLUMN IF NOT EXISTS avg_outdoor_temperature NUMERIC(5,2);`);
+  await pool.query(`ALTER TABLE ecobee_runtime_sessions ADD COLUMN IF NOT EXISTS temperature_change_per_min NUMERIC(7,3);`);
 
   await pool.query(`ALTER TABLE ecobee_runtime ADD COLUMN IF NOT EXISTS last_temperature NUMERIC(5,2);`);
   await pool.query(`ALTER TABLE ecobee_runtime ADD COLUMN IF NOT EXISTS last_humidity INTEGER;`);
@@ -130,15 +327,38 @@ export async function ensureSchema() {
   await pool.query(`ALTER TABLE ecobee_runtime ADD COLUMN IF NOT EXISTS last_cool_setpoint NUMERIC(5,2);`);
   await pool.query(`ALTER TABLE ecobee_runtime ADD COLUMN IF NOT EXISTS thermostat_mode TEXT;`);
 
+  // Open session's segments: the current one plus those already closed (see sessionSegments.js)
+  await pool.query(`ALTER TABLE ecobee_runtime ADD COLUMN IF NOT EXISTS current_segment_started_at TIMESTAMPTZ;`);
+  await pool.query(`ALTER TABLE ecobee_runtime ADD COLUMN IF NOT EXISTS current_segment_type TEXT;`);
+  await pool.query(`ALTER TABLE ecobee_runtime ADD COLUMN IF NOT EXISTS current_segment_stage INTEGER;`);
+  await pool.query(`ALTER TABLE ecobee_runtime ADD COLUMN IF NOT EXISTS current_segment_offset_seconds INTEGER NOT NULL DEFAULT 0;`);
+  await pool.query(`ALTER TABLE ecobee_runtime ADD COLUMN IF NOT EXISTS session_segments JSONB NOT NULL DEFAULT '[]'::jsonb;`);
+  await pool.query(`ALTER TABLE ecobee_runtime ADD COLUMN IF NOT EXISTS session_stats JSONB;`);
+
   // Add indices for performance
   await pool.query(`CREATE INDEX IF NOT EXISTS idx_ecobee_tokens_hvac_id ON ecobee_tokens(hvac_id);`);
   await pool.query(`CREATE INDEX IF NOT EXISTS idx_ecobee_tokens_user_id ON ecobee_tokens(user_id);`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_ecobee_tokens_auth_status ON ecobee_tokens(auth_status);`);
   await pool.query(`CREATE INDEX IF NOT EXISTS idx_ecobee_runtime_is_reachable ON ecobee_runtime(is_reachable);`);
   await pool.query(`CREATE INDEX IF NOT EXISTS idx_ecobee_runtime_last_seen ON ecobee_runtime(last_seen_at);`);
   await pool.query(`CREATE INDEX IF NOT EXISTS idx_ecobee_runtime_reports_hvac_date ON ecobee_runtime_reports(hvac_id, report_date);`);
   await pool.query(`CREATE INDEX IF NOT EXISTS idx_ecobee_runtime_reports_timestamp ON ecobee_runtime_reports(interval_timestamp);`);
   await pool.query(`CREATE INDEX IF NOT EXISTS idx_ecobee_runtime_sessions_hvac_date ON ecobee_runtime_sessions(hvac_id, started_at);`);
   await pool.query(`CREATE INDEX IF NOT EXISTS idx_ecobee_runtime_sessions_ended_at ON ecobee_runtime_sessions(ended_at);`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_ecobee_session_segments_hvac ON ecobee_runtime_session_segments(hvac_id, started_at);`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_ecobee_session_days_hvac_date ON ecobee_runtime_session_days(hvac_id, local_date);`);
+
+  // Sessions written before per-day rows existed count on their UTC start date, as they always did
+  await pool.query(`
+    INSERT INTO ecobee_runtime_session_days (session_id, hvac_id, local_date, timezone, equipment_type, runtime_seconds)
+    SELECT s.id, s.hvac_id, (s.started_at AT TIME ZONE 'UTC')::date, 'UTC', s.equipment_type, s.runtime_seconds
+    FROM ecobee_runtime_sessions s
+    WHERE NOT EXISTS (SELECT 1 FROM ecobee_runtime_session_days d WHERE d.session_id = s.id)
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_ecobee_sensor_readings_hvac_sensor ON ecobee_sensor_readings(hvac_id, sensor_id, observed_at DESC);`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_ecobee_poll_schedule_due ON ecobee_poll_schedule(next_poll_at);`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_ecobee_device_leases_owner ON ecobee_device_leases(owner, expires_at);`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_ecobee_control_audit_hvac ON ecobee_control_audit(hvac_id, created_at);`);
   await pool.query(`CREATE INDEX IF NOT EXISTS idx_outbound_log_device_seq ON outbound_event_log(device_key, sequence_number);`);
   await pool.query(`CREATE INDEX IF NOT EXISTS idx_outbound_log_created ON outbound_event_log(created_at);`);
   await pool.query(`CREATE INDEX IF NOT EXISTS idx_core_events_hvac_id ON core_events(hvac_id);`);
@@ -152,17 +372,24 @@ export async function upsertTokens({ user_id, hvac_id, access_token, refresh_tok
     throw new Error("Missing required fields for token upsert.");
   }
   const expiresAt = new Date(Date.now() + Number(expires_in) * 1000).toISOString();
+  const enc = encryptTokens({ user_id, hvac_id, access_token, refresh_token });
 
   await pool.query(
-    `INSERT INTO ecobee_tokens (user_id, hvac_id, access_token, refresh_token, expires_at, scope, updated_at)
-     VALUES ($1,$2,$3,$4,$5,$6,NOW())
+    `INSERT INTO ecobee_tokens (user_id, hvac_id, access_token, refresh_token, expires_at, scope, token_dek, token_key_version, token_fingerprint, updated_at)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,NOW())
      ON CONFLICT (user_id, hvac_id) DO UPDATE SET
        access_token=EXCLUDED.access_token,
        refresh_token=EXCLUDED.refresh_token,
+       token_dek=EXCLUDED.token_dek,
+       token_key_version=EXCLUDED.token_key_version,
+       token_fingerprint=EXCLUDED.token_fingerprint,
        expires_at=EXCLUDED.expires_at,
        scope=EXCLUDED.scope,
+       auth_status='active',
+       auth_status_changed_at=CASE WHEN ecobee_tokens.auth_status <> 'active' THEN NOW() ELSE ecobee_tokens.auth_status_changed_at END,
+       auth_error=NULL,
        updated_at=NOW()`,
-    [user_id, hvac_id, access_token, refresh_token, expiresAt, scope || null]
+    [user_id, hvac_id, enc.access_token, enc.refresh_token, expiresAt, scope || null, enc.token_dek, enc.token_key_version, enc.token_fingerprint]
   );
 
   await pool.query(
@@ -178,21 +405,194 @@ export async function upsertTokens({ user_id, hvac_id, access_token, refresh_tok
      ON CONFLICT (hvac_id) DO NOTHING`,
     [hvac_id]
   );
+
+  // (Re)linking makes the device due now and clears any error backoff
+  await pool.query(
+    `INSERT INTO ecobee_poll_schedule (hvac_id, next_poll_at, updated_at)
+     VALUES ($1, NOW(), NOW())
+     ON CONFLICT (hvac_id) DO UPDATE SET next_poll_at=NOW(), attempt=0, last_error=NULL, updated_at=NOW()`,
+    [hvac_id]
+  );
 }
 
+// Link metadata only — token material is read exclusively through getDecryptedTokens/getTokensForUser
+const LINK_COLUMNS = `id, user_id, hvac_id, expires_at, scope, auth_status, auth_status_changed_at,
+  auth_error, token_fingerprint, updated_at, created_at`;
+
 export async function loadAllTokens() {
-  const { rows } = await pool.query(`SELECT * FROM ecobee_tokens ORDER BY updated_at DESC`);
+  const { rows } = await pool.query(`SELECT ${LINK_COLUMNS} FROM ecobee_tokens ORDER BY updated_at DESC`);
   return rows;
 }
 
-export async function updateTokensAfterRefresh({ user_id, hvac_id, access_token, refresh_token, expires_in }) {
-  const expiresAt = new Date(Date.now() + Number(expires_in) * 1000).toISOString();
-  await pool.query(
+/**
+ * Load link rows for thermostats that can be polled (excludes revoked links).
+ * Rows carry no token material; use the token manager to obtain tokens.
+ */
+export async function loadActiveTokens() {
+  const { rows } = await pool.query(
+    `SELECT ${LINK_COLUMNS} FROM ecobee_tokens WHERE auth_status = 'active' ORDER BY updated_at DESC`
+  );
+  return rows;
+}
+
+/**
+ * Active link row(s) for a single thermostat (empty when unlinked or revoked).
+ */
+export async function loadActiveTokensForHvac(hvac_id) {
+  const { rows } = await pool.query(
+    `SELECT ${LINK_COLUMNS} FROM ecobee_tokens WHERE hvac_id = $1 AND auth_status = 'active'`,
+    [hvac_id]
+  );
+  return rows;
+}
+
+/**
+ * Read and decrypt the stored token pair for one thermostat.
+ * @returns {Promise<object|null>} { access_token, refresh_token, expires_at } or null
+ */
+export async function getDecryptedTokens(user_id, hvac_id) {
+  const { rows } = await pool.query(
+    `SELECT * FROM ecobee_tokens WHERE user_id=$1 AND hvac_id=$2`,
+    [user_id, hvac_id]
+  );
+  if (!rows[0]) return null;
+  return { ...decryptTokens(rows[0]), expires_at: rows[0].expires_at };
+}
+
+/**
+ * Flag thermostats whose authorization was revoked so polling stops until re-link.
+ * @returns {Promise<string[]>} hvac_ids that transitioned (were not already flagged)
+ */
+export async function markReauthRequired(user_id, hvac_ids, reason, client = pool) {
+  const { rows } = await client.query(
     `UPDATE ecobee_tokens
-     SET access_token=$3, refresh_token=$4, expires_at=$5, updated_at=NOW()
-     WHERE user_id=$1 AND hvac_id=$2`,
-    [user_id, hvac_id, access_token, refresh_token, expiresAt]
+     SET auth_status='reauth_required', auth_status_changed_at=NOW(), auth_error=$3, updated_at=NOW()
+     WHERE user_id=$1 AND hvac_id = ANY($2) AND auth_status <> 'reauth_required'
+     RETURNING hvac_id`,
+    [user_id, hvac_ids, reason || null]
+  );
+  return rows.map(r => r.hvac_id);
+}
+
+/**
+ * Link/authorization status for a thermostat (no token material).
+ */
+export async function getLinkStatus(hvac_id) {
+  const { rows } = await pool.query(
+    `SELECT user_id, hvac_id, auth_status, auth_status_changed_at, auth_error, expires_at, updated_at
+     FROM ecobee_tokens WHERE hvac_id=$1 LIMIT 1`,
+    [hvac_id]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Store refreshed tokens. Pass hvac_ids to update every thermostat that
+ * shares the account's token set in one statement.
+ * @param {object} fields - { user_id, hvac_id | hvac_ids, access_token, refresh_token, expires_in }
+ * @param {object} client - Optional pg client (defaults to the pool)
+ */
+export async function updateTokensAfterRefresh({ user_id, hvac_id, hvac_ids, access_token, refresh_token, expires_in }, client = pool) {
+  const expiresAt = new Date(Date.now() + Number(expires_in) * 1000).toISOString();
+  const ids = hvac_ids?.length ? hvac_ids : [hvac_id];
+
+  // Each row is sealed with its own data key, so encrypt per thermostat
+  for (const id of ids) {
+    const enc = encryptTokens({ user_id, hvac_id: id, access_token, refresh_token });
+    await client.query(
+      `UPDATE ecobee_tokens
+       SET access_token=$3, refresh_token=$4, token_dek=$5, token_key_version=$6, token_fingerprint=$7,
+           expires_at=$8, updated_at=NOW()
+       WHERE user_id=$1 AND hvac_id=$2`,
+      [user_id, id, enc.access_token, enc.refresh_token, enc.token_dek, enc.token_key_version, enc.token_fingerprint, expiresAt]
+    );
+  }
+}
+
+/**
+ * Load every token row for a user (all linked thermostats), decrypted.
+ * @param {string} user_id - User identifier
+ * @param {object} client - Optional pg client (defaults to the pool)
+ */
+export async function getTokensForUser(user_id, client = pool) {
+  const { rows } = await client.query(`SELECT * FROM ecobee_tokens WHERE user_id=$1`, [user_id]);
+  return rows.map(r => ({ ...r, ...decryptTokens(r) }));
+}
+
+/**
+ * Run fn inside a transaction holding a per-user advisory lock, so token
+ * refreshes for one Ecobee account are serialized across replicas.
+ * The lock is released on COMMIT/ROLLBACK.
+ * @param {string} user_id - User identifier used as the lock key
+ * @param {Function} fn - async (client) => result
+ */
+export async function withTokenRefreshLock(user_id, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext($1))`, [`ecobee_token_refresh:${user_id}`]);
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * One-time/rolling migration of stored tokens:
+ *  - encrypts plaintext rows once a master key is configured
+ *  - re-wraps data keys still sealed with a retired master key version
+ *  - backfills token_fingerprint for account grouping
+ * Runs per user under the token refresh lock so it never races a refresh.
+ * @returns {Promise<object>} { encrypted, rewrapped, fingerprinted }
+ */
+export async function migrateTokenEncryption() {
+  const enabled = isTokenEncryptionEnabled();
+  const { rows } = await pool.query(
+    `SELECT DISTINCT user_id FROM ecobee_tokens
+     WHERE token_fingerprint IS NULL
+        OR ($1 AND (token_dek IS NULL OR token_key_version IS DISTINCT FROM $2))`,
+    [enabled, activeTokenKeyVersion()]
   );
+
+  const counts = { encrypted: 0, rewrapped: 0, fingerprinted: 0 };
+  for (const { user_id } of rows) {
+    await withTokenRefreshLock(user_id, async (client) => {
+      const { rows: tokenRows } = await client.query(`SELECT * FROM ecobee_tokens WHERE user_id=$1`, [user_id]);
+      for (const row of tokenRows) {
+        if (enabled && row.token_dek && row.token_key_version !== activeTokenKeyVersion()) {
+          const wrapped = rewrapDataKey(row);
+          await client.query(
+            `UPDATE ecobee_tokens SET token_dek=$2, token_key_version=$3 WHERE id=$1`,
+            [row.id, wrapped.token_dek, wrapped.token_key_version]
+          );
+          counts.rewrapped++;
+        }
+
+        if ((enabled && !row.token_dek) || !row.token_fingerprint) {
+          const enc = encryptTokens({ user_id: row.user_id, hvac_id: row.hvac_id, ...decryptTokens(row) });
+          if (row.token_dek && enabled) {
+            // Already encrypted: only the fingerprint was missing
+            await client.query(`UPDATE ecobee_tokens SET token_fingerprint=$2 WHERE id=$1`, [row.id, enc.token_fingerprint]);
+          } else {
+            await client.query(
+              `UPDATE ecobee_tokens
+               SET access_token=$2, refresh_token=$3, token_dek=$4, token_key_version=$5, token_fingerprint=$6
+               WHERE id=$1`,
+              [row.id, enc.access_token, enc.refresh_token, enc.token_dek, enc.token_key_version, enc.token_fingerprint]
+            );
+            if (enc.token_dek) counts.encrypted++;
+          }
+          counts.fingerprinted += row.token_fingerprint ? 0 : 1;
+        }
+      }
+    });
+  }
+  return counts;
 }
 
 export async function getLastHash(hvac_id) {
@@ -246,20 +646,64 @@ export async function resetRuntime(hvac_id) {
     current_session_seconds: 0,
     last_running_mode: null,
     last_equipment_status: null,
+    current_segment_started_at: null,
+    current_segment_type: null,
+    current_segment_stage: null,
+    current_segment_offset_seconds: 0,
+    session_segments: '[]',
+    session_stats: null,
   });
 }
 
-export async function getLastRevision(hvac_id) {
-  const { rows } = await pool.query(`SELECT last_revision FROM ecobee_revisions WHERE hvac_id=$1`, [hvac_id]);
-  return rows[0]?.last_revision || "";
+// Revision components are stored separately so each one is only advanced
+// after the fetch it triggers has succeeded (a failed fetch retries next tick)
+const REVISION_COLUMNS = {
+  thermostatRev: 'last_thermostat_rev',
+  alertsRev: 'last_alerts_rev',
+  runtimeRev: 'last_runtime_rev',
+  intervalRev: 'last_interval_rev',
+};
+
+/**
+ * Last processed revision string plus its stored components
+ * @returns {object} { revision, thermostatRev, alertsRev, runtimeRev, intervalRev }
+ */
+export async function getRevisionState(hvac_id) {
+  const { rows } = await pool.query(
+    `SELECT last_revision, last_thermostat_rev, last_alerts_rev, last_runtime_rev, last_interval_rev
+     FROM ecobee_revisions WHERE hvac_id=$1`,
+    [hvac_id]
+  );
+  const row = rows[0] || {};
+  return {
+    revision: row.last_revision || "",
+    thermostatRev: row.last_thermostat_rev || null,
+    alertsRev: row.last_alerts_rev || null,
+    runtimeRev: row.last_runtime_rev || null,
+    intervalRev: row.last_interval_rev || null,
+  };
 }
 
-export async function setLastRevision(hvac_id, rev) {
+/**
+ * Store the full revision string and/or individual components. Only the
+ * fields passed are written.
+ * @param {string} hvac_id
+ * @param {object} fields - { revision?, thermostatRev?, alertsRev?, runtimeRev?, intervalRev? }
+ */
+export async function setRevisionState(hvac_id, fields) {
+  const updates = Object.entries({ revision: 'last_revision', ...REVISION_COLUMNS })
+    .filter(([key]) => fields[key] !== undefined)
+    .map(([key, column]) => [column, fields[key]]);
+  if (!updates.length) return;
+
+  // last_revision is NOT NULL; seed it empty when only components are written
+  const inserts = updates.some(([c]) => c === 'last_revision') ? updates : [...updates, ['last_revision', '']];
+
   await pool.query(
-    `INSERT INTO ecobee_revisions (hvac_id,last_revision,updated_at)
-     VALUES ($1,$2,NOW())
-     ON CONFLICT (hvac_id) DO UPDATE SET last_revision=EXCLUDED.last_revision, updated_at=NOW()`,
-    [hvac_id, rev]
+    `INSERT INTO ecobee_revisions (hvac_id, ${inserts.map(([c]) => c).join(', ')}, updated_at)
+     VALUES ($1, ${inserts.map((_, i) => `$${i + 2}`).join(', ')}, NOW())
+     ON CONFLICT (hvac_id) DO UPDATE SET ${updates.map(([c]) => `${c}=EXCLUDED.${c}`).join(', ')}, updated_at=NOW()`,
+    [hvac_id, ...inserts.map(([, v]) => v)]
   );
 }
 
@@ -439,6 +883,29 @@ export async function upsertRuntimeReportInterval(hvac_id, data) {
   );
 }
 
+/**
+ * Runtime rows with a session open (startup crash recovery).
+ */
+export async function loadRunningRuntimes() {
+  const { rows } = await pool.query(
+    `SELECT * FROM ecobee_runtime WHERE is_running = true ORDER BY hvac_id`
+  );
+  return rows;
+}
+
+/**
+ * Stored report intervals with interval_timestamp in [from, to], oldest first.
+ */
+export async function getRuntimeReportIntervals(hvac_id, from, to) {
+  const { rows } = await pool.query(
+    `SELECT * FROM ecobee_runtime_reports
+     WHERE hvac_id = $1 AND interval_timestamp >= $2 AND interval_timestamp <= $3
+     ORDER BY interval_timestamp`,
+    [hvac_id, from, to]
+  );
+  return rows;
+}
+
 /**
  * Get runtime report data for a specific date
  */
@@ -470,6 +937,24 @@ export async function getTotalRuntimeFromReport(hvac_id, date) {
   return rows[0] || { total_aux_heat: 0, total_cooling: 0, total_heating: 0, total_fan: 0, interval_count: 0 };
 }
 
+/**
+ * Ecobee's totals for report intervals in [from, to), e.g. one local day.
+ */
+export async function getTotalRuntimeFromReportRange(hvac_id, from, to) {
+  const { rows } = await pool.query(
+    `SELECT
+       COALESCE(SUM(aux_heat1), 0) + COALESCE(SUM(aux_heat2), 0) + COALESCE(SUM(aux_heat3), 0) as total_aux_heat,
+       COALESCE(SUM(comp_cool1), 0) + COALESCE(SUM(comp_cool2), 0) as total_cooling,
+       COALESCE(SUM(comp_heat1), 0) + COALESCE(SUM(comp_heat2), 0) as total_heating,
+       COALESCE(SUM(fan), 0) as total_fan,
+       COUNT(*) as interval_count
+     FROM ecobee_runtime_reports
+     WHERE hvac_id = $1 AND interval_timestamp >= $2 AND interval_timestamp < $3`,
+    [hvac_id, from, to]
+  );
+  return rows[0] || { total_aux_heat: 0, total_cooling: 0, total_heating: 0, total_fan: 0, interval_count: 0 };
+}
+
 /**
  * Insert a completed runtime session
  */
@@ -477,8 +962,11 @@ export async function insertSession(data) {
   const { rows } = await pool.query(
     `INSERT INTO ecobee_runtime_sessions
       (hvac_id, user_id, started_at, ended_at, runtime_seconds, equipment_type,
-       avg_temperature, avg_humidity, thermostat_mode)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       avg_temperature, avg_humidity, thermostat_mode, source, stage,
+       min_temperature, max_temperature, start_temperature, end_temperature,
+       start_heat_setpoint, end_heat_setpoint, start_cool_setpoint, end_cool_setpoint,
+       avg_outdoor_temperature, temperature_change_per_min)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
      RETURNING id`,
     [
       data.hvac_id,
@@ -489,10 +977,261 @@ export async function insertSession(data) {
       data.equipment_type,
       data.avg_temperature || null,
       data.avg_humidity || null,
-      data.thermostat_mode || null
+      data.thermostat_mode || null,
+      data.source || 'poller',
+      data.stage ?? null,
+      data.min_temperature ?? null,
+      data.max_temperature ?? null,
+      data.start_temperature ?? null,
+      data.end_temperature ?? null,
+      data.start_heat_setpoint ?? null,
+      data.end_heat_setpoint ?? null,
+      data.start_cool_setpoint ?? null,
+      data.end_cool_setpoint ?? null,
+      data.avg_outdoor_temperature ?? null,
+      data.temperature_change_per_min ?? null
     ]
   );
-  return rows[0]?.id;
+  const id = rows[0]?.id;
+  if (id) await replaceSessionDays(id, data, data.timezone || DEFAULT_DEVICE_TIMEZONE);
+  return id;
+}
+
+/**
+ * (Re)write a session's runtime per local day and equipment type in the given
+ * zone, from its segments so heat / aux / stage time counts as measured.
+ * Sessions without segments are one segment of their equipment_type.
+ * @param {string} session_id
+ * @param {object} session - { hvac_id, started_at, ended_at, runtime_seconds, equipment_type, segments? }
+ * @param {string} timezone - IANA zone
+ */
+export async function replaceSessionDays(session_id, session, timezone) {
+  const segments = session.segments?.length
+    ? session.segments
+    : [{ ...session, equipment_type: baseSessionState(session.equipment_type) }];
+  const days = splitSegmentsByLocalDay(segments, timezone);
+  await pool.query(`DELETE FROM ecobee_runtime_session_days WHERE session_id = $1`, [session_id]);
+  for (const day of days) {
+    await pool.query(
+      `INSERT INTO ecobee_runtime_session_days (session_id, hvac_id, local_date, timezone, equipment_type, runtime_seconds)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [session_id, session.hvac_id, day.local_date, timezone, day.equipment_type, day.runtime_seconds]
+    );
+  }
+}
+
+/**
+ * Re-apportion a thermostat's sessions that were split in another zone
+ * (its timezone became known or changed).
+ * @returns {Promise<number>} sessions rewritten
+ */
+export async function resplitSessionDays(hvac_id, timezone) {
+  const { rows } = await pool.query(
+    `SELECT s.id, s.hvac_id, s.started_at, s.ended_at, s.runtime_seconds, s.equipment_type
+     FROM ecobee_runtime_sessions s
+     WHERE s.hvac_id = $1
+       AND EXISTS (SELECT 1 FROM ecobee_runtime_session_days d WHERE d.session_id = s.id AND d.timezone <> $2)`,
+    [hvac_id, timezone]
+  );
+  for (const session of rows) {
+    const { rows: segments } = await pool.query(
+      `SELECT started_at, ended_at, runtime_seconds, equipment_type FROM ecobee_runtime_session_segments
+       WHERE session_id = $1 ORDER BY segment_index`,
+      [session.id]
+    );
+    await replaceSessionDays(session.id, { ...session, segments }, timezone);
+  }
+  return rows.length;
+}
+
+/**
+ * Write the segments of a finished session (stage / mode changes within it).
+ * @param {string} session_id - ecobee_runtime_sessions.id
+ * @param {object[]} segments - { started_at, ended_at, runtime_seconds, equipment_type, stage }
+ */
+export async function insertSessionSegments(session_id, hvac_id, segments) {
+  for (const [index, seg] of segments.entries()) {
+    await pool.query(
+      `INSERT INTO ecobee_runtime_session_segments
+        (session_id, hvac_id, segment_index, started_at, ended_at, runtime_seconds, equipment_type, stage)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (session_id, segment_index) DO NOTHING`,
+      [session_id, hvac_id, index, seg.started_at, seg.ended_at, seg.runtime_seconds, seg.equipment_type, seg.stage ?? null]
+    );
+  }
+}
+
+/**
+ * Sessions (any source) that overlap [from, to).
+ */
+export async function getSessionsOverlapping(hvac_id, from, to) {
+  const { rows } = await pool.query(
+    `SELECT id, started_at, ended_at, equipment_type, source FROM ecobee_runtime_sessions
+     WHERE hvac_id = $1 AND started_at < $3 AND ended_at > $2
+     ORDER BY started_at`,
+    [hvac_id, from, to]
+  );
+  return rows;
+}
+
+/**
+ * Get the most recent reading for each remote sensor of a thermostat
+ * @returns {Promise<Map<string, object>>} sensor_id -> reading row
+ */
+export async function getLatestSensorReadings(hvac_id) {
+  const { rows } = await pool.query(
+    `SELECT DISTINCT ON (sensor_id) *
+     FROM ecobee_sensor_readings
+     WHERE hvac_id = $1
+     ORDER BY sensor_id, observed_at DESC`,
+    [hvac_id]
+  );
+  return new Map(rows.map(r => [r.sensor_id, r]));
+}
+
+/**
+ * Append remote sensor readings to the sensor time series
+ * @param {string} hvac_id - Thermostat identifier
+ * @param {object[]} readings - Output of normalizeSensorsFromDetails()
+ * @param {string} observedAt - ISO timestamp shared by the batch
+ */
+export async function insertSensorReadings(hvac_id, readings, observedAt) {
+  for (const r of readings) {
+    await pool.query(
+      `INSERT INTO ecobee_sensor_readings
+        (hvac_id, sensor_id, sensor_name, sensor_type, temperature_f, humidity, occupancy, in_use, observed_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [hvac_id, r.sensorId, r.sensorName, r.sensorType, r.temperatureF, r.humidity, r.occupancy, r.inUse, observedAt]
+    );
+  }
+}
+
+/**
+ * Get holds/vacations/DR events currently considered active for a thermostat
+ */
+export async function getActiveThermostatEvents(hvac_id) {
+  const { rows } = await pool.query(
+    `SELECT * FROM ecobee_thermostat_events WHERE hvac_id = $1 AND ended_at IS NULL`,
+    [hvac_id]
+  );
+  return rows;
+}
+
+/**
+ * Record a thermostat event as active (re-opens it if previously ended)
+ */
+export async function openThermostatEvent(hvac_id, event) {
+  await pool.query(
+    `INSERT INTO ecobee_thermostat_events (hvac_id, event_key, kind, payload, started_at, last_seen_at)
+     VALUES ($1, $2, $3, $4, NOW(), NOW())
+     ON CONFLICT (hvac_id, event_key) DO UPDATE SET
+       payload = EXCLUDED.payload,
+       last_seen_at = NOW(),
+       ended_at = NULL`,
+    [hvac_id, event.eventKey, event.kind, JSON.stringify(event)]
+  );
+}
+
+/**
+ * Mark a thermostat event as ended
+ */
+export async function closeThermostatEvent(hvac_id, event_key) {
+  await pool.query(
+    `UPDATE ecobee_thermostat_events SET ended_at = NOW() WHERE hvac_id = $1 AND event_key = $2`,
+    [hvac_id, event_key]
+  );
+}
+
+/**
+ * Record alerts by acknowledgeRef, returning the ones not posted yet (new, or
+ * seen before while the Core post failed)
+ * @param {string} hvac_id - Thermostat identifier
+ * @param {object[]} alerts - Output of normalizeAlertsFromDetails()
+ * @param {object} [options] - { posted }: record new alerts as already posted (baseline, nothing is sent)
+ * @returns {Promise<object[]>} Alerts still to post
+ */
+export async function insertNewAlerts(hvac_id, alerts, { posted = false } = {}) {
+  for (const a of alerts) {
+    await pool.query(
+      `INSERT INTO ecobee_alerts (hvac_id, acknowledge_ref, category, notification_type, severity, alert_text, payload, posted_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, CASE WHEN $8 THEN NOW() END)
+       ON CONFLICT (hvac_id, acknowledge_ref) DO NOTHING`,
+      [hvac_id, a.acknowledgeRef, a.category, a.notificationType, a.severity, a.text, JSON.stringify(a), posted]
+    );
+  }
+  const { rows } = await pool.query(
+    `SELECT acknowledge_ref FROM ecobee_alerts
+     WHERE hvac_id = $1 AND acknowledge_ref = ANY($2) AND posted_at IS NULL`,
+    [hvac_id, alerts.map((a) => a.acknowledgeRef)]
+  );
+  const unposted = new Set(rows.map((r) => r.acknowledge_ref));
+  return alerts.filter((a) => unposted.has(a.acknowledgeRef));
+}
+
+/**
+ * Mark alerts as accepted by Core
+ */
+export async function markAlertsPosted(hvac_id, acknowledgeRefs) {
+  await pool.query(
+    `UPDATE ecobee_alerts SET posted_at = NOW() WHERE hvac_id = $1 AND acknowledge_ref = ANY($2)`,
+    [hvac_id, acknowledgeRefs]
+  );
+}
+
+/**
+ * Get the stored equipment capability profile for a thermostat
+ * @returns {object|null} { hvac_id, user_id, thermostat_rev, profile, updated_at }
+ */
+export async function getDeviceProfile(hvac_id) {
+  const { rows } = await pool.query(
+    `SELECT hvac_id, user_id, thermostat_rev, profile, updated_at FROM ecobee_device_profiles WHERE hvac_id=$1`,
+    [hvac_id]
+  );
+  return rows[0] || null;
+}
+
+export async function upsertDeviceProfile(hvac_id, { user_id, thermostatRev, profile }) {
+  await pool.query(
+    `INSERT INTO ecobee_device_profiles (hvac_id, user_id, thermostat_rev, profile, updated_at)
+     VALUES ($1, $2, $3, $4, NOW())
+     ON CONFLICT (hvac_id) DO UPDATE SET
+       user_id=EXCLUDED.user_id, thermostat_rev=EXCLUDED.thermostat_rev, profile=EXCLUDED.profile, updated_at=NOW()`,
+    [hvac_id, user_id || null, thermostatRev || null, JSON.stringify(profile)]
+  );
+}
+
+export async function getDeviceLocation(hvac_id) {
+  const { rows } = await pool.query(
+    `SELECT hvac_id, user_id, thermostat_rev, location, updated_at FROM ecobee_device_locations WHERE hvac_id=$1`,
+    [hvac_id]
+  );
+  return rows[0] || null;
+}
+
+export async function upsertDeviceLocation(hvac_id, { user_id, thermostatRev, location }) {
+  await pool.query(
+    `INSERT INTO ecobee_device_locations (hvac_id, user_id, thermostat_rev, location, updated_at)
+     VALUES ($1, $2, $3, $4, NOW())
+     ON CONFLICT (hvac_id) DO UPDATE SET
+       user_id=EXCLUDED.user_id, thermostat_rev=EXCLUDED.thermostat_rev, location=EXCLUDED.location, updated_at=NOW()`,
+    [hvac_id, user_id || null, thermostatRev || null, JSON.stringify(location)]
+  );
+}
+
+/**
+ * Record a control request (hold/mode/resume/fan) and its outcome
+ * @param {object} entry - { hvac_id, user_id, action, request, ecobee_request, status, error }
+ */
+export async function insertControlAudit({ hvac_id, user_id, action, request, ecobee_request, status, error }) {
+  try {
+    await pool.query(
+      `INSERT INTO ecobee_control_audit (hvac_id, user_id, action, request, ecobee_request, status, error)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [hvac_id, user_id || null, action, JSON.stringify(request || {}), ecobee_request ? JSON.stringify(ecobee_request) : null, status, error || null]
+    );
+  } catch (err) {
+    console.error(`[${hvac_id}] Failed to write control audit row:`, err.message);
+  }
 }
 
 /**
@@ -517,6 +1256,32 @@ export async function insertCoreEvent({ hvac_id, user_id, event_type, source_eve
   }
 }
 
+/**
+ * Local date each thermostat's scheduled runtime validation last covered, so
+ * a restart or a new leader doesn't validate the same day twice
+ * @returns {Promise<Map<string, string>>} hvac_id -> YYYY-MM-DD
+ */
+export async function getLastValidatedDates() {
+  const { rows } = await pool.query(
+    `SELECT hvac_id, last_validated_date::text AS last_validated_date FROM ecobee_runtime_validations`
+  );
+  return new Map(rows.map((r) => [r.hvac_id, r.last_validated_date]));
+}
+
+/**
+ * Record that a thermostat's runtime was validated for a local date
+ * @param {string} hvac_id - Thermostat identifier
+ * @param {string} date - Local date (YYYY-MM-DD)
+ */
+export async function setLastValidatedDate(hvac_id, date) {
+  await pool.query(
+    `INSERT INTO ecobee_runtime_validations (hvac_id, last_validated_date, validated_at)
+     VALUES ($1, $2, NOW())
+     ON CONFLICT (hvac_id) DO UPDATE SET last_validated_date = EXCLUDED.last_validated_date, validated_at = NOW()`,
+    [hvac_id, date]
+  );
+}
+
 /**
  * Get sessions for a specific date range (for runtime validation)
  * @param {string} hvac_id - Thermostat identifier
@@ -537,27 +1302,31 @@ export async function getSessionsForDateRange(hvac_id, startTime, endTime) {
 }
 
 /**
- * Get total runtime from sessions for a specific date
+ * Get total runtime from sessions for a specific local date. Sessions that
+ * cross midnight count only their share of runtime on that day.
  * @param {string} hvac_id - Thermostat identifier
- * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} date - Local date in YYYY-MM-DD format
  * @returns {Promise<object>} Runtime totals by equipment type
  */
 export async function getTotalRuntimeFromSessions(hvac_id, date) {
-  const startOfDay = `${date}T00:00:00Z`;
-  const endOfDay = `${date}T23:59:59.999Z`;
-
   const { rows } = await pool.query(
     `SELECT
-       COALESCE(SUM(CASE WHEN equipment_type IN ('Heating', 'Heating_Fan') THEN runtime_seconds ELSE 0 END), 0) as total_heating,
-       COALESCE(SUM(CASE WHEN equipment_type IN ('Cooling', 'Cooling_Fan') THEN runtime_seconds ELSE 0 END), 0) as total_cooling,
-       COALESCE(SUM(CASE WHEN equipment_type IN ('AuxHeat', 'AuxHeat_Fan') THEN runtime_seconds ELSE 0 END), 0) as total_aux_heat,
-       COALESCE(SUM(CASE WHEN equipment_type = 'Fan_only' THEN runtime_seconds ELSE 0 END), 0) as total_fan,
-       COUNT(*) as session_count
-     FROM ecobee_runtime_sessions
+       COALESCE(SUM(CASE WHEN equipment_type = ANY($3) THEN runtime_seconds ELSE 0 END), 0) as total_heating,
+       COALESCE(SUM(CASE WHEN equipment_type = ANY($4) THEN runtime_seconds ELSE 0 END), 0) as total_cooling,
+       COALESCE(SUM(CASE WHEN equipment_type = ANY($5) THEN runtime_seconds ELSE 0 END), 0) as total_aux_heat,
+       COALESCE(SUM(CASE WHEN equipment_type = ANY($6) THEN runtime_seconds ELSE 0 END), 0) as total_fan,
+       COUNT(DISTINCT session_id) as session_count
+     FROM ecobee_runtime_session_days
      WHERE hvac_id = $1
-       AND started_at >= $2
-       AND started_at < $3`,
-    [hvac_id, startOfDay, endOfDay]
+       AND local_date = $2`,
+    [
+      hvac_id,
+      date,
+      SESSION_FAMILIES.heating,
+      SESSION_FAMILIES.cooling,
+      SESSION_FAMILIES.aux_heat,
+      SESSION_FAMILIES.fan
+    ]
   );
 
   return rows[0] || { total_heating: 0, total_cooling: 0, total_aux_heat: 0, total_fan: 0, session_count: 0 };
@@ -584,6 +1353,15 @@ export async function deleteThermostat(hvac_id) {
   await pool.query(`DELETE FROM ecobee_revisions WHERE hvac_id=$1`, [hvac_id]);
   await pool.query(`DELETE FROM ecobee_runtime_reports WHERE hvac_id=$1`, [hvac_id]);
   await pool.query(`DELETE FROM ecobee_runtime_sessions WHERE hvac_id=$1`, [hvac_id]);
+  await pool.query(`DELETE FROM ecobee_sensor_readings WHERE hvac_id=$1`, [hvac_id]);
+  await pool.query(`DELETE FROM ecobee_thermostat_events WHERE hvac_id=$1`, [hvac_id]);
+  await pool.query(`DELETE FROM ecobee_alerts WHERE hvac_id=$1`, [hvac_id]);
+  await pool.query(`DELETE FROM ecobee_control_audit WHERE hvac_id=$1`, [hvac_id]);
+  await pool.query(`DELETE FROM ecobee_device_profiles WHERE hvac_id=$1`, [hvac_id]);
+  await pool.query(`DELETE FROM ecobee_device_locations WHERE hvac_id=$1`, [hvac_id]);
+  await pool.query(`DELETE FROM ecobee_runtime_validations WHERE hvac_id=$1`, [hvac_id]);
+  await pool.query(`DELETE FROM ecobee_device_leases WHERE hvac_id=$1`, [hvac_id]);
+  await pool.query(`DELETE FROM ecobee_poll_schedule WHERE hvac_id=$1`, [hvac_id]);
   await pool.query(`DELETE FROM core_events WHERE hvac_id=$1`, [hvac_id]);
   await pool.query(`DELETE FROM outbound_event_log WHERE device_key=$1`, [hvac_id]);
 }
@@ -666,6 +1444,257 @@ export async function cleanupOutboundEventLog() {
   }
 }
 
+/**
+ * Drop sensor readings older than the retention window, keeping each
+ * sensor's latest reading (it is the baseline for change detection)
+ */
+export async function cleanupSensorReadings(retentionDays = SENSOR_READING_RETENTION_DAYS) {
+  const { rowCount } = await pool.query(
+    `DELETE FROM ecobee_sensor_readings r
+     WHERE r.observed_at < NOW() - ($1 * INTERVAL '1 day')
+       AND EXISTS (
+         SELECT 1 FROM ecobee_sensor_readings newer
+         WHERE newer.hvac_id = r.hvac_id AND newer.sensor_id = r.sensor_id AND newer.observed_at > r.observed_at
+       )`,
+    [retentionDays]
+  );
+  if (rowCount > 0) {
+    console.log(`[SensorReadings] 🧹 Cleaned up ${rowCount} sensor readings older than ${retentionDays} days`);
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                          Poll schedule                                     */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Claim devices that are due (next_poll_at <= dueBy), leased to owner and not
+ * claimed by a live poll elsewhere. SKIP LOCKED lets concurrent workers pass
+ * over each other's rows; the claim itself lasts until claimTtlMs or until
+ * the poll is recorded.
+ * @param {string} owner - Instance id
+ * @param {object} opts - { dueBy: Date, claimTtlMs, limit, hvac_id? }
+ * @returns {Promise<object[]>} claimed rows { hvac_id, next_poll_at, attempt, last_error }
+ */
+export async function claimDuePolls(owner, { dueBy, claimTtlMs, limit = 1000, hvac_id = null }) {
+  const { rows } = await pool.query(
+    `UPDATE ecobee_poll_schedule s
+     SET claimed_by = $1, claimed_until = NOW() + ($3 * INTERVAL '1 millisecond'), updated_at = NOW()
+     WHERE s.hvac_id IN (
+       SELECT p.hvac_id
+       FROM ecobee_poll_schedule p
+       JOIN ecobee_device_leases l ON l.hvac_id = p.hvac_id AND l.owner = $1 AND l.expires_at > NOW()
+       WHERE p.next_poll_at <= $2
+         AND (p.claimed_until IS NULL OR p.claimed_until < NOW())
+         AND ($5::text IS NULL OR p.hvac_id = $5)
+       ORDER BY p.next_poll_at
+       LIMIT $4
+       FOR UPDATE OF p SKIP LOCKED
+     )
+     RETURNING s.hvac_id, s.next_poll_at, s.attempt, s.last_error`,
+    [owner, dueBy, claimTtlMs, limit, hvac_id]
+  );
+  return rows;
+}
+
+/**
+ * Record a successful poll: clear the claim and errors, store the adaptive
+ * hint and when the device is due next.
+ */
+export async function recordPollSuccess(hvac_id, { nextPollAt, nextPollSeconds }) {
+  await pool.query(
+    `UPDATE ecobee_poll_schedule
+     SET next_poll_at = $2, next_poll_seconds = $3, attempt = 0, last_error = NULL,
+         last_polled_at = NOW(), claimed_by = NULL, claimed_until = NULL, updated_at = NOW()
+     WHERE hvac_id = $1`,
+    [hvac_id, nextPollAt, nextPollSeconds ?? null]
+  );
+}
+
+/**
+ * Record a failed poll: bump attempt, keep the error, clear the claim.
+ * @returns {Promise<number|null>} the new attempt count
+ */
+export async function recordPollFailure(hvac_id, { nextPollAt, error }) {
+  const { rows } = await pool.query(
+    `UPDATE ecobee_poll_schedule
+     SET next_poll_at = $2, attempt = attempt + 1, last_error = $3,
+         last_polled_at = NOW(), claimed_by = NULL, claimed_until = NULL, updated_at = NOW()
+     WHERE hvac_id = $1
+     RETURNING attempt`,
+    [hvac_id, nextPollAt, String(error).slice(0, 1000)]
+  );
+  return rows[0]?.attempt ?? null;
+}
+
+/**
+ * Make a device due within delayMs (never later than it already was), for
+ * whichever replica holds its lease.
+ * @returns {Promise<boolean>} false when the device has no schedule row
+ */
+export async function markPollDue(hvac_id, delayMs = 0) {
+  const { rowCount } = await pool.query(
+    `UPDATE ecobee_poll_schedule
+     SET next_poll_at = LEAST(next_poll_at, NOW() + ($2 * INTERVAL '1 millisecond')), updated_at = NOW()
+     WHERE hvac_id = $1`,
+    [hvac_id, delayMs]
+  );
+  return rowCount > 0;
+}
+
+export async function getPollSchedule(hvac_id) {
+  const { rows } = await pool.query(`SELECT * FROM ecobee_poll_schedule WHERE hvac_id=$1`, [hvac_id]);
+  return rows[0] || null;
+}
+
+/**
+ * Make devices leased to owner due now if they are backing off from one of
+ * the given error kinds (after an Ecobee outage ends).
+ * @returns {Promise<string[]>} hvac_ids rescheduled
+ */
+export async function resetPollBackoff(owner, kinds) {
+  const { rows } = await pool.query(
+    `UPDATE ecobee_poll_schedule s
+     SET next_poll_at = NOW(), attempt = 0, updated_at = NOW()
+     FROM ecobee_device_leases l
+     WHERE l.hvac_id = s.hvac_id AND l.owner = $1
+       AND s.attempt > 0 AND split_part(s.last_error, ':', 1) = ANY($2)
+     RETURNING s.hvac_id`,
+    [owner, kinds]
+  );
+  return rows.map((r) => r.hvac_id);
+}
+
+/**
+ * Drop claims held by owner without recording a poll (all when hvac_ids is
+ * null) so the devices are claimable at once.
+ */
+export async function releasePollClaims(owner, hvac_ids = null) {
+  await pool.query(
+    `UPDATE ecobee_poll_schedule SET claimed_by = NULL, claimed_until = NULL, updated_at = NOW()
+     WHERE claimed_by = $1 AND ($2::text[] IS NULL OR hvac_id = ANY($2))`,
+    [owner, hvac_ids]
+  );
+}
+
+/* -------------------------------------------------------------------------- */
+/*                          Replica leases                                    */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Record that this replica is alive and return how many replicas are.
+ * @returns {Promise<number>} live replica count (including this one)
+ */
+export async function heartbeatReplica(instance_id, ttlMs) {
+  await pool.query(
+    `INSERT INTO ecobee_replicas (instance_id, heartbeat_at) VALUES ($1, NOW())
+     ON CONFLICT (instance_id) DO UPDATE SET heartbeat_at=NOW()`,
+    [instance_id]
+  );
+  await pool.query(`DELETE FROM ecobee_replicas WHERE heartbeat_at < NOW() - ($1 * INTERVAL '1 millisecond') * 10`, [ttlMs]);
+  const { rows } = await pool.query(
+    `SELECT COUNT(*)::int AS n FROM ecobee_replicas WHERE heartbeat_at >= NOW() - ($1 * INTERVAL '1 millisecond')`,
+    [ttlMs]
+  );
+  return Math.max(1, rows[0].n);
+}
+
+export async function removeReplica(instance_id) {
+  await pool.query(`DELETE FROM ecobee_replicas WHERE instance_id=$1`, [instance_id]);
+}
+
+export async function countActiveDevices() {
+  // A thermostat linked by more than one user is still one device to poll
+  const { rows } = await pool.query(`SELECT COUNT(DISTINCT hvac_id)::int AS n FROM ecobee_tokens WHERE auth_status = 'active'`);
+  return rows[0].n;
+}
+
+/**
+ * Extend every unexpired lease held by owner; leases of unlinked/revoked
+ * devices are dropped.
+ * @returns {Promise<string[]>} hvac_ids still owned
+ */
+export async function renewDeviceLeases(owner, ttlMs) {
+  await pool.query(
+    `DELETE FROM ecobee_device_leases l
+     WHERE l.owner = $1
+       AND NOT EXISTS (SELECT 1 FROM ecobee_tokens t WHERE t.hvac_id = l.hvac_id AND t.auth_status = 'active')`,
+    [owner]
+  );
+  const { rows } = await pool.query(
+    `UPDATE ecobee_device_leases SET expires_at = NOW() + ($2 * INTERVAL '1 millisecond')
+     WHERE owner = $1 AND expires_at >= NOW()
+     RETURNING hvac_id`,
+    [owner, ttlMs]
+  );
+  return rows.map((r) => r.hvac_id);
+}
+
+/**
+ * Claim up to `limit` active devices with no live lease. Conflicting claims
+ * are resolved by the row lock: only one replica wins an expired lease.
+ * Devices of the same user are claimed together where possible so an
+ * account's summary call stays on one replica.
+ * @returns {Promise<string[]>} newly claimed hvac_ids
+ */
+export async function claimDeviceLeases(owner, limit, ttlMs) {
+  if (limit <= 0) return [];
+  const { rows } = await pool.query(
+    `WITH devices AS (
+       -- One row per thermostat even when several users link it (ON CONFLICT can't touch a row twice)
+       SELECT DISTINCT ON (t.hvac_id) t.hvac_id, t.user_id
+       FROM ecobee_tokens t
+       LEFT JOIN ecobee_device_leases l ON l.hvac_id = t.hvac_id
+       WHERE t.auth_status = 'active' AND (l.hvac_id IS NULL OR l.expires_at < NOW())
+       ORDER BY t.hvac_id, t.user_id
+     ),
+     candidates AS (
+       SELECT hvac_id FROM devices
+       ORDER BY user_id, hvac_id
+       LIMIT $2
+     )
+     INSERT INTO ecobee_device_leases (hvac_id, owner, expires_at, acquired_at)
+     SELECT hvac_id, $1, NOW() + ($3 * INTERVAL '1 millisecond'), NOW() FROM candidates
+     ON CONFLICT (hvac_id) DO UPDATE
+       SET owner = EXCLUDED.owner, expires_at = EXCLUDED.expires_at, acquired_at = NOW()
+       WHERE ecobee_device_leases.expires_at < NOW()
+     RETURNING hvac_id`,
+    [owner, limit, ttlMs]
+  );
+  return rows.map((r) => r.hvac_id);
+}
+
+/**
+ * Give up leases so another replica can claim them (all when hvac_ids is null).
+ */
+export async function releaseDeviceLeases(owner, hvac_ids = null) {
+  if (hvac_ids) {
+    await pool.query(`DELETE FROM ecobee_device_leases WHERE owner = $1 AND hvac_id = ANY($2)`, [owner, hvac_ids]);
+  } else {
+    await pool.query(`DELETE FROM ecobee_device_leases WHERE owner = $1`, [owner]);
+  }
+}
+
+/**
+ * Acquire or renew a named leader lease.
+ * @returns {Promise<boolean>} true when owner holds the lease
+ */
+export async function acquireLeaderLease(name, owner, ttlMs) {
+  const { rows } = await pool.query(
+    `INSERT INTO ecobee_leader_leases (name, owner, expires_at)
+     VALUES ($1, $2, NOW() + ($3 * INTERVAL '1 millisecond'))
+     ON CONFLICT (name) DO UPDATE SET owner = EXCLUDED.owner, expires_at = EXCLUDED.expires_at
+       WHERE ecobee_leader_leases.owner = EXCLUDED.owner OR ecobee_leader_leases.expires_at < NOW()
+     RETURNING owner`,
+    [name, owner, ttlMs]
+  );
+  return rows[0]?.owner === owner;
+}
+
+export async function releaseLeaderLease(name, owner) {
+  await pool.query(`DELETE FROM ecobee_leader_leases WHERE name = $1 AND owner = $2`, [name, owner]);
+}
+
 export async function closePool() {
   await pool.end();
 }
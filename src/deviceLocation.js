@@ -0,0 +1,114 @@
+'use strict';
+
+import { normalizeLocationFromDetails } from './normalize.js';
+import { getDeviceLocation, upsertDeviceLocation, resplitSessionDays } from './db.js';
+import { isValidTimezone } from './localTime.js';
+import { DEFAULT_DEVICE_TIMEZONE } from './config.js';
+
+/**
+ * Where each thermostat is (time zone, postal code, city), from Ecobee's
+ * location object and refreshed whenever thermostatRev changes.
+ *
+ * Cached in-process like the equipment profile so buildCorePayload can fill
+ * timezone / zip prefix synchronously; the cache is dropped when the device
+ * lease moves, so a new owner reloads what the previous one stored. The zone
+ * also decides which local day runtime belongs to: when it changes, stored
+ * sessions are re-split.
+ */
+
+const locationCache = new Map(); // hvac_id -> location | null
+
+/**
+ * Location from the in-process cache, or null if not loaded / not known yet.
+ * @param {string} hvac_id
+ */
+export function getCachedDeviceLocation(hvac_id) {
+  return locationCache.get(hvac_id) || null;
+}
+
+/**
+ * Load the stored location into the cache (once per process per thermostat).
+ * @param {string} hvac_id
+ * @returns {Promise<object|null>}
+ */
+export async function loadDeviceLocation(hvac_id) {
+  if (locationCache.has(hvac_id)) return locationCache.get(hvac_id);
+  const row = await getDeviceLocation(hvac_id);
+  locationCache.set(hvac_id, row?.location || null);
+  return row?.location || null;
+}
+
+/**
+ * IANA zone for a location: Ecobee's timeZone when Intl knows it, else a
+ * fixed-offset Etc/GMT zone from timeZoneOffsetMinutes (whole hours only),
+ * else DEFAULT_DEVICE_TIMEZONE.
+ * @param {object|null} location
+ * @returns {string}
+ */
+export function timezoneForLocation(location) {
+  if (isValidTimezone(location?.timezone)) return location.timezone;
+  const offset = location?.utcOffsetMinutes;
+  if (Number.isInteger(offset) && offset % 60 === 0) {
+    // Etc/GMT signs are inverted: UTC-5 is Etc/GMT+5
+    const hours = -offset / 60;
+    return hours === 0 ? 'Etc/GMT' : `Etc/GMT${hours > 0 ? '+' : '-'}${Math.abs(hours)}`;
+  }
+  return DEFAULT_DEVICE_TIMEZONE;
+}
+
+/**
+ * Zone of a thermostat from the cache (DEFAULT_DEVICE_TIMEZONE until known).
+ * @param {string} hvac_id
+ */
+export function getDeviceTimezone(hvac_id) {
+  return timezoneForLocation(getCachedDeviceLocation(hvac_id));
+}
+
+/**
+ * Zone of a thermostat from its stored location, read fresh: validation and
+ * recovery run on replicas that may not hold the device's lease.
+ * @param {string} hvac_id
+ * @returns {Promise<string>}
+ */
+export async function resolveDeviceTimezone(hvac_id) {
+  const row = await getDeviceLocation(hvac_id);
+  locationCache.set(hvac_id, row?.location || null);
+  return timezoneForLocation(row?.location || null);
+}
+
+/**
+ * Rebuild and store the location from a details fetch that included it.
+ * @param {object} args - { user_id, hvac_id }
+ * @param {object} details - response body from fetchThermostatDetails()
+ * @param {string|null} thermostatRev - thermostatRev the location belongs to
+ * @returns {Promise<{ location: object|null, changed: boolean }>}
+ */
+export async function refreshDeviceLocation({ user_id, hvac_id }, details, thermostatRev) {
+  const location = normalizeLocationFromDetails(details);
+  if (!location) return { location: getCachedDeviceLocation(hvac_id), changed: false };
+
+  const previous = await loadDeviceLocation(hvac_id);
+  const changed = JSON.stringify(previous) !== JSON.stringify(location);
+
+  await upsertDeviceLocation(hvac_id, { user_id, thermostatRev, location });
+  locationCache.set(hvac_id, location);
+
+  if (changed) {
+    const timezone = timezoneForLocation(location);
+    console.log(`[${hvac_id}] 📍 location: ${location.city || '?'} ${location.postalCode || ''} tz=${timezone} (offset ${location.utcOffsetMinutes ?? '?'}m)`);
+    // First fix too: older rows may have been split in UTC rather than the default zone
+    if (!previous || timezone !== timezoneForLocation(previous)) {
+      const resplit = await resplitSessionDays(hvac_id, timezone);
+      if (resplit) console.log(`[${hvac_id}] 📅 re-split ${resplit} sessions into ${timezone} local days`);
+    }
+  }
+  return { location, changed };
+}
+
+/**
+ * Drop a thermostat from the cache (unlink / delete).
+ * @param {string} hvac_id
+ */
+export function forgetDeviceLocation(hvac_id) {
+  locationCache.delete(hvac_id);
+}
@@ -0,0 +1,67 @@
+'use strict';
+
+import { normalizeEquipmentProfileFromDetails } from './normalize.js';
+import { getDeviceProfile, upsertDeviceProfile } from './db.js';
+
+/**
+ * Equipment capability profile per thermostat (stages, heat pump vs furnace,
+ * aux heat, humidifier, ventilator), built from Ecobee settings and refreshed
+ * whenever thermostatRev changes.
+ *
+ * Profiles are cached in-process so synchronous callers (buildCorePayload,
+ * equipment status parsing) can read them; the poller warms the cache with
+ * loadDeviceProfile() before processing each thermostat.
+ */
+
+const profileCache = new Map(); // hvac_id -> profile | null
+
+/**
+ * Profile from the in-process cache, or null if not loaded / not known yet.
+ * @param {string} hvac_id
+ */
+export function getCachedDeviceProfile(hvac_id) {
+  return profileCache.get(hvac_id) || null;
+}
+
+/**
+ * Load the stored profile into the cache (once per process per thermostat).
+ * @param {string} hvac_id
+ * @returns {Promise<object|null>}
+ */
+export async function loadDeviceProfile(hvac_id) {
+  if (profileCache.has(hvac_id)) return profileCache.get(hvac_id);
+  const row = await getDeviceProfile(hvac_id);
+  profileCache.set(hvac_id, row?.profile || null);
+  return row?.profile || null;
+}
+
+/**
+ * Rebuild and store the profile from a details fetch that included settings.
+ * @param {object} args - { user_id, hvac_id }
+ * @param {object} details - response body from fetchThermostatDetails()
+ * @param {string|null} thermostatRev - thermostatRev the settings belong to
+ * @returns {Promise<{ profile: object|null, changed: boolean }>}
+ */
+export async function refreshDeviceProfile({ user_id, hvac_id }, details, thermostatRev) {
+  const profile = normalizeEquipmentProfileFromDetails(details);
+  if (!profile) return { profile: getCachedDeviceProfile(hvac_id), changed: false };
+
+  const previous = await loadDeviceProfile(hvac_id);
+  const changed = JSON.stringify(previous) !== JSON.stringify(profile);
+
+  await upsertDeviceProfile(hvac_id, { user_id, thermostatRev, profile });
+  profileCache.set(hvac_id, profile);
+
+  if (changed) {
+    console.log(`[${hvac_id}] 🧰 equipment profile: ${profile.model}, ${profile.heatSource}, heat=${profile.heatStages} cool=${profile.coolStages} aux=${profile.auxHeatStages}`);
+  }
+  return { profile, changed };
+}
+
+/**
+ * Drop a thermostat from the cache (unlink / delete).
+ * @param {string} hvac_id
+ */
+export function forgetDeviceProfile(hvac_id) {
+  profileCache.delete(hvac_id);
+}
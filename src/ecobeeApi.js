@@ -1,36 +1,73 @@
 import axios from "axios";
-import { ECOBEE_CLIENT_ID, ECOBEE_TOKEN_URL } from "./config.js";
+import { ECOBEE_CLIENT_ID, ECOBEE_TOKEN_URL, ECOBEE_API_BASE_URL } from "./config.js";
+import { scheduleEcobeeRequest } from "./requestScheduler.js";
 
-export async function refreshEcobeeTokens(refresh_token) {
+/*
+ * Every call goes through the shared request scheduler. `opts` carries
+ * { account, priority } so the scheduler can apply per-account budgets
+ * and let live polling jump ahead of report backfill.
+ */
+
+export async function refreshEcobeeTokens(refresh_token, opts = {}) {
   const params = new URLSearchParams();
   params.append("grant_type", "refresh_token");
   params.append("refresh_token", refresh_token);
   params.append("client_id", ECOBEE_CLIENT_ID);
 
-  const res = await axios.post(ECOBEE_TOKEN_URL, params.toString(), {
+  const res = await scheduleEcobeeRequest(() => axios.post(ECOBEE_TOKEN_URL, params.toString(), {
     headers: { "Content-Type": "application/x-www-form-urlencoded" },
     timeout: 20_000,
-  });
+  }), opts);
   return res.data;
 }
 
-export async function fetchThermostatSummary(access_token) {
+export async function fetchThermostatSummary(access_token, opts = {}) {
   const sel = { selection: { selectionType: "registered", selectionMatch: "", includeEquipmentStatus: true } };
-  const url = "https://api.ecobee.com/1/thermostatSummary?json=" + encodeURIComponent(JSON.stringify(sel));
-  const res = await axios.get(url, {
+  const url = `${ECOBEE_API_BASE_URL}/1/thermostatSummary?json=` + encodeURIComponent(JSON.stringify(sel));
+  const res = await scheduleEcobeeRequest(() => axios.get(url, {
     headers: { Authorization: `Bearer ${access_token}`, "Content-Type": "application/json;charset=UTF-8" },
     timeout: 20_000,
-  });
+  }), opts);
   return res.data;
 }
 
-export async function fetchThermostatDetails(access_token, hvac_id) {
-  const q = { selection: { selectionType: "thermostats", selectionMatch: hvac_id || "", includeRuntime: true, includeSettings: true, includeEvents: false } };
-  const url = "https://api.ecobee.com/1/thermostat?json=" + encodeURIComponent(JSON.stringify(q));
-  const res = await axios.get(url, {
+const DEFAULT_DETAILS_SELECTION = { includeRuntime: true, includeSettings: true, includeEvents: false, includeSensors: true };
+
+/**
+ * Fetch thermostat details. `selection` overrides the default include* flags,
+ * e.g. { includeEvents: true } to also pull holds/vacations/DR events.
+ */
+export async function fetchThermostatDetails(access_token, hvac_id, opts = {}, selection = {}) {
+  const q = { selection: { selectionType: "thermostats", selectionMatch: hvac_id || "", ...DEFAULT_DETAILS_SELECTION, ...selection } };
+  const url = `${ECOBEE_API_BASE_URL}/1/thermostat?json=` + encodeURIComponent(JSON.stringify(q));
+  const res = await scheduleEcobeeRequest(() => axios.get(url, {
     headers: { Authorization: `Bearer ${access_token}`, "Content-Type": "application/json;charset=UTF-8" },
     timeout: 20_000,
-  });
+  }), opts);
+  return res.data;
+}
+
+/**
+ * Send a thermostat update (settings and/or functions such as setHold,
+ * resumeProgram) for a single thermostat.
+ * @param {string} access_token - Ecobee access token
+ * @param {string} hvac_id - Thermostat identifier
+ * @param {object} update - { thermostat?: {...}, functions?: [...] }
+ * @param {object} opts - Scheduler options { account, priority }
+ * @returns {Promise<object>} Ecobee response body (status.code === 0 on success)
+ */
+export async function updateThermostat(access_token, hvac_id, update, opts = {}) {
+  const body = { selection: { selectionType: "thermostats", selectionMatch: hvac_id }, ...update };
+  const res = await scheduleEcobeeRequest(() => axios.post(`${ECOBEE_API_BASE_URL}/1/thermostat?format=json`, body, {
+    headers: { Authorization: `Bearer ${access_token}`, "Content-Type": "application/json;charset=UTF-8" },
+    timeout: 20_000,
+  }), opts);
+
+  if (res.data?.status?.code !== 0) {
+    const err = new Error(`Ecobee update rejected: ${res.data?.status?.message || "unknown error"}`);
+    err.response = res;
+    throw err;
+  }
   return res.data;
 }
 
@@ -41,9 +78,10 @@ export async function fetchThermostatDetails(access_token, hvac_id) {
  * @param {string} startDate - Start date in YYYY-MM-DD format
  * @param {string} endDate - End date in YYYY-MM-DD format (optional, defaults to startDate)
  * @param {string[]} columns - Array of column names to include (optional)
+ * @param {object} opts - Scheduler options { account, priority } (optional)
  * @returns {Promise<object>} Runtime report data with CSV string in reportList
  */
-export async function fetchRuntimeReport(access_token, hvac_id, startDate, endDate = null, columns = null) {
+export async function fetchRuntimeReport(access_token, hvac_id, startDate, endDate = null, columns = null, opts = {}) {
   // Default columns to request
   const defaultColumns = [
     'auxHeat1', 'auxHeat2', 'auxHeat3',
@@ -69,10 +107,10 @@ export async function fetchRuntimeReport(access_token, hvac_id, startDate, endDa
     includeHeaders: true  // Include header row with column names in rowList
   };
 
-  const url = "https://api.ecobee.com/1/runtimeReport?json=" + encodeURIComponent(JSON.stringify(q));
-  const res = await axios.get(url, {
+  const url = `${ECOBEE_API_BASE_URL}/1/runtimeReport?json=` + encodeURIComponent(JSON.stringify(q));
+  const res = await scheduleEcobeeRequest(() => axios.get(url, {
     headers: { Authorization: `Bearer ${access_token}`, "Content-Type": "application/json;charset=UTF-8" },
     timeout: 30_000,
-  });
+  }), opts);
   return res.data;
 }
@@ -0,0 +1,157 @@
+'use strict';
+
+/**
+ * The one classification of Ecobee's equipmentStatus string.
+ *
+ * equipmentStatus is a comma-separated list of the equipment running right
+ * now ("heatPump,fan", "compCool2,compCool1,fan,dehumidifier", "" when idle).
+ * Every token maps to a role (and a stage) in EQUIPMENT_TOKENS; the running
+ * roles pick one row of SESSION_STATES by priority. Everything that needs to
+ * know what the system is doing (poller logs and state updates, runtime
+ * sessions, Core flags, session totals) reads it from here.
+ */
+
+// Token (lowercased) → role and stage. Accessories never start a session on their own.
+const EQUIPMENT_TOKENS = {
+  heatpump: { role: 'heat', stage: 1 },
+  heatpump2: { role: 'heat', stage: 2 },
+  heatpump3: { role: 'heat', stage: 3 },
+  compheat1: { role: 'heat', stage: 1 },
+  compheat2: { role: 'heat', stage: 2 },
+  auxheat1: { role: 'aux', stage: 1 },
+  auxheat2: { role: 'aux', stage: 2 },
+  auxheat3: { role: 'aux', stage: 3 },
+  compcool1: { role: 'cool', stage: 1 },
+  compcool2: { role: 'cool', stage: 2 },
+  fan: { role: 'fan', stage: null },
+  humidifier: { role: 'accessory', stage: null },
+  dehumidifier: { role: 'accessory', stage: null },
+  ventilator: { role: 'accessory', stage: null },
+  economizer: { role: 'accessory', stage: null },
+  comphotwater: { role: 'accessory', stage: null },
+  auxhotwater: { role: 'accessory', stage: null },
+
+  // Not in the current API docs; kept as aliases so older status strings still parse
+  heatpump1: { role: 'heat', stage: 1 },
+  heating: { role: 'heat', stage: 1 },
+  emergency: { role: 'aux', stage: 1 },
+  cooling: { role: 'cool', stage: 1 },
+  fanonly: { role: 'fan', stage: null },
+  fanonly1: { role: 'fan', stage: null },
+};
+
+// Highest priority first. state is stored as equipment_type and sent to Core.
+const SESSION_STATES = [
+  { family: 'aux_heat', role: 'aux', state: 'AuxHeat', equipmentClass: 'AUX_HEATING', mode: 'auxheat' },
+  { family: 'heating', role: 'heat', state: 'Heating', equipmentClass: 'HEATING', mode: 'heating' },
+  { family: 'cooling', role: 'cool', state: 'Cooling', equipmentClass: 'COOLING', mode: 'cooling' },
+  { family: 'fan', role: 'fan', state: 'Fan_only', equipmentClass: 'FAN', mode: 'fan' },
+];
+
+/**
+ * Session states per family, as stored in ecobee_runtime_sessions.equipment_type.
+ */
+export const SESSION_FAMILIES = {
+  heating: ['Heating', 'Heating_Fan'],
+  cooling: ['Cooling', 'Cooling_Fan'],
+  aux_heat: ['AuxHeat', 'AuxHeat_Fan'],
+  fan: ['Fan_only'],
+};
+
+/**
+ * Family of a session state ('Heating_Fan' → 'heating'), null for idle/unknown.
+ */
+export function sessionFamily(state) {
+  for (const [family, states] of Object.entries(SESSION_FAMILIES)) {
+    if (states.includes(state)) return family;
+  }
+  return null;
+}
+
+/**
+ * Session state without the fan suffix ('Heating_Fan' → 'Heating'), the
+ * granularity of runtime report intervals.
+ */
+export function baseSessionState(state) {
+  return String(state || '').replace(/_Fan$/, '');
+}
+
+const IDLE = {
+  family: null,
+  state: 'Idle',
+  standardizedState: 'Fan_off',
+  equipmentClass: 'IDLE',
+  mode: 'off',
+};
+
+const cache = new Map();
+
+/**
+ * Classify an Ecobee equipmentStatus string. Pass the thermostat's equipment
+ * profile when known: on furnace/boiler systems Ecobee reports primary heat
+ * as auxHeat*, which is only aux heat when a heat pump is installed.
+ *
+ * @param {string} equipmentStatus - Raw Ecobee equipment status
+ * @param {object|null} profile - Equipment profile (hasHeatPump)
+ * @returns {object} { state, standardizedState, family, equipmentClass, mode, stage,
+ *   isRunning, isHeating, isAuxHeat, isCooling, isFanOnly, fanRunning,
+ *   accessories, unknownTokens, raw }
+ */
+export function parseEquipmentState(equipmentStatus, profile = null) {
+  const raw = String(equipmentStatus || '');
+  const auxIsPrimary = profile?.hasHeatPump === false;
+  const cacheKey = `${raw}|${auxIsPrimary}`;
+  if (cache.has(cacheKey)) return cache.get(cacheKey);
+
+  const stages = { heat: 0, aux: 0, cool: 0 };
+  const roles = new Set();
+  const accessories = [];
+  const unknownTokens = [];
+
+  for (const token of raw.split(',').map((s) => s.trim()).filter(Boolean)) {
+    const entry = EQUIPMENT_TOKENS[token.toLowerCase()];
+    if (!entry) {
+      unknownTokens.push(token);
+      continue;
+    }
+    // Without a heat pump, auxHeat* is the furnace/boiler: primary heat
+    const role = entry.role === 'aux' && auxIsPrimary ? 'heat' : entry.role;
+    roles.add(role);
+    if (role === 'accessory') accessories.push(token);
+    if (entry.stage) stages[role] = Math.max(stages[role], entry.stage);
+  }
+
+  const fanRunning = roles.has('fan');
+  const row = SESSION_STATES.find((s) => roles.has(s.role));
+  const base = row
+    ? {
+      family: row.family,
+      state: fanRunning && row.role !== 'fan' ? `${row.state}_Fan` : row.state,
+      equipmentClass: row.equipmentClass,
+      mode: row.mode,
+    }
+    : IDLE;
+  const state = base.state;
+
+  const result = Object.freeze({
+    state,
+    // Idle is 'Fan_off' in state updates (filter usage) and 'Idle' in runtime events
+    standardizedState: row ? state : IDLE.standardizedState,
+    family: base.family,
+    equipmentClass: base.equipmentClass,
+    mode: base.mode,
+    stage: row && row.role !== 'fan' ? stages[row.role] || null : null,
+    isRunning: !!row,
+    isHeating: base.family === 'heating',
+    isAuxHeat: base.family === 'aux_heat',
+    isCooling: base.family === 'cooling',
+    isFanOnly: base.family === 'fan',
+    fanRunning,
+    accessories: Object.freeze(accessories),
+    unknownTokens: Object.freeze(unknownTokens),
+    raw,
+  });
+
+  cache.set(cacheKey, result);
+  return result;
+}
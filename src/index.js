@@ -4,16 +4,28 @@ import {
   REACHABILITY_STALE_MS,
   PUBLISH_CONNECTIVITY,
   POLL_INTERVAL_MS,
-  BUBBLE_THERMOSTAT_UPDATES_URL
+  POLL_MODE,
+  BUBBLE_THERMOSTAT_UPDATES_URL,
+  SENSOR_READING_RETENTION_DAYS
 } from "./config.js";
-import { ensureSchema, pool, markUnreachableIfStale, closePool, cleanupOutboundEventLog } from "./db.js";
+import { ensureSchema, pool, markUnreachableIfStale, closePool, cleanupOutboundEventLog, cleanupSensorReadings, migrateTokenEncryption } from "./db.js";
 import { buildServer } from "./server.js";
 import { startPoller, stopPoller } from "./poller.js";
+import { startPollerAdaptive, stopPollerAdaptive, addAdaptiveDevice, removeAdaptiveDevice } from "./poller-adaptive.js";
+import { startLeasing, stopLeasing, isLeader } from "./leases.js";
+import { shouldSuppressOfflineTransitions, onUpstreamRecovered } from "./upstreamBreaker.js";
+import { recoverInProgressSessions, forgetSessionRecovery } from "./sessionRecovery.js";
+import { forgetDeviceProfile } from "./deviceProfile.js";
+import { forgetDeviceLocation } from "./deviceLocation.js";
 import { postConnectivityChange } from "./bubble.js";
 import { buildCorePayload, postToCoreIngestAsync } from "./coreIngest.js";
 import { scheduleDailyRuntimeValidation } from "./runtimeValidationScheduler.js";
+import { isTokenEncryptionEnabled, activeTokenKeyVersion } from "./tokenCrypto.js";
+import { installLogRedaction } from "./logRedaction.js";
 import { v4 as uuidv4 } from "uuid";
 
+installLogRedaction();
+
 let connectivityInterval;
 let eventLogCleanupInterval;
 let stopRuntimeValidation;
@@ -22,12 +34,18 @@ let isShuttingDown = false;
 const EVENT_LOG_CLEANUP_INTERVAL_MS = 24 * 60 * 60 * 1000; // once per day
 
 async function connectivityScanner() {
-  if (isShuttingDown) return;
+  if (isShuttingDown || !isLeader()) return;
+
+  // Stale last_seen_at during (or right after) an Ecobee outage says nothing about the device
+  if (shouldSuppressOfflineTransitions()) {
+    console.log("⏸️  Connectivity scan skipped — Ecobee API outage in progress or just ended");
+    return;
+  }
   
   try {
     const { rows } = await pool.query(`SELECT hvac_id, last_seen_at, is_reachable FROM ecobee_runtime`);
     for (const r of rows) {
-      if (isShuttingDown) break;
+      if (isShuttingDown || shouldSuppressOfflineTransitions()) break;
       
       const { flipped, userId } = await markUnreachableIfStale(r.hvac_id, r.last_seen_at, REACHABILITY_STALE_MS);
       if (flipped && userId) {
@@ -82,13 +100,55 @@ async function connectivityScanner() {
     await ensureSchema();
     console.log("✅ Database schema ready");
 
+    // Encrypt legacy plaintext tokens / re-wrap keys after a rotation
+    if (!isTokenEncryptionEnabled()) {
+      console.error("❌ TOKEN_ENCRYPTION_KEYS is not set — Ecobee tokens are stored in plaintext.");
+    }
+    const migrated = await migrateTokenEncryption();
+    console.log(`✅ Token encryption ready (key: ${activeTokenKeyVersion() || "none"}, encrypted: ${migrated.encrypted}, re-wrapped: ${migrated.rewrapped})`);
+
     // Start HTTP server
     const app = buildServer();
     const srv = app.listen(PORT, () => console.log(`✅ Ecobee summary-driven poller on :${PORT}`));
 
+    // Take device leases (and possibly leadership) before polling anything
+    const adaptive = POLL_MODE === "adaptive";
+    const leaseStatus = await startLeasing({
+      onAcquired: (hvac_id) => {
+        // The previous owner may have refreshed profile / location since this process cached them
+        forgetDeviceProfile(hvac_id);
+        forgetDeviceLocation(hvac_id);
+        if (adaptive) addAdaptiveDevice(hvac_id);
+      },
+      onReleased: (hvac_id) => {
+        forgetSessionRecovery(hvac_id);
+        forgetDeviceProfile(hvac_id);
+        forgetDeviceLocation(hvac_id);
+        if (adaptive) removeAdaptiveDevice(hvac_id);
+      },
+    });
+    console.log(`✅ Leasing started (${leaseStatus.instanceId}: ${leaseStatus.leasedDevices} device(s), leader=${leaseStatus.isLeader})`);
+
+    // Sessions left open by the previous process, before any tick can add a clamped delta
+    try {
+      const recovered = await recoverInProgressSessions();
+      console.log(`✅ Session recovery: ${recovered.resumed} resumed, ${recovered.report} settled from report, ${recovered.truncated} truncated, ${recovered.deferred} deferred to first poll, ${recovered.failed} failed`);
+    } catch (e) {
+      console.error("❌ Session recovery pass failed:", e.message);
+    }
+
     // Start poller
-    startPoller(POLL_INTERVAL_MS);
-    console.log(`✅ Poller started (interval: ${POLL_INTERVAL_MS}ms)`);
+    if (adaptive) {
+      onUpstreamRecovered((hvacIds) => hvacIds.forEach(addAdaptiveDevice));
+      await startPollerAdaptive();
+      console.log("✅ Adaptive poller started (per-device timers)");
+    } else {
+      if (POLL_MODE !== "interval") {
+        console.error(`❌ Unknown POLL_MODE "${POLL_MODE}" — falling back to interval polling`);
+      }
+      startPoller(POLL_INTERVAL_MS);
+      console.log(`✅ Poller started (interval: ${POLL_INTERVAL_MS}ms)`);
+    }
 
     // Start connectivity staleness scanner
     connectivityInterval = setInterval(connectivityScanner, CONNECTIVITY_CHECK_EVERY_MS);
@@ -96,17 +156,24 @@ async function connectivityScanner() {
 
     // Start daily runtime validation scheduler
     stopRuntimeValidation = scheduleDailyRuntimeValidation();
-    console.log(`✅ Runtime validation scheduler started (runs daily at 00:05 UTC)`);
+    console.log(`✅ Runtime validation scheduler started (runs hourly; each thermostat is validated after 01:00 local time)`);
 
     // Start outbound event log cleanup (daily, 7-day retention)
     eventLogCleanupInterval = setInterval(() => {
+      if (!isLeader()) return;
       cleanupOutboundEventLog().catch(e =>
         console.warn("[EventLog] Cleanup error:", e.message)
       );
+      cleanupSensorReadings().catch(e =>
+        console.warn("[SensorReadings] Cleanup error:", e.message)
+      );
     }, EVENT_LOG_CLEANUP_INTERVAL_MS);
     // Run once on startup to clear any stale entries
-    cleanupOutboundEventLog().catch(() => {});
-    console.log(`✅ Outbound event log cleanup scheduled (daily, 7-day retention)`);
+    if (isLeader()) {
+      cleanupOutboundEventLog().catch(() => {});
+      cleanupSensorReadings().catch(() => {});
+    }
+    console.log(`✅ Outbound event log and sensor reading cleanup scheduled (daily, 7-day / ${SENSOR_READING_RETENTION_DAYS}-day retention)`);
 
     // Graceful shutdown handler
     const shutdown = (signal) => async () => {
@@ -118,7 +185,14 @@ async function connectivityScanner() {
       try {
         // Stop accepting new work
         console.log("⏸️  Stopping poller...");
-        stopPoller();
+        if (adaptive) {
+          await stopPollerAdaptive();
+        } else {
+          await stopPoller();
+        }
+
+        console.log("⏸️  Releasing device leases...");
+        await stopLeasing();
         
         console.log("⏸️  Stopping connectivity scanner...");
         if (connectivityInterval) {
@@ -0,0 +1,148 @@
+'use strict';
+
+import {
+  heartbeatReplica,
+  removeReplica,
+  countActiveDevices,
+  renewDeviceLeases,
+  claimDeviceLeases,
+  releaseDeviceLeases,
+  acquireLeaderLease,
+  releaseLeaderLease,
+  releasePollClaims
+} from './db.js';
+import { INSTANCE_ID, LEASE_TTL_MS, LEASE_RENEW_MS } from './config.js';
+
+/**
+ * Postgres-backed device leasing so several replicas can run side by side.
+ *
+ * Every LEASE_RENEW_MS each replica heartbeats, renews the device leases it
+ * holds, sheds any surplus above its fair share (ceil(devices / replicas)) and
+ * claims unowned or expired leases up to that share. A dead replica stops
+ * renewing, so its leases expire after LEASE_TTL_MS and are picked up by the
+ * survivors. One replica also holds the leader lease and runs the singleton
+ * jobs (connectivity scanner, daily validation, event log cleanup).
+ *
+ * Ownership is checked against a local expiry taken before each renewal, so
+ * a replica that cannot reach the database stops polling before its leases
+ * can be claimed elsewhere.
+ */
+
+const LEADER_LEASE = 'singleton-jobs';
+
+const owned = new Map(); // hvac_id -> local lease expiry (ms)
+let leaderUntil = 0;
+let leaseTimer = null;
+let cycleRunning = false;
+let listeners = { onAcquired: () => {}, onReleased: () => {} };
+
+export function ownsDevice(hvac_id) {
+  return (owned.get(hvac_id) || 0) > Date.now();
+}
+
+export function isLeader() {
+  return leaderUntil > Date.now();
+}
+
+export function getLeaseStatus() {
+  return {
+    instanceId: INSTANCE_ID,
+    isLeader: isLeader(),
+    leasedDevices: [...owned.keys()].filter(ownsDevice).length,
+  };
+}
+
+async function leaseCycle() {
+  const localExpiry = Date.now() + LEASE_TTL_MS;
+  const acquired = [];
+  const released = [];
+
+  const replicas = await heartbeatReplica(INSTANCE_ID, LEASE_TTL_MS);
+  const fairShare = Math.ceil((await countActiveDevices()) / replicas);
+
+  const renewed = await renewDeviceLeases(INSTANCE_ID, LEASE_TTL_MS);
+  const renewedSet = new Set(renewed);
+  for (const hvac_id of [...owned.keys()]) {
+    if (!renewedSet.has(hvac_id)) {
+      owned.delete(hvac_id);
+      released.push(hvac_id);
+    }
+  }
+  for (const hvac_id of renewed) {
+    if (!owned.has(hvac_id)) acquired.push(hvac_id);
+    owned.set(hvac_id, localExpiry);
+  }
+
+  if (renewed.length > fairShare) {
+    // Shed surplus so a newly started replica gets its share
+    const surplus = renewed.slice(fairShare);
+    await releaseDeviceLeases(INSTANCE_ID, surplus);
+    for (const hvac_id of surplus) {
+      owned.delete(hvac_id);
+      released.push(hvac_id);
+    }
+  } else {
+    const claimed = await claimDeviceLeases(INSTANCE_ID, fairShare - renewed.length, LEASE_TTL_MS);
+    for (const hvac_id of claimed) {
+      owned.set(hvac_id, localExpiry);
+      acquired.push(hvac_id);
+    }
+  }
+
+  const wasLeader = isLeader();
+  leaderUntil = (await acquireLeaderLease(LEADER_LEASE, INSTANCE_ID, LEASE_TTL_MS)) ? localExpiry : 0;
+  if (isLeader() !== wasLeader) {
+    console.log(`👑 [${INSTANCE_ID}] ${isLeader() ? 'is now' : 'is no longer'} the leader`);
+  }
+
+  if (acquired.length || released.length) {
+    console.log(`🔐 [${INSTANCE_ID}] leases: +${acquired.length} −${released.length} → ${owned.size} device(s) (fair share ${fairShare} of ${replicas} replica(s))`);
+  }
+  for (const hvac_id of acquired) listeners.onAcquired(hvac_id);
+  for (const hvac_id of released) listeners.onReleased(hvac_id);
+}
+
+async function runLeaseCycle() {
+  if (cycleRunning) return;
+  cycleRunning = true;
+  try {
+    await leaseCycle();
+  } catch (e) {
+    console.warn(`⚠️ [${INSTANCE_ID}] lease cycle failed:`, e.message);
+  } finally {
+    cycleRunning = false;
+  }
+}
+
+/**
+ * Take the first leases and keep renewing them.
+ * @param {object} hooks - { onAcquired(hvac_id), onReleased(hvac_id) }
+ */
+export async function startLeasing(hooks = {}) {
+  listeners = { ...listeners, ...hooks };
+  await runLeaseCycle();
+  leaseTimer = setInterval(runLeaseCycle, LEASE_RENEW_MS);
+  return getLeaseStatus();
+}
+
+/**
+ * Stop renewing and hand every lease back so other replicas take over now
+ * instead of waiting for expiry.
+ */
+export async function stopLeasing() {
+  if (leaseTimer) {
+    clearInterval(leaseTimer);
+    leaseTimer = null;
+  }
+  owned.clear();
+  leaderUntil = 0;
+
+  try {
+    await releaseDeviceLeases(INSTANCE_ID);
+    await releasePollClaims(INSTANCE_ID);
+    await releaseLeaderLease(LEADER_LEASE, INSTANCE_ID);
+    await removeReplica(INSTANCE_ID);
+  } catch (e) {
+    console.warn(`⚠️ [${INSTANCE_ID}] failed to release leases:`, e.message);
+  }
+}
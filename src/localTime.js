@@ -0,0 +1,153 @@
+'use strict';
+
+/**
+ * Local calendar days in IANA time zones, for daily runtime accounting.
+ *
+ * Built on Intl only: the offset at an instant is read back from the zone's
+ * wall clock, so DST transitions (23- and 25-hour days) come out right.
+ */
+
+const formatters = new Map(); // timezone -> Intl.DateTimeFormat
+
+function formatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+function wallClock(ms, timezone) {
+  const parts = {};
+  for (const { type, value } of formatter(timezone).formatToParts(new Date(ms))) parts[type] = Number(value);
+  return parts;
+}
+
+/**
+ * True when Intl knows the IANA zone name.
+ */
+export function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    formatter(timezone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Offset of the zone from UTC at an instant, in ms (negative west of UTC).
+ */
+export function timezoneOffsetMs(date, timezone) {
+  const ms = Math.floor(new Date(date).getTime() / 1000) * 1000;
+  const p = wallClock(ms, timezone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - ms;
+}
+
+/**
+ * Local calendar date (YYYY-MM-DD) of an instant.
+ */
+export function localDate(date, timezone) {
+  const p = wallClock(new Date(date).getTime(), timezone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * Local hour (0-23) of an instant.
+ */
+export function localHour(date, timezone) {
+  return wallClock(new Date(date).getTime(), timezone).hour;
+}
+
+/**
+ * The calendar date after dateStr (YYYY-MM-DD).
+ */
+export function nextDate(dateStr) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + 1)).toISOString().slice(0, 10);
+}
+
+/**
+ * The calendar date before dateStr (YYYY-MM-DD).
+ */
+export function previousDate(dateStr) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d - 1)).toISOString().slice(0, 10);
+}
+
+/**
+ * The instant local midnight starts dateStr in the zone.
+ */
+export function localMidnight(dateStr, timezone) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const wall = Date.UTC(y, m - 1, d);
+  // Second pass picks up a DST change between the guess and the answer
+  const guess = wall - timezoneOffsetMs(wall, timezone);
+  return new Date(wall - timezoneOffsetMs(guess, timezone));
+}
+
+/**
+ * [start, end) of a local calendar day as instants.
+ * @returns {{ start: Date, end: Date }}
+ */
+export function localDayBounds(dateStr, timezone) {
+  return { start: localMidnight(dateStr, timezone), end: localMidnight(nextDate(dateStr), timezone) };
+}
+
+/**
+ * Apportion a session's runtime to the local days it spans, by wall-clock
+ * overlap. Rounding leftovers go to the last day so the parts add up.
+ * @param {object} session - { started_at, ended_at, runtime_seconds }
+ * @param {string} timezone
+ * @returns {{ local_date: string, runtime_seconds: number }[]}
+ */
+export function splitByLocalDay({ started_at, ended_at, runtime_seconds }, timezone) {
+  const startMs = new Date(started_at).getTime();
+  const endMs = Math.max(startMs, new Date(ended_at).getTime());
+  const total = Math.round(Number(runtime_seconds) || 0);
+  const firstDay = localDate(startMs, timezone);
+  if (endMs === startMs) return [{ local_date: firstDay, runtime_seconds: total }];
+
+  // A session ending exactly at midnight doesn't touch the next day
+  const lastDay = localDate(endMs - 1, timezone);
+  const days = [];
+  let assigned = 0;
+  for (let day = firstDay; day <= lastDay; day = nextDate(day)) {
+    const { start, end } = localDayBounds(day, timezone);
+    const overlap = Math.min(endMs, end.getTime()) - Math.max(startMs, start.getTime());
+    const seconds = day === lastDay ? total - assigned : Math.floor((total * overlap) / (endMs - startMs));
+    assigned += seconds;
+    days.push({ local_date: day, runtime_seconds: seconds });
+  }
+  return days;
+}
+
+/**
+ * Apportion typed spans (a session's segments) to local days, one entry per
+ * day per equipment type.
+ * @param {object[]} segments - { started_at, ended_at, runtime_seconds, equipment_type }
+ * @param {string} timezone
+ * @returns {{ local_date: string, equipment_type: string, runtime_seconds: number }[]}
+ */
+export function splitSegmentsByLocalDay(segments, timezone) {
+  const totals = new Map(); // "date|type" -> seconds
+  for (const seg of segments) {
+    for (const { local_date, runtime_seconds } of splitByLocalDay(seg, timezone)) {
+      const key = `${local_date}|${seg.equipment_type}`;
+      totals.set(key, (totals.get(key) || 0) + runtime_seconds);
+    }
+  }
+  return [...totals].map(([key, runtime_seconds]) => {
+    const [local_date, equipment_type] = key.split('|');
+    return { local_date, equipment_type, runtime_seconds };
+  });
+}
@@ -0,0 +1,53 @@
+'use strict';
+
+import util from 'util';
+
+/**
+ * Scrub credentials from anything written to the console.
+ *
+ * Axios errors carry the request config (Authorization header, form body with
+ * refresh_token), and pg/express errors can echo request bodies, so redaction
+ * is applied to the fully formatted log line rather than at each call site.
+ */
+
+const REDACTED = '[REDACTED]';
+
+const PATTERNS = [
+  // Authorization: Bearer <token>
+  [/(Bearer\s+)[A-Za-z0-9\-._~+/]+=*/gi, `$1${REDACTED}`],
+  // form/query encoded: refresh_token=...&
+  [/((?:access_token|refresh_token|client_secret)=)[^&\s"']+/gi, `$1${REDACTED}`],
+  // OAuth authorization code, only as a URL / form parameter (not "code=" in error text)
+  [/([?&]code=)[^&\s"']+/g, `$1${REDACTED}`],
+  // JSON / inspected objects: "refresh_token": "...", access_token: '...'
+  [/((?:["']?)(?:access_token|refresh_token|token_dek|authorization|accessToken|refreshToken)(?:["']?)\s*[:=]\s*)(["'])(?:(?!\2).)*\2/gi, `$1$2${REDACTED}$2`],
+  // Stored ciphertext
+  [/enc1:[A-Za-z0-9+/=.]+/g, `enc1:${REDACTED}`],
+];
+
+/**
+ * Replace token-like secrets in a string.
+ * @param {string} text
+ * @returns {string}
+ */
+export function redactSecrets(text) {
+  let out = String(text);
+  for (const [re, replacement] of PATTERNS) out = out.replace(re, replacement);
+  return out;
+}
+
+let installed = false;
+
+/**
+ * Patch console.log/info/warn/error/debug so every line is redacted.
+ * Safe to call more than once.
+ */
+export function installLogRedaction() {
+  if (installed) return;
+  installed = true;
+
+  for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => original(redactSecrets(util.format(...args)));
+  }
+}
@@ -0,0 +1,444 @@
+'use strict';
+
+/**
+ * Local Ecobee API mock for running the poller end to end without api.ecobee.com.
+ *
+ * Serves the endpoints this service uses (token, thermostatSummary, thermostat,
+ * runtimeReport) from an in-memory model driven by a scenario file. A scenario
+ * lists thermostats plus a timeline of patches applied `at` N seconds after the
+ * scenario starts, e.g. "heat on for 20 minutes then disconnect":
+ *
+ *   { "thermostats": [{ "identifier": "411000000001", "equipmentStatus": "" }],
+ *     "timeline": [
+ *       { "at": 0,    "identifier": "411000000001", "equipmentStatus": "compHeat1,fan" },
+ *       { "at": 1200, "identifier": "411000000001", "equipmentStatus": "", "connected": false }
+ *     ] }
+ *
+ * Usage:
+ *   MOCK_SCENARIO=src/mock/scenarios/heat-then-disconnect.json npm run mock
+ *   ECOBEE_API_BASE_URL=http://localhost:4010 npm start
+ *
+ * Control routes (under /mock) let scripts load scenarios, patch thermostats
+ * and revoke refresh tokens while the poller is running. Writes to
+ * POST /1/thermostat (hvacMode, setHold, resumeProgram) are applied to the
+ * model as timeline patches, so control calls show up on the next poll.
+ */
+
+import express from "express";
+import crypto from "crypto";
+import fs from "fs";
+import { fileURLToPath } from "url";
+
+const INTERVAL_SECONDS = 300;
+const REPORT_COLUMNS = [
+  'auxHeat1', 'auxHeat2', 'auxHeat3',
+  'compCool1', 'compCool2',
+  'compHeat1', 'compHeat2',
+  'fan',
+  'outdoorTemp', 'zoneAveTemp', 'zoneHumidity',
+  'hvacMode'
+];
+const SETTINGS_FIELDS = ['name', 'hvacMode', 'desiredHeatF', 'desiredCoolF', 'events'];
+
+const DEFAULT_THERMOSTAT = {
+  name: "Mock Thermostat",
+  modelNumber: "athenaSmart",
+  version: "4.8.7.1",
+  connected: true,
+  equipmentStatus: "",
+  hvacMode: "auto",
+  temperatureF: 70,
+  humidity: 40,
+  desiredHeatF: 68,
+  desiredCoolF: 75,
+  outdoorTemperatureF: 45,
+  outdoorHumidity: 60,
+  alertsRev: "000000000000",
+  // Equipment settings (validated by the control API)
+  heatStages: 1,
+  coolStages: 1,
+  hasHeatPump: false,
+  hasForcedAir: true,
+  autoHeatCoolFeatureEnabled: true,
+  heatRangeLowF: 45,
+  heatRangeHighF: 79,
+  coolRangeLowF: 65,
+  coolRangeHighF: 92,
+  heatCoolMinDeltaF: 5
+};
+
+/* -------------------------------------------------------------------------- */
+/*                               Scenario model                               */
+/* -------------------------------------------------------------------------- */
+function createState() {
+  return {
+    startedAt: Date.now(),
+    timeScale: 1,
+    strictAuth: false,
+    thermostats: new Map(),   // identifier -> { base, history: [{ atMs, patch }] }
+    refreshTokens: new Set(),
+    retiredRefreshTokens: new Set(),
+    accessTokens: new Set(),
+    revoked: false
+  };
+}
+
+function loadScenario(state, scenario = {}) {
+  const fresh = createState();
+  Object.assign(state, fresh);
+  state.timeScale = Number(scenario.timeScale) > 0 ? Number(scenario.timeScale) : 1;
+  state.strictAuth = !!scenario.strictAuth;
+
+  for (const t of scenario.thermostats || []) {
+    if (!t.identifier) throw new Error("Scenario thermostat missing identifier");
+    state.thermostats.set(String(t.identifier), {
+      base: { ...DEFAULT_THERMOSTAT, ...t, identifier: String(t.identifier) },
+      history: [{ atMs: state.startedAt, patch: {} }]
+    });
+  }
+
+  for (const step of scenario.timeline || []) {
+    const { at = 0, identifier, ...patch } = step;
+    const entry = state.thermostats.get(String(identifier));
+    if (!entry) throw new Error(`Timeline step references unknown thermostat ${identifier}`);
+    entry.history.push({ atMs: state.startedAt + (Number(at) * 1000) / state.timeScale, patch });
+  }
+  for (const entry of state.thermostats.values()) {
+    entry.history.sort((a, b) => a.atMs - b.atMs);
+  }
+
+  for (const token of scenario.refreshTokens || []) state.refreshTokens.add(token);
+}
+
+function stateAt(entry, atMs) {
+  let current = { ...entry.base };
+  for (const h of entry.history) {
+    if (h.atMs > atMs) break;
+    current = { ...current, ...h.patch };
+  }
+  return current;
+}
+
+/**
+ * Segments of constant state between fromMs and toMs, used to build runtime reports.
+ */
+function segmentsBetween(entry, fromMs, toMs) {
+  const changes = entry.history.map(h => h.atMs).filter(t => t > fromMs && t < toMs);
+  const bounds = [fromMs, ...changes, toMs];
+  const segments = [];
+  for (let i = 0; i < bounds.length - 1; i++) {
+    segments.push({ start: bounds[i], end: bounds[i + 1], state: stateAt(entry, bounds[i]) });
+  }
+  return segments;
+}
+
+/* -------------------------------------------------------------------------- */
+/*                              Ecobee formatting                             */
+/* -------------------------------------------------------------------------- */
+// Ecobee revisions are UTC timestamps formatted as YYMMDDHHMMSS
+function formatRev(ms) {
+  return new Date(ms).toISOString().replace(/[-:T]/g, "").slice(2, 14);
+}
+
+function lastChangeMs(entry, nowMs, fields = null) {
+  let last = entry.history[0]?.atMs ?? nowMs;
+  for (const h of entry.history) {
+    if (h.atMs > nowMs) break;
+    if (!fields || Object.keys(h.patch).some(k => fields.includes(k))) last = h.atMs;
+  }
+  return last;
+}
+
+function revisionFor(entry, nowMs) {
+  const s = stateAt(entry, nowMs);
+  const thermostatRev = formatRev(lastChangeMs(entry, nowMs, SETTINGS_FIELDS));
+  const runtimeRev = formatRev(lastChangeMs(entry, nowMs));
+  const intervalRev = formatRev(Math.floor(nowMs / (INTERVAL_SECONDS * 1000)) * INTERVAL_SECONDS * 1000);
+  return [s.identifier, s.name, s.connected ? "true" : "false", thermostatRev, s.alertsRev, runtimeRev, intervalRev].join(":");
+}
+
+const tenths = (f) => (typeof f === "number" ? Math.round(f * 10) : null);
+
+function thermostatObject(s, selection) {
+  const t = {
+    identifier: s.identifier,
+    name: s.name,
+    modelNumber: s.modelNumber,
+    version: s.version,
+    isRegistered: true,
+    equipmentStatus: s.equipmentStatus
+  };
+  if (selection.includeRuntime) {
+    t.runtime = {
+      connected: !!s.connected,
+      actualTemperature: tenths(s.temperatureF),
+      actualHumidity: s.humidity,
+      desiredHeat: tenths(s.desiredHeatF),
+      desiredCool: tenths(s.desiredCoolF)
+    };
+  }
+  if (selection.includeSettings) {
+    t.settings = {
+      hvacMode: s.hvacMode,
+      heatStages: s.heatStages,
+      coolStages: s.coolStages,
+      hasHeatPump: !!s.hasHeatPump,
+      hasForcedAir: !!s.hasForcedAir,
+      autoHeatCoolFeatureEnabled: !!s.autoHeatCoolFeatureEnabled,
+      heatRangeLow: tenths(s.heatRangeLowF),
+      heatRangeHigh: tenths(s.heatRangeHighF),
+      coolRangeLow: tenths(s.coolRangeLowF),
+      coolRangeHigh: tenths(s.coolRangeHighF),
+      heatCoolMinDelta: tenths(s.heatCoolMinDeltaF)
+    };
+  }
+  if (selection.includeSensors) {
+    // Thermostat's own sensor first, then any scenario remote sensors
+    const sensors = [{ id: "ei:0", name: s.name, type: "thermostat", temperatureF: s.temperatureF, humidity: s.humidity, occupancy: s.occupancy ?? false }, ...(s.sensors || [])];
+    t.remoteSensors = sensors.map(rs => ({
+      id: rs.id,
+      name: rs.name,
+      type: rs.type || "ecobee3_remote_sensor",
+      inUse: rs.inUse !== false,
+      capability: [
+        { id: "1", type: "temperature", value: typeof rs.temperatureF === "number" ? String(tenths(rs.temperatureF)) : "unknown" },
+        ...(rs.humidity !== undefined ? [{ id: "2", type: "humidity", value: String(rs.humidity) }] : []),
+        { id: "3", type: "occupancy", value: rs.occupancy === undefined ? "unknown" : String(!!rs.occupancy) }
+      ]
+    }));
+  }
+  if (selection.includeEvents) {
+    // Raw Ecobee event objects from the scenario (type, running, startDate, heatHoldTemp, ...)
+    t.events = s.events || [];
+  }
+  if (selection.includeAlerts) {
+    // Raw Ecobee alert objects from the scenario; bump alertsRev alongside them
+    t.alerts = s.alerts || [];
+  }
+  if (selection.includeWeather) {
+    t.weather = { temperature: tenths(s.outdoorTemperatureF), relativeHumidity: s.outdoorHumidity };
+  }
+  return t;
+}
+
+// Ecobee event dates are thermostat-local; the mock uses UTC wall time
+function ecobeeDateTime(ms) {
+  const iso = new Date(ms).toISOString();
+  return { date: iso.slice(0, 10), time: iso.slice(11, 19) };
+}
+
+/**
+ * Translate a POST /1/thermostat body into a state patch for one thermostat.
+ * Returns null when a function type is not supported.
+ */
+function patchFromUpdate(entry, body, nowMs) {
+  const s = stateAt(entry, nowMs);
+  const patch = {};
+  let events = [...(s.events || [])];
+  const holds = () => events.filter(e => e.type === "hold");
+
+  if (body.thermostat?.settings?.hvacMode) patch.hvacMode = body.thermostat.settings.hvacMode;
+
+  for (const fn of body.functions || []) {
+    const p = fn.params || {};
+    if (fn.type === "setHold") {
+      const start = ecobeeDateTime(nowMs);
+      const end = p.holdType === "holdHours" ? ecobeeDateTime(nowMs + p.holdHours * 3600_000) : { date: "2035-01-01", time: "00:00:00" };
+      events = [{
+        type: "hold", name: "auto", running: true,
+        startDate: start.date, startTime: start.time, endDate: end.date, endTime: end.time,
+        isOccupied: true, isTemperatureAbsolute: true, isTemperatureRelative: false,
+        heatHoldTemp: p.heatHoldTemp, coolHoldTemp: p.coolHoldTemp, fan: p.fan || "auto", holdClimateRef: ""
+      }, ...events.filter(e => e.type !== "hold")];
+      patch.desiredHeatF = p.heatHoldTemp / 10;
+      patch.desiredCoolF = p.coolHoldTemp / 10;
+    } else if (fn.type === "resumeProgram") {
+      const first = holds()[0];
+      events = p.resumeAll ? events.filter(e => e.type !== "hold") : events.filter(e => e !== first);
+      if (!holds().length) {
+        patch.desiredHeatF = entry.base.desiredHeatF;
+        patch.desiredCoolF = entry.base.desiredCoolF;
+      }
+    } else {
+      return null;
+    }
+    patch.events = events;
+  }
+  return patch;
+}
+
+function selectedEntries(state, selection = {}) {
+  if (selection.selectionType === "thermostats") {
+    const ids = String(selection.selectionMatch || "").split(",").map(x => x.trim()).filter(Boolean);
+    return ids.map(id => state.thermostats.get(id)).filter(Boolean);
+  }
+  return [...state.thermostats.values()];
+}
+
+function buildRuntimeReport(entry, startDate, endDate, columns, nowMs) {
+  const fromMs = Date.parse(`${startDate}T00:00:00Z`);
+  const toMs = Math.min(Date.parse(`${endDate}T00:00:00Z`) + 86_400_000, nowMs);
+  const rowList = [["Date", "Time", ...columns].join(",")];
+
+  for (let t = fromMs; t + INTERVAL_SECONDS * 1000 <= toMs; t += INTERVAL_SECONDS * 1000) {
+    const segs = segmentsBetween(entry, t, t + INTERVAL_SECONDS * 1000);
+    const endState = segs[segs.length - 1].state;
+    const values = columns.map(col => {
+      if (col === "outdoorTemp") return tenths(endState.outdoorTemperatureF) ?? "";
+      if (col === "zoneAveTemp") return tenths(endState.temperatureF) ?? "";
+      if (col === "zoneHumidity") return endState.humidity ?? "";
+      if (col === "hvacMode") return endState.hvacMode;
+      return Math.round(segs.reduce((sum, seg) => {
+        const tokens = String(seg.state.equipmentStatus || "").split(",").map(x => x.trim());
+        return tokens.includes(col) ? sum + (seg.end - seg.start) / 1000 : sum;
+      }, 0));
+    });
+    const iso = new Date(t).toISOString();
+    rowList.push([iso.slice(0, 10), iso.slice(11, 19), ...values].join(","));
+  }
+
+  return { thermostatIdentifier: entry.base.identifier, rowCount: rowList.length - 1, rowList };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   Server                                   */
+/* -------------------------------------------------------------------------- */
+const ok = { code: 0, message: "" };
+
+export function buildMockServer(initialScenario = {}) {
+  const state = createState();
+  loadScenario(state, initialScenario);
+
+  const app = express();
+  app.use(express.json({ limit: "1mb" }));
+  app.use(express.urlencoded({ extended: false }));
+
+  const parseJsonQuery = (req) => {
+    try {
+      return JSON.parse(req.query.json || "{}");
+    } catch {
+      return null;
+    }
+  };
+
+  const requireToken = (req, res, next) => {
+    const token = (req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+    if (!token || (state.strictAuth && !state.accessTokens.has(token))) {
+      return res.status(401).json({ status: { code: 14, message: "Authentication token has expired. Refresh your tokens." } });
+    }
+    next();
+  };
+
+  app.post("/token", (req, res) => {
+    const { grant_type, refresh_token } = req.body || {};
+    if (grant_type !== "refresh_token" || !refresh_token) {
+      return res.status(400).json({ error: "invalid_request", error_description: "grant_type and refresh_token are required" });
+    }
+    // Ecobee rotates refresh tokens: a used token is invalid from then on
+    const known = !state.strictAuth || state.refreshTokens.has(refresh_token);
+    if (state.revoked || state.retiredRefreshTokens.has(refresh_token) || !known) {
+      return res.status(400).json({ error: "invalid_grant", error_description: "The authorization grant, token or redirect URI is invalid." });
+    }
+
+    state.refreshTokens.delete(refresh_token);
+    state.retiredRefreshTokens.add(refresh_token);
+    const next = {
+      access_token: crypto.randomBytes(16).toString("hex"),
+      refresh_token: crypto.randomBytes(16).toString("hex")
+    };
+    state.accessTokens.add(next.access_token);
+    state.refreshTokens.add(next.refresh_token);
+    res.json({ ...next, token_type: "Bearer", expires_in: 3600, scope: "smartWrite" });
+  });
+
+  app.get("/1/thermostatSummary", requireToken, (req, res) => {
+    const q = parseJsonQuery(req);
+    if (!q) return res.status(400).json({ status: { code: 4, message: "Serialization error." } });
+    const now = Date.now();
+    const entries = selectedEntries(state, q.selection);
+    res.json({
+      revisionList: entries.map(e => revisionFor(e, now)),
+      thermostatCount: entries.length,
+      statusList: entries.map(e => `${e.base.identifier}:${stateAt(e, now).equipmentStatus || ""}`),
+      status: ok
+    });
+  });
+
+  app.get("/1/thermostat", requireToken, (req, res) => {
+    const q = parseJsonQuery(req);
+    if (!q) return res.status(400).json({ status: { code: 4, message: "Serialization error." } });
+    const now = Date.now();
+    const thermostatList = selectedEntries(state, q.selection).map(e => thermostatObject(stateAt(e, now), q.selection || {}));
+    res.json({ page: { page: 1, totalPages: 1, pageSize: thermostatList.length, total: thermostatList.length }, thermostatList, status: ok });
+  });
+
+  app.post("/1/thermostat", requireToken, (req, res) => {
+    const body = req.body || {};
+    const now = Date.now();
+    const entries = selectedEntries(state, body.selection);
+    if (!entries.length) return res.status(400).json({ status: { code: 3, message: "Invalid selection." } });
+
+    const patches = entries.map(e => patchFromUpdate(e, body, now));
+    if (patches.some(p => p === null)) {
+      return res.status(400).json({ status: { code: 4, message: "Unsupported function." } });
+    }
+    entries.forEach((e, i) => e.history.push({ atMs: now, patch: patches[i] }));
+    res.json({ status: ok });
+  });
+
+  app.get("/1/runtimeReport", requireToken, (req, res) => {
+    const q = parseJsonQuery(req);
+    if (!q?.startDate) return res.status(400).json({ status: { code: 4, message: "startDate is required." } });
+    const columns = String(q.columns || REPORT_COLUMNS.join(",")).split(",").map(c => c.trim()).filter(Boolean);
+    const now = Date.now();
+    const reportList = selectedEntries(state, q.selection).map(e =>
+      buildRuntimeReport(e, q.startDate, q.endDate || q.startDate, columns, now)
+    );
+    res.json({ startDate: q.startDate, endDate: q.endDate || q.startDate, columns: columns.join(","), reportList, status: ok });
+  });
+
+  /* ----------------------------- Control routes ---------------------------- */
+  app.post("/mock/scenario", (req, res) => {
+    try {
+      loadScenario(state, req.body || {});
+      res.json({ ok: true, thermostats: [...state.thermostats.keys()] });
+    } catch (e) {
+      res.status(400).json({ ok: false, error: e.message });
+    }
+  });
+
+  app.get("/mock/thermostats", (_req, res) => {
+    const now = Date.now();
+    res.json({
+      ok: true,
+      thermostats: [...state.thermostats.values()].map(e => ({ ...stateAt(e, now), revision: revisionFor(e, now) }))
+    });
+  });
+
+  app.post("/mock/thermostats/:identifier", (req, res) => {
+    const entry = state.thermostats.get(req.params.identifier);
+    if (!entry) return res.status(404).json({ ok: false, error: "Unknown thermostat" });
+    entry.history.push({ atMs: Date.now(), patch: req.body || {} });
+    res.json({ ok: true, thermostat: stateAt(entry, Date.now()) });
+  });
+
+  app.post("/mock/revoke", (_req, res) => {
+    state.revoked = true;
+    res.json({ ok: true, revoked: true });
+  });
+
+  return app;
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                 Entrypoint                                 */
+/* -------------------------------------------------------------------------- */
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.MOCK_PORT || 4010);
+  const scenarioPath = process.env.MOCK_SCENARIO;
+  const scenario = scenarioPath ? JSON.parse(fs.readFileSync(scenarioPath, "utf8")) : {};
+
+  buildMockServer(scenario).listen(port, () => {
+    console.log(`🧪 Ecobee mock on :${port}${scenarioPath ? ` (scenario: ${scenarioPath})` : ""}`);
+  });
+}
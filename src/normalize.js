@@ -1,4 +1,5 @@
-import { tenthsFToF, parseEquipStatus } from "./util.js";
+import { tenthsFToF } from "./util.js";
+import { parseEquipmentState } from "./equipmentState.js";
 
 /**
  * Convert Ecobee summary statusList to a map of hvacId -> status
@@ -54,6 +55,63 @@ export function parseRuntimeRevFromRevision(revisionString) {
   return null;
 }
 
+/**
+ * Parse the thermostatRev from the revision string
+ * Format: "identifier:name:connected:thermostatRev:alertsRev:runtimeRev:intervalRev"
+ * @returns {string|null} - thermostatRev or null if not found
+ */
+export function parseThermostatRevFromRevision(revisionString) {
+  if (!revisionString) return null;
+  const parts = revisionString.split(":");
+  if (parts.length >= 4) {
+    return parts[3] || null;
+  }
+  return null;
+}
+
+/**
+ * Parse the alertsRev from the revision string
+ * Format: "identifier:name:connected:thermostatRev:alertsRev:runtimeRev:intervalRev"
+ * @returns {string|null} - alertsRev or null if not found
+ */
+export function parseAlertsRevFromRevision(revisionString) {
+  if (!revisionString) return null;
+  const parts = revisionString.split(":");
+  if (parts.length >= 5) {
+    return parts[4] || null;
+  }
+  return null;
+}
+
+/**
+ * Parse the intervalRev from the revision string
+ * Format: "identifier:name:connected:thermostatRev:alertsRev:runtimeRev:intervalRev"
+ * @returns {string|null} - intervalRev or null if not found
+ */
+export function parseIntervalRevFromRevision(revisionString) {
+  if (!revisionString) return null;
+  const parts = revisionString.split(":");
+  if (parts.length >= 7) {
+    return parts[6] || null;
+  }
+  return null;
+}
+
+/**
+ * Split a revision string into the four components that drive fetching:
+ * thermostatRev (settings/program/events), alertsRev (alerts),
+ * runtimeRev (runtime + sensors) and intervalRev (5-minute report intervals).
+ * @returns {object} { thermostatRev, alertsRev, runtimeRev, intervalRev } (null when absent)
+ */
+export function parseRevisionComponents(revisionString) {
+  return {
+    thermostatRev: parseThermostatRevFromRevision(revisionString),
+    alertsRev: parseAlertsRevFromRevision(revisionString),
+    runtimeRev: parseRuntimeRevFromRevision(revisionString),
+    intervalRev: parseIntervalRevFromRevision(revisionString),
+  };
+}
+
 /**
  * Normalize full thermostat data from Ecobee details API
  * Includes indoor temp/humidity, outdoor weather, firmware, and serial metadata.
@@ -63,8 +121,8 @@ export function parseRuntimeRevFromRevision(revisionString) {
  * @param {object} details - response body from fetchThermostatDetails()
  * @param {string} revisionString - full revision string from Ecobee (optional)
  */
-export function normalizeFromDetails({ user_id, hvac_id, isReachable }, equipStatus, details, revisionString = null) {
-  const parsed = parseEquipStatus(equipStatus);
+export function normalizeFromDetails({ user_id, hvac_id, isReachable, profile = null }, equipStatus, details, revisionString = null) {
+  const parsed = parseEquipmentState(equipStatus, profile);
   const runtimeRev = parseRuntimeRevFromRevision(revisionString);
 
   let actualTemperatureF = null;
@@ -147,3 +205,231 @@ export function normalizeFromDetails({ user_id, hvac_id, isReachable }, equipSta
     isReachable
   };
 }
+
+/**
+ * Normalize remote sensor readings from Ecobee details API (includeSensors).
+ * Each sensor exposes a capability list; temperature is tenths of °F and any
+ * capability may report "unknown" when the sensor is out of range.
+ *
+ * @param {object} args - { hvac_id }
+ * @param {object} details - response body from fetchThermostatDetails()
+ * @returns {object[]} [{ hvacId, sensorId, sensorName, sensorType, temperatureF, humidity, occupancy, inUse }]
+ */
+export function normalizeSensorsFromDetails({ hvac_id }, details) {
+  const sensors = details?.thermostatList?.[0]?.remoteSensors;
+  if (!Array.isArray(sensors)) return [];
+
+  return sensors
+    .filter((sensor) => sensor?.id)
+    .map((sensor) => {
+      const capability = (type) => (sensor.capability || []).find((c) => c.type === type)?.value;
+      const numeric = (v) => {
+        if (v === undefined || v === null || v === "" || v === "unknown") return null;
+        const n = Number(v);
+        return Number.isFinite(n) ? n : null;
+      };
+
+      const rawTemp = numeric(capability("temperature"));
+      const rawOccupancy = capability("occupancy");
+
+      return {
+        hvacId: hvac_id,
+        sensorId: sensor.id,
+        sensorName: sensor.name || null,
+        sensorType: sensor.type || null,
+        temperatureF: rawTemp === null ? null : tenthsFToF(rawTemp),
+        humidity: numeric(capability("humidity")),
+        occupancy: rawOccupancy === undefined || rawOccupancy === "unknown" ? null : String(rawOccupancy) === "true",
+        inUse: sensor.inUse !== false,
+      };
+    });
+}
+
+// Ecobee event.type -> Core event family
+const THERMOSTAT_EVENT_KINDS = {
+  hold: "HOLD",
+  vacation: "VACATION",
+  demandResponse: "DEMAND_RESPONSE",
+  quickSave: "HOLD",
+  autoAway: "HOLD",
+  autoHome: "HOLD",
+};
+
+function eventOrigin(event) {
+  switch (event.type) {
+    case "demandResponse": return "utility";
+    case "vacation": return "vacation";
+    case "quickSave": return "quick_save";
+    case "autoAway":
+    case "autoHome": return "smart_occupancy";
+    default: return event.holdClimateRef ? `climate:${event.holdClimateRef}` : "manual";
+  }
+}
+
+/**
+ * Normalize running events (holds, vacations, demand response) from Ecobee
+ * details API (includeEvents). Start/end are thermostat-local wall time.
+ *
+ * @param {object} details - response body from fetchThermostatDetails()
+ * @returns {object[]} [{ eventKey, kind, ecobeeType, name, origin, startLocal, endLocal, heatHoldF, coolHoldF, ... }]
+ */
+export function normalizeEventsFromDetails(details) {
+  const events = details?.thermostatList?.[0]?.events;
+  if (!Array.isArray(events)) return [];
+
+  return events
+    .filter((e) => e?.running && THERMOSTAT_EVENT_KINDS[e.type])
+    .map((e) => {
+      const startLocal = e.startDate ? `${e.startDate} ${e.startTime || "00:00:00"}` : null;
+      const endLocal = e.endDate ? `${e.endDate} ${e.endTime || "00:00:00"}` : null;
+      return {
+        eventKey: `${e.type}:${e.name || ""}:${startLocal || ""}`,
+        kind: THERMOSTAT_EVENT_KINDS[e.type],
+        ecobeeType: e.type,
+        name: e.name || null,
+        origin: eventOrigin(e),
+        startLocal,
+        endLocal,
+        heatHoldF: e.isHeatOff ? null : tenthsFToF(e.heatHoldTemp),
+        coolHoldF: e.isCoolOff ? null : tenthsFToF(e.coolHoldTemp),
+        holdClimateRef: e.holdClimateRef || null,
+        isOccupied: typeof e.isOccupied === "boolean" ? e.isOccupied : null,
+        fan: e.fan || null,
+        isOptional: typeof e.isOptional === "boolean" ? e.isOptional : null,
+      };
+    });
+}
+
+// Ecobee alert.notificationType values that are filter/consumable reminders
+const FILTER_NOTIFICATION_TYPES = new Set(["furnaceFilter", "airFilter", "humidifierFilter", "dehumidifierFilter", "airCleaner", "uvLamp"]);
+
+function alertCategory(alert) {
+  const type = alert.notificationType || "";
+  if (FILTER_NOTIFICATION_TYPES.has(type)) return "filter";
+  if (type === "lowTemp") return "low_temperature";
+  if (type === "highTemp") return "high_temperature";
+  if (type === "lowHumidity" || type === "highHumidity") return "humidity";
+  if (type === "hvac" || type === "auxHeat" || type === "auxOutdoor" || type === "ac") return "hvac_failure";
+  if (alert.reminder || ["ventilator", "humidifier"].includes(type)) return "maintenance";
+  return "other";
+}
+
+/**
+ * Normalize alerts from Ecobee details API (includeAlerts).
+ * Alerts are identified by acknowledgeRef, which we use for dedupe.
+ *
+ * @param {object} details - response body from fetchThermostatDetails()
+ * @returns {object[]} [{ acknowledgeRef, alertNumber, alertType, notificationType, severity, text, category, isFilterReminder, dateLocal, acknowledgement }]
+ */
+export function normalizeAlertsFromDetails(details) {
+  const alerts = details?.thermostatList?.[0]?.alerts;
+  if (!Array.isArray(alerts)) return [];
+
+  return alerts
+    .filter((a) => a?.acknowledgeRef)
+    .map((a) => {
+      const category = alertCategory(a);
+      return {
+        acknowledgeRef: a.acknowledgeRef,
+        alertNumber: a.alertNumber ?? null,
+        alertType: a.alertType || null,
+        notificationType: a.notificationType || null,
+        severity: a.severity || null,
+        text: a.text || null,
+        category,
+        isFilterReminder: category === "filter",
+        dateLocal: a.date ? `${a.date} ${a.time || "00:00:00"}` : null,
+        acknowledgement: a.acknowledgement || null,
+      };
+    });
+}
+
+// Ecobee modelNumber → marketing name used as the Core device model
+const ECOBEE_MODEL_NAMES = {
+  idtSmart: "ecobee Smart",
+  idtEms: "ecobee Smart EMS",
+  siSmart: "ecobee Smart Si",
+  siEms: "ecobee Smart Si EMS",
+  athenaSmart: "ecobee3",
+  athenaEms: "ecobee3 EMS",
+  corSmart: "Carrier Cor",
+  nikeSmart: "ecobee3 lite",
+  nikeEms: "ecobee3 lite EMS",
+  apolloSmart: "ecobee4",
+  vulcanSmart: "ecobee SmartThermostat",
+  aresSmart: "ecobee Smart Thermostat Premium",
+  artemisSmart: "ecobee Smart Thermostat Enhanced",
+};
+
+/**
+ * Build the equipment capability profile from Ecobee details (includeSettings).
+ * For heat pump systems Ecobee counts the compressor in coolStages and reports
+ * backup strips as heatStages/auxHeat*; for furnace/boiler systems heatStages
+ * are the primary heat and show up as auxHeat* in equipmentStatus.
+ *
+ * @param {object} details - response body from fetchThermostatDetails()
+ * @returns {object|null} profile, or null when settings were not returned
+ */
+export function normalizeEquipmentProfileFromDetails(details) {
+  const t = details?.thermostatList?.[0];
+  if (!t?.settings) return null;
+
+  const s = t.settings;
+  const heatStages = Number(s.heatStages) || 0;
+  const coolStages = Number(s.coolStages) || 0;
+  const hasHeatPump = s.hasHeatPump === true;
+  const ventilatorType = s.ventilatorType && s.ventilatorType !== "none" ? s.ventilatorType : null;
+
+  let heatSource = "none";
+  if (hasHeatPump) heatSource = s.heatPumpGroundWater ? "geothermal_heat_pump" : "heat_pump";
+  else if (s.hasBoiler) heatSource = "boiler";
+  else if (s.hasElectric) heatSource = "electric";
+  else if (heatStages > 0) heatSource = "furnace";
+
+  return {
+    modelNumber: t.modelNumber || null,
+    model: ECOBEE_MODEL_NAMES[t.modelNumber] || "Ecobee Thermostat",
+    heatSource,
+    heatStages,
+    coolStages,
+    hasHeatPump,
+    heatPumpStages: hasHeatPump ? coolStages : 0,
+    hasAuxHeat: hasHeatPump && heatStages > 0,
+    auxHeatStages: hasHeatPump ? heatStages : 0,
+    hasForcedAir: s.hasForcedAir === true,
+    hasBoiler: s.hasBoiler === true,
+    hasElectric: s.hasElectric === true,
+    hasHumidifier: s.hasHumidifier === true,
+    hasVentilator: ventilatorType !== null || s.hasErv === true || s.hasHrv === true,
+    ventilatorType,
+    hasErv: s.hasErv === true,
+    hasHrv: s.hasHrv === true,
+    hasUvFilter: s.hasUVFilter === true,
+    autoHeatCoolEnabled: s.autoHeatCoolFeatureEnabled === true,
+  };
+}
+
+/**
+ * Location fields from Ecobee details (includeLocation). Street address and
+ * phone number are left out: only what payloads and local-day math need.
+ * timeZoneOffsetMinutes is the zone's standard offset, negative west of UTC.
+ *
+ * @param {object} details - response body from fetchThermostatDetails()
+ * @returns {object|null} location, or null when it was not returned
+ */
+export function normalizeLocationFromDetails(details) {
+  const loc = details?.thermostatList?.[0]?.location;
+  if (!loc) return null;
+
+  const offset = Number(loc.timeZoneOffsetMinutes);
+  const postalCode = loc.postalCode ? String(loc.postalCode).trim() : null;
+  return {
+    timezone: loc.timeZone || null,
+    utcOffsetMinutes: Number.isFinite(offset) ? offset : null,
+    isDaylightSaving: loc.isDaylightSaving === true,
+    postalCode: postalCode || null,
+    city: loc.city || null,
+    provinceState: loc.provinceState || null,
+    country: loc.country || null,
+  };
+}
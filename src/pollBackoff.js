@@ -0,0 +1,70 @@
+'use strict';
+
+import { POLL_BACKOFF_BASE_MS, POLL_BACKOFF_MAX_MS } from './config.js';
+import { ReauthRequiredError, isRevokedAuthError } from './tokenManager.js';
+
+/**
+ * Retry delays for a device whose poll failed.
+ *
+ * The delay doubles with every consecutive failure (attempt is persisted in
+ * ecobee_poll_schedule), is scaled by how the request failed, capped at
+ * POLL_BACKOFF_MAX_MS and jittered so devices that failed together (one
+ * Ecobee outage) do not retry together.
+ */
+
+// Ecobee body status codes that mean the access token was not accepted
+const ECOBEE_AUTH_CODES = new Set([1, 2, 14]);
+// "Processing error": Ecobee-side failure, worth retrying
+const ECOBEE_PROCESSING_ERROR = 3;
+const TIMEOUT_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT']);
+
+// Multiplier on the base delay per failure kind
+const KIND_FACTORS = {
+  auth: 1,         // the poll already refreshed once; a short retry covers refresh races
+  timeout: 1,
+  network: 1,
+  server: 2,
+  unknown: 2,
+  rate_limited: 4,
+  request: 8,      // Ecobee rejected the request itself; retrying fast won't fix it
+};
+
+/**
+ * Classify a poll error for backoff purposes.
+ * @param {Error} err
+ * @returns {string} revoked | auth | rate_limited | server | request | timeout | network | unknown
+ */
+export function classifyPollError(err) {
+  if (err instanceof ReauthRequiredError || isRevokedAuthError(err)) return 'revoked';
+
+  const ecobeeCode = err?.response?.data?.status?.code;
+  const httpStatus = err?.response?.status;
+
+  if (ECOBEE_AUTH_CODES.has(ecobeeCode) || httpStatus === 401 || httpStatus === 403) return 'auth';
+  if (httpStatus === 429) return 'rate_limited';
+  if (ecobeeCode === ECOBEE_PROCESSING_ERROR || httpStatus >= 500) return 'server';
+  if ((ecobeeCode && ecobeeCode !== 0) || httpStatus >= 400) return 'request';
+  if (TIMEOUT_CODES.has(err?.code)) return 'timeout';
+  if (err?.request && !err?.response) return 'network';
+  return 'unknown';
+}
+
+/**
+ * Delay before the next poll after a failure.
+ * @param {Error} err - The poll error
+ * @param {number} attempt - Consecutive failures including this one (1-based)
+ * @returns {{ kind: string, delayMs: number }}
+ */
+export function pollBackoff(err, attempt) {
+  const kind = classifyPollError(err);
+
+  // Revoked links are excluded from polling until re-linked, which resets the schedule
+  if (kind === 'revoked') return { kind, delayMs: POLL_BACKOFF_MAX_MS };
+
+  const exponent = Math.min(Math.max(attempt, 1) - 1, 20);
+  const ceiling = Math.min(POLL_BACKOFF_MAX_MS, POLL_BACKOFF_BASE_MS * KIND_FACTORS[kind] * 2 ** exponent);
+
+  // Equal jitter: at least half the delay, so retries never collapse to zero
+  const delayMs = Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+  return { kind, delayMs };
+}
@@ -1,62 +1,171 @@
 // poller-adaptive.js
 'use strict';
 
-import { loadAllTokens } from './db.js';
-import { processThermostat } from './poller.js'; // ← your existing function
+import { loadActiveTokens, claimDuePolls, getPollSchedule, releasePollClaims } from './db.js';
+import { pollThermostatNow, recordPollResult } from './poller.js';
+import { ReauthRequiredError } from './tokenManager.js';
+import { ownsDevice } from './leases.js';
+import { INSTANCE_ID, POLL_CLAIM_TTL_MS } from './config.js';
 import { nowUtc } from './util.js';
 
 /* -------------------------------------------------------------------------- */
 /*                          Adaptive Poll Scheduler                           */
 /* -------------------------------------------------------------------------- */
+// One timer per thermostat, re-armed from runtime.js nextPollSeconds hints.
+// Selected with POLL_MODE=adaptive; link/unlink routes and lease changes add
+// and remove devices. Timers are only a local wake-up: the due time lives in
+// ecobee_poll_schedule, so a restart resumes where the last process left off.
+
+const MIN_DELAY_SEC = 60;
+const MAX_DELAY_SEC = 900;
+const DEFAULT_DELAY_SEC = 180;
+// Only when the schedule itself can't be read; poll failures use pollBackoff.js
+const CLAIM_RETRY_SEC = 60;
+
+const devices = new Map(); // hvac_id -> { timer, inFlight }
+let running = false;
 
 export async function startPollerAdaptive() {
-  const tokens = await loadAllTokens();
-  if (!tokens.length) {
-    console.log('⚠️ No thermostats found — exiting adaptive poller.');
-    return;
+  running = true;
+  const tokens = (await loadActiveTokens()).filter((t) => ownsDevice(t.hvac_id));
+  console.log(`\n🚀 Starting Adaptive Ecobee Poller — ${tokens.length} leased device(s) @ ${nowUtc()}`);
+
+  for (const { hvac_id } of tokens) {
+    await armFromSchedule(hvac_id);
   }
+}
 
-  console.log(`\n🚀 Starting Adaptive Ecobee Poller — ${tokens.length} device(s) @ ${nowUtc()}`);
+// Arm the timer from the persisted next_poll_at (due now when there is no row yet)
+async function armFromSchedule(hvac_id) {
+  const schedule = await getPollSchedule(hvac_id);
+  const dueInMs = schedule ? new Date(schedule.next_poll_at).getTime() - Date.now() : 0;
+  scheduleDevice(hvac_id, Math.max(0, dueInMs));
+}
 
-  for (const token of tokens) {
-    scheduleDevicePoll(token);
-  }
+function scheduleDevice(hvac_id, delayMs) {
+  if (!running) return;
+
+  const entry = devices.get(hvac_id) || { timer: null, inFlight: null };
+  clearTimeout(entry.timer);
+  entry.timer = setTimeout(() => runDevice(hvac_id), delayMs);
+  devices.set(hvac_id, entry);
 }
 
 /**
- * Per-device scheduler that re-schedules itself based on runtime feedback.
+ * Poll one device and re-schedule it based on runtime feedback.
  */
-async function scheduleDevicePoll(token) {
-  const { hvac_id } = token;
+async function runDevice(hvac_id) {
+  const entry = devices.get(hvac_id);
+  if (!running || !entry) return;
+  entry.timer = null;
+
+  const start = Date.now();
+  // Unlinked (or stopped) while polling → don't re-arm
+  const reschedule = (delayMs) => {
+    if (devices.get(hvac_id) === entry) scheduleDevice(hvac_id, delayMs);
+  };
 
   const run = async () => {
-    const start = Date.now();
+    let claim;
     try {
-      const result = await processThermostat(token);
+      [claim] = await claimDuePolls(INSTANCE_ID, { dueBy: new Date(), claimTtlMs: POLL_CLAIM_TTL_MS, limit: 1, hvac_id });
+      if (!claim) {
+        // Not due any more, or another worker is polling it right now
+        const schedule = await getPollSchedule(hvac_id);
+        if (!schedule) {
+          devices.delete(hvac_id);
+          return;
+        }
+        const dueInMs = new Date(schedule.next_poll_at).getTime() - Date.now();
+        reschedule(dueInMs > 0 ? dueInMs : MIN_DELAY_SEC * 1000);
+        return;
+      }
+    } catch (err) {
+      console.error(`[${hvac_id}] ✗ Could not claim poll: ${err.message}`);
+      reschedule(CLAIM_RETRY_SEC * 1000);
+      return;
+    }
+
+    try {
+      const result = await pollThermostatNow(hvac_id);
+      if (!result) {
+        await releasePollClaims(INSTANCE_ID, [hvac_id]);
+        console.log(`[${hvac_id}] ⏹️ Not linked or not leased here — removed from adaptive poller`);
+        devices.delete(hvac_id);
+        return;
+      }
 
       // Use adaptive delay from runtime handler, defaulting to 180s
-      const delaySec = Math.min(Math.max(result?.nextPollSeconds || 180, 60), 900);
+      const delaySec = Math.min(Math.max(result.nextPollSeconds || DEFAULT_DELAY_SEC, MIN_DELAY_SEC), MAX_DELAY_SEC);
       const elapsed = Math.round((Date.now() - start) / 1000);
+      await recordPollResult(hvac_id, { status: 'fulfilled', value: result }, { nextPollAt: new Date(Date.now() + delaySec * 1000) });
 
       console.log(`[${hvac_id}] ✅ Poll completed in ${elapsed}s — next in ${delaySec}s`);
-      setTimeout(run, delaySec * 1000);
+      reschedule(delaySec * 1000);
     } catch (err) {
+      const retryAt = await recordPollResult(hvac_id, { status: 'rejected', reason: err }, { nextPollAt: null, attempt: claim.attempt });
+
+      // Revoked links stay off the schedule until /ecobee/link re-adds them
+      if (err instanceof ReauthRequiredError) {
+        devices.delete(hvac_id);
+        return;
+      }
       console.error(`[${hvac_id}] ✗ Poll failed: ${err.message}`);
-      const backoff = 300; // 5 min on error
-      console.log(`[${hvac_id}] 💤 Retrying in ${backoff}s`);
-      setTimeout(run, backoff * 1000);
+      reschedule(Math.max(0, retryAt.getTime() - Date.now()));
     }
   };
 
-  // Kick off immediately
-  run();
+  entry.inFlight = run().finally(() => {
+    entry.inFlight = null;
+  });
+}
+
+/* -------------------------------------------------------------------------- */
+/*                          Link / Unlink Hooks                               */
+/* -------------------------------------------------------------------------- */
+/**
+ * Start polling a newly linked or leased thermostat at its persisted due time
+ * (immediately for a fresh link). No-op unless the adaptive poller is running
+ * and this replica holds the lease.
+ */
+export function addAdaptiveDevice(hvac_id) {
+  if (!running || !ownsDevice(hvac_id)) return;
+  const entry = devices.get(hvac_id);
+  if (entry?.inFlight) return; // re-armed when the running poll finishes
+  console.log(`[${hvac_id}] ➕ Added to adaptive poller`);
+  armFromSchedule(hvac_id).catch((e) => {
+    console.warn(`[${hvac_id}] ⚠️ could not read poll schedule, polling now:`, e.message);
+    scheduleDevice(hvac_id, 0);
+  });
+}
+
+/**
+ * Stop polling an unlinked / deleted thermostat. An in-flight poll finishes
+ * but is not re-scheduled.
+ */
+export function removeAdaptiveDevice(hvac_id) {
+  const entry = devices.get(hvac_id);
+  if (!entry) return;
+  clearTimeout(entry.timer);
+  devices.delete(hvac_id);
+  console.log(`[${hvac_id}] ➖ Removed from adaptive poller`);
 }
 
 /* -------------------------------------------------------------------------- */
 /*                               Stop Function                                */
 /* -------------------------------------------------------------------------- */
-let stopRequested = false;
-export function stopPollerAdaptive() {
-  stopRequested = true;
-  console.log('🛑 Adaptive poller stop requested (new timers will not be scheduled).');
+/**
+ * Clear every device timer and wait for in-flight polls to finish.
+ */
+export async function stopPollerAdaptive() {
+  running = false;
+  const inFlight = [];
+  for (const entry of devices.values()) {
+    clearTimeout(entry.timer);
+    if (entry.inFlight) inFlight.push(entry.inFlight);
+  }
+  devices.clear();
+
+  console.log(`🛑 Adaptive poller stopped (${inFlight.length} poll(s) in flight)`);
+  await Promise.allSettled(inFlight);
 }
@@ -1,20 +1,24 @@
 'use strict';
 
-import { isExpiringSoon, parseEquipStatus, nowUtc, sha } from './util.js';
+import { nowUtc, sha } from './util.js';
+import { parseEquipmentState } from './equipmentState.js';
 import {
-  loadAllTokens,
-  updateTokensAfterRefresh,
-  getLastRevision,
-  setLastRevision,
+  loadActiveTokens,
+  loadActiveTokensForHvac,
+  getRevisionState,
+  setRevisionState,
   getRuntime,
   setRuntime,
   getLastHash,
   getLastPostedAt,
   setLastState,
+  claimDuePolls,
+  recordPollSuccess,
+  recordPollFailure,
+  releasePollClaims,
   pool
 } from './db.js';
 import {
-  refreshEcobeeTokens,
   fetchThermostatSummary,
   fetchThermostatDetails
 } from './ecobeeApi.js';
@@ -22,66 +26,209 @@ import {
   mapStatusFromSummary,
   mapRevisionFromSummary,
   normalizeFromDetails,
-  parseConnectedFromRevision
+  parseConnectedFromRevision,
+  parseRevisionComponents
 } from './normalize.js';
+import { PRIORITY } from './requestScheduler.js';
+import { getValidTokens, refreshAfterUnauthorized, ReauthRequiredError } from './tokenManager.js';
 import { handleRuntimeAndMaybePostAdaptive as handleRuntimeAndMaybePost } from './runtime.js';
 import { buildCorePayload, postToCoreIngestAsync } from './coreIngest.js';
+import { handleSensorReadings } from './sensors.js';
+import { handleThermostatEvents } from './thermostatEvents.js';
+import { handleAlerts } from './alerts.js';
+import { syncRuntimeIntervals, RECONSTRUCT_MARGIN_MS } from './runtimeValidator.js';
+import { reconstructMissedSessions } from './sessionReconstruction.js';
+import { reconcileInterruptedSession } from './sessionRecovery.js';
+import { loadDeviceProfile, refreshDeviceProfile } from './deviceProfile.js';
+import { loadDeviceLocation, refreshDeviceLocation } from './deviceLocation.js';
+import { ownsDevice, getLeaseStatus } from './leases.js';
+import { pollBackoff } from './pollBackoff.js';
 import { v4 as uuidv4 } from 'uuid';
-import { ERROR_BACKOFF_MS, POLL_CONCURRENCY, MAX_TIME_BETWEEN_POSTS_MS } from './config.js';
+import {
+  POLL_CONCURRENCY,
+  POLL_INTERVAL_MS,
+  POLL_CLAIM_TTL_MS,
+  MAX_TIME_BETWEEN_POSTS_MS,
+  INSTANCE_ID
+} from './config.js';
 
 /* -------------------------------------------------------------------------- */
 /*                            TOKEN MANAGEMENT                                */
 /* -------------------------------------------------------------------------- */
-async function ensureValidToken(row) {
-  const { user_id, hvac_id } = row;
-  let { access_token, refresh_token, expires_at } = row;
+// Scheduler options for every Ecobee call made on behalf of an account
+const liveRequest = (account) => ({ account: account.accountKey, priority: PRIORITY.LIVE });
 
-  if (isExpiringSoon(expires_at)) {
-    try {
-      const refreshed = await refreshEcobeeTokens(refresh_token);
-      access_token = refreshed.access_token;
-      refresh_token = refreshed.refresh_token;
-      await updateTokensAfterRefresh({
-        user_id,
-        hvac_id,
-        access_token,
-        refresh_token,
-        expires_in: refreshed.expires_in
-      });
-      console.log(`[${hvac_id}] 🔄 token refreshed`);
-    } catch (e) {
-      console.warn(`[${hvac_id}] ⚠️ token refresh failed:`, e?.response?.data || e.message);
-      throw e;
-    }
-  }
-
-  return { access_token, refresh_token };
+async function ensureValidToken(account) {
+  // Refresh (if any) goes through the token manager, which updates every row of the account
+  return getValidTokens(account.rows[0], liveRequest(account));
 }
 
 /* -------------------------------------------------------------------------- */
 /*                         FETCH SUMMARY WITH RETRY                           */
 /* -------------------------------------------------------------------------- */
-async function fetchSummaryWithRetry(row, access_token, refresh_token) {
-  const { user_id, hvac_id } = row;
+async function fetchSummaryWithRetry(account, access_token) {
+  const { accountKey, rows } = account;
+  const requestOpts = liveRequest(account);
   try {
-    return await fetchThermostatSummary(access_token);
+    return { summary: await fetchThermostatSummary(access_token, requestOpts), access_token, requestOpts };
   } catch (e) {
     if (e?.response?.status === 401) {
-      console.log(`[${hvac_id}] 🔄 401 error, refreshing token...`);
-      const refreshed = await refreshEcobeeTokens(refresh_token);
-      await updateTokensAfterRefresh({
-        user_id,
-        hvac_id,
+      console.log(`[${accountKey}] 🔄 401 error, refreshing token...`);
+      const refreshed = await refreshAfterUnauthorized(rows[0], access_token, requestOpts);
+      return {
+        summary: await fetchThermostatSummary(refreshed.access_token, requestOpts),
         access_token: refreshed.access_token,
-        refresh_token: refreshed.refresh_token,
-        expires_in: refreshed.expires_in
-      });
-      return await fetchThermostatSummary(refreshed.access_token);
+        requestOpts
+      };
     }
     throw e;
   }
 }
 
+/* -------------------------------------------------------------------------- */
+/*                          REMOTE SENSOR READINGS                            */
+/* -------------------------------------------------------------------------- */
+// Sensor failures must never block the thermostat state pipeline
+async function recordSensors({ user_id, hvac_id }, details) {
+  if (!details) return;
+  try {
+    await handleSensorReadings({ user_id, hvac_id }, details);
+  } catch (e) {
+    console.warn(`[${hvac_id}] ⚠️ sensor readings failed:`, e.message);
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                     HOLDS / VACATIONS / DEMAND RESPONSE                    */
+/* -------------------------------------------------------------------------- */
+// Returns false on failure so thermostatRev isn't advanced and the events are refetched next tick
+async function recordThermostatEvents({ user_id, hvac_id }, details) {
+  if (!details) return false;
+  try {
+    await handleThermostatEvents({ user_id, hvac_id }, details);
+    return true;
+  } catch (e) {
+    console.warn(`[${hvac_id}] ⚠️ thermostat events failed:`, e.message);
+    return false;
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   ALERTS                                   */
+/* -------------------------------------------------------------------------- */
+async function recordAlerts({ user_id, hvac_id }, details, alertsRev, previousAlertsRev) {
+  if (!details) return;
+  try {
+    // No alerts rev yet (new link): what's there now is the baseline, not new alerts
+    const baseline = !previousAlertsRev;
+    const { seen } = await handleAlerts({ user_id, hvac_id }, details, { baseline });
+    if (baseline && seen) console.log(`[${hvac_id}] 🚨 recorded ${seen} existing alert(s) as seen`);
+    await setRevisionState(hvac_id, { alertsRev });
+  } catch (e) {
+    console.warn(`[${hvac_id}] ⚠️ alerts failed:`, e.message);
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                        RUNTIME REPORT INTERVALS                            */
+/* -------------------------------------------------------------------------- */
+async function recordIntervals({ user_id, hvac_id }, access_token, requestOpts, { fromRev, toRev }) {
+  let synced;
+  try {
+    synced = await syncRuntimeIntervals(access_token, hvac_id, { fromRev, toRev }, requestOpts);
+    await setRevisionState(hvac_id, { intervalRev: toRev });
+    if (synced.stored) console.log(`[${hvac_id}] 📊 Stored ${synced.stored} report interval(s) up to ${toRev}`);
+  } catch (e) {
+    console.warn(`[${hvac_id}] ⚠️ interval sync failed:`, e?.response?.data || e.message);
+    return;
+  }
+
+  // New ground truth: fill any sessions the poller missed (downtime, unreachable)
+  if (!synced.stored) return;
+  try {
+    await reconstructMissedSessions(
+      { user_id, hvac_id },
+      { from: new Date(synced.since.getTime() - RECONSTRUCT_MARGIN_MS), to: synced.until }
+    );
+  } catch (e) {
+    console.warn(`[${hvac_id}] ⚠️ session reconstruction failed:`, e.message);
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                          EQUIPMENT PROFILE                                 */
+/* -------------------------------------------------------------------------- */
+async function recordDeviceProfile({ user_id, hvac_id }, details, thermostatRev, current) {
+  if (!details) return current;
+  let refreshed;
+  try {
+    refreshed = await refreshDeviceProfile({ user_id, hvac_id }, details, thermostatRev);
+  } catch (e) {
+    console.warn(`[${hvac_id}] ⚠️ equipment profile failed:`, e.message);
+    return current;
+  }
+
+  // Core gets the full profile once per change rather than on every event
+  if (refreshed.changed) {
+    try {
+      await postToCoreIngestAsync(buildCorePayload({
+        deviceKey: hvac_id,
+        userId: user_id,
+        eventType: 'DEVICE_PROFILE',
+        isReachable: true,
+        equipmentProfile: refreshed.profile,
+        observedAt: new Date(),
+        sourceEventId: uuidv4(),
+        payloadRaw: refreshed.profile
+      }), 'device-profile');
+    } catch (e) {
+      console.warn(`[${hvac_id}] ⚠️ equipment profile post failed:`, e.message);
+    }
+  }
+  return refreshed.profile;
+}
+
+/* -------------------------------------------------------------------------- */
+/*                            DEVICE LOCATION                                 */
+/* -------------------------------------------------------------------------- */
+async function recordDeviceLocation({ user_id, hvac_id }, details, thermostatRev, current) {
+  if (!details) return current;
+  try {
+    return (await refreshDeviceLocation({ user_id, hvac_id }, details, thermostatRev)).location;
+  } catch (e) {
+    console.warn(`[${hvac_id}] ⚠️ device location failed:`, e.message);
+    return current;
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                       TARGETED DETAILS SELECTION                           */
+/* -------------------------------------------------------------------------- */
+// Each revision component maps to the smallest details selection covering it
+function detailsSelectionFor(changed, profile, location) {
+  return {
+    includeRuntime: changed.runtime,
+    includeSensors: changed.runtime,
+    includeSettings: changed.thermostat || !profile,
+    includeLocation: changed.thermostat || !location,
+    includeEvents: changed.thermostat,
+    includeAlerts: changed.alerts,
+  };
+}
+
+const RUNTIME_STATE_FIELDS = ['actualTemperatureF', 'desiredHeatF', 'desiredCoolF', 'humidity', 'outdoorTemperatureF', 'outdoorHumidity'];
+
+// Sections a targeted fetch skipped keep their last known values
+function carryForwardState(normalized, lastState, selection) {
+  if (!lastState) return normalized;
+  const merged = { ...normalized };
+  if (!selection.includeRuntime) {
+    for (const field of RUNTIME_STATE_FIELDS) merged[field] = lastState[field] ?? null;
+  }
+  if (!selection.includeSettings) merged.hvacMode = lastState.hvacMode ?? null;
+  return merged;
+}
+
 /* -------------------------------------------------------------------------- */
 /*                  DETECT SIGNIFICANT STATE CHANGES                           */
 /* -------------------------------------------------------------------------- */
@@ -104,23 +251,40 @@ function hasSignificantStateChange(prev, current) {
 /* -------------------------------------------------------------------------- */
 /*                        MAIN THERMOSTAT PROCESSOR                            */
 /* -------------------------------------------------------------------------- */
-async function processThermostat(row) {
+/**
+ * Process one thermostat from an account summary.
+ * @returns {Promise<{ nextPollSeconds: number|null }>} adaptive polling hint from runtime.js
+ */
+async function processThermostat(row, { summary, access_token, requestOpts }) {
   const { user_id, hvac_id } = row;
+  let runtimeResult = null;
 
   try {
-    const { access_token, refresh_token } = await ensureValidToken(row);
-    const summary = await fetchSummaryWithRetry(row, access_token, refresh_token);
-
     const statusMap = mapStatusFromSummary(summary);
     const revMap = mapRevisionFromSummary(summary);
     const equipStatus = statusMap.get(hvac_id) ?? '';
     const currentRev = revMap.get(hvac_id) ?? '';
     const isConnectedToEcobee = parseConnectedFromRevision(currentRev);
 
-    const prevRev = await getLastRevision(hvac_id);
+    const stored = await getRevisionState(hvac_id);
+    const prevRev = stored.revision;
     const rt = await getRuntime(hvac_id);
+    let profile = await loadDeviceProfile(hvac_id);
+    let location = await loadDeviceLocation(hvac_id);
     const isReachable = isConnectedToEcobee;
 
+    /* ------------------ No Stored Profile → Fetch Settings First ------------------ */
+    // Interval, recovery and runtime classification all depend on it: without a
+    // heat pump, auxHeat* is the furnace (primary heat), not aux
+    if (!profile) {
+      try {
+        const details = await fetchThermostatDetails(access_token, hvac_id, requestOpts, { includeRuntime: false, includeSensors: false, includeSettings: true });
+        profile = await recordDeviceProfile({ user_id, hvac_id }, details, parseRevisionComponents(currentRev).thermostatRev, profile);
+      } catch (e) {
+        console.warn(`[${hvac_id}] ⚠️ settings fetch for equipment profile failed:`, e?.response?.data || e.message);
+      }
+    }
+
     /* ----------------------- Connectivity Change Detection ----------------------- */
     const prevReachable = rt?.is_reachable;
     if (prevReachable !== null && prevReachable !== undefined && prevReachable !== isReachable) {
@@ -137,31 +301,54 @@ async function processThermostat(row) {
     }
 
     /* ----------------------------- Log Summary ----------------------------- */
-    const parsed = parseEquipStatus(equipStatus);
+    let parsed = parseEquipmentState(equipStatus, profile);
     console.log(
       `[${hvac_id}] 📥 summary equip="${equipStatus}" → "${parsed.standardizedState}" rev="${currentRev}" (prev="${prevRev}") running=${parsed.isRunning} ecobee_connected=${isConnectedToEcobee} reachable=${isReachable}`
     );
 
     const revisionChanged = !!currentRev && currentRev !== prevRev;
 
-    /* ---------------------- Revision Changed → Fetch Details ---------------------- */
-    if (revisionChanged) {
+    // Each component is compared against its own stored value, so a fetch that
+    // failed last tick is retried even if the full revision string is unchanged
+    const revs = parseRevisionComponents(currentRev);
+    const changed = {
+      thermostat: !!revs.thermostatRev && revs.thermostatRev !== stored.thermostatRev,
+      alerts: !!revs.alertsRev && revs.alertsRev !== stored.alertsRev,
+      runtime: !!revs.runtimeRev && revs.runtimeRev !== stored.runtimeRev,
+      interval: !!revs.intervalRev && revs.intervalRev !== stored.intervalRev,
+    };
+
+    /* ------------------- intervalRev Changed → Report Intervals ------------------ */
+    if (changed.interval) {
+      await recordIntervals({ user_id, hvac_id }, access_token, requestOpts, { fromRev: stored.intervalRev, toRev: revs.intervalRev });
+    }
+
+    /* -------------- First Poll In This Process → Settle Open Session -------------- */
+    // After the interval sync, so a session left open by a dead process can be settled from the report
+    try {
+      await reconcileInterruptedSession({ user_id, hvac_id });
+    } catch (e) {
+      console.warn(`[${hvac_id}] ⚠️ session recovery failed:`, e.message);
+    }
+
+    /* ---------------- Component Changed → Targeted Details Fetch ---------------- */
+    if (changed.thermostat || changed.alerts || changed.runtime) {
+      const selection = detailsSelectionFor(changed, profile, location);
+
       let details = null;
       try {
-        details = await fetchThermostatDetails(access_token, hvac_id);
+        details = await fetchThermostatDetails(access_token, hvac_id, requestOpts, selection);
       } catch (e) {
         console.warn(`[${hvac_id}] ⚠️ details fetch failed:`, e?.response?.data || e.message);
       }
 
-      const normalized = normalizeFromDetails({ user_id, hvac_id, isReachable }, equipStatus, details, currentRev);
-
-      // Handle runtime and post to Core if session ends
-      const runtimeResult = await handleRuntimeAndMaybePost({ user_id, hvac_id }, normalized);
-
-      // Dedupe by hash + significance check
-      const lastHash = await getLastHash(hvac_id);
-      const payloadForHash = { ...normalized, runtimeSeconds: null };
-      const newHash = sha(payloadForHash);
+      // Settings (equipment) only change with thermostatRev; also build the first profile for existing links
+      if (selection.includeSettings) {
+        profile = await recordDeviceProfile({ user_id, hvac_id }, details, revs.thermostatRev, profile);
+        parsed = parseEquipmentState(equipStatus, profile);
+      }
+      // Location likewise; its timezone feeds Core payloads and local-day runtime
+      if (selection.includeLocation) location = await recordDeviceLocation({ user_id, hvac_id }, details, revs.thermostatRev, location);
 
       let lastStateData = null;
       try {
@@ -171,6 +358,23 @@ async function processThermostat(row) {
         console.warn(`[${hvac_id}] Could not retrieve last state for comparison`);
       }
 
+      const normalized = carryForwardState(
+        normalizeFromDetails({ user_id, hvac_id, isReachable, profile }, equipStatus, details, currentRev),
+        lastStateData,
+        selection
+      );
+      if (selection.includeSensors) await recordSensors({ user_id, hvac_id }, details);
+      const eventsRecorded = changed.thermostat ? await recordThermostatEvents({ user_id, hvac_id }, details) : true;
+      if (changed.alerts) await recordAlerts({ user_id, hvac_id }, details, revs.alertsRev, stored.alertsRev);
+
+      // Handle runtime and post to Core if session ends
+      runtimeResult = await handleRuntimeAndMaybePost({ user_id, hvac_id }, normalized);
+
+      // Dedupe by hash + significance check
+      const lastHash = await getLastHash(hvac_id);
+      const payloadForHash = { ...normalized, runtimeSeconds: null };
+      const newHash = sha(payloadForHash);
+
       const shouldPostStateChange = hasSignificantStateChange(lastStateData, normalized);
       const hasHashChanged = newHash !== lastHash;
 
@@ -225,11 +429,18 @@ async function processThermostat(row) {
         await setLastState(hvac_id, { ...normalized, runtimeSeconds: null });
       }
 
-      await setLastRevision(hvac_id, currentRev);
+      // Only advance the components whose fetch actually succeeded
+      await setRevisionState(hvac_id, {
+        revision: currentRev,
+        ...(details && changed.thermostat && eventsRecorded ? { thermostatRev: revs.thermostatRev } : {}),
+        ...(details && changed.runtime ? { runtimeRev: revs.runtimeRev } : {}),
+      });
     }
 
-    /* ----------------------- Revision Unchanged → Tick ----------------------- */
+    /* ------------------ No Component Changed → Summary Tick ------------------ */
     else {
+      if (revisionChanged) await setRevisionState(hvac_id, { revision: currentRev });
+
       // Check if we should force a post due to time elapsed since last post
       const lastPostedAt = await getLastPostedAt(hvac_id);
       const timeSinceLastPost = lastPostedAt ? Date.now() - new Date(lastPostedAt).getTime() : Infinity;
@@ -239,15 +450,35 @@ async function processThermostat(row) {
       if (shouldForcePostDueToTime) {
         console.log(`[${hvac_id}] ⏰ Forcing post (no revision change): ${Math.round(timeSinceLastPost / 1000 / 60 / 60)}h since last post (threshold: ${MAX_TIME_BETWEEN_POSTS_MS / 1000 / 60 / 60}h)`);
 
+        // Same targeted fetch and handling as a runtimeRev change: fresh readings, and
+        // settings / location only when the first profile or location is still missing
+        const selection = detailsSelectionFor({ thermostat: false, alerts: false, runtime: true }, profile, location);
+
         let details = null;
         try {
-          details = await fetchThermostatDetails(access_token, hvac_id);
+          details = await fetchThermostatDetails(access_token, hvac_id, requestOpts, selection);
         } catch (e) {
           console.warn(`[${hvac_id}] ⚠️ details fetch failed for forced post:`, e?.response?.data || e.message);
         }
 
-        const normalized = normalizeFromDetails({ user_id, hvac_id, isReachable }, equipStatus, details, currentRev);
-        const runtimeResult = await handleRuntimeAndMaybePost({ user_id, hvac_id }, normalized);
+        if (selection.includeSettings) profile = await recordDeviceProfile({ user_id, hvac_id }, details, revs.thermostatRev, profile);
+        if (selection.includeLocation) location = await recordDeviceLocation({ user_id, hvac_id }, details, revs.thermostatRev, location);
+
+        let lastStateData = null;
+        try {
+          const { rows } = await pool.query(`SELECT last_payload FROM ecobee_last_state WHERE hvac_id = $1`, [hvac_id]);
+          lastStateData = rows[0]?.last_payload || null;
+        } catch {
+          console.warn(`[${hvac_id}] Could not retrieve last state for comparison`);
+        }
+
+        const normalized = carryForwardState(
+          normalizeFromDetails({ user_id, hvac_id, isReachable, profile }, equipStatus, details, currentRev),
+          lastStateData,
+          selection
+        );
+        if (selection.includeSensors) await recordSensors({ user_id, hvac_id }, details);
+        runtimeResult = await handleRuntimeAndMaybePost({ user_id, hvac_id }, normalized);
 
         // Post state update
         const corePayload = buildCorePayload({
@@ -258,7 +489,7 @@ async function processThermostat(row) {
           serialNumber: normalized.serialNumber,
           eventType: 'STATE_UPDATE',
           equipmentStatus: parsed.standardizedState || 'Fan_off',
-          previousStatus: 'UNKNOWN',
+          previousStatus: lastStateData?.equipmentStatus || 'UNKNOWN',
           isActive: !!parsed.isRunning,
           isReachable: true,
           mode: normalized.hvacMode,
@@ -292,7 +523,10 @@ async function processThermostat(row) {
           thermostatName: null,
           hvacMode: null,
           equipmentStatus: equipStatus,
-          ...parseEquipStatus(equipStatus),
+          isCooling: parsed.isCooling,
+          isHeating: parsed.isHeating,
+          isFanOnly: parsed.isFanOnly,
+          isRunning: parsed.isRunning,
           actualTemperatureF: null,
           desiredHeatF: null,
           desiredCoolF: null,
@@ -305,33 +539,282 @@ async function processThermostat(row) {
           isReachable
         };
 
-        const runtimeResult = await handleRuntimeAndMaybePost({ user_id, hvac_id }, normalized);
+        runtimeResult = await handleRuntimeAndMaybePost({ user_id, hvac_id }, normalized);
         if (runtimeResult.postedSessionEnd) {
           await setLastState(hvac_id, { ...normalized, runtimeSeconds: null });
         }
       }
     }
+
+    return { nextPollSeconds: runtimeResult?.nextPollSeconds ?? null };
   } catch (err) {
+    // Retry timing is per device (recordPollResult); never stall the batch here
     console.error(`[${hvac_id}] ✗ poll error:`, err?.response?.data || err.message || String(err));
-    await new Promise((r) => setTimeout(r, ERROR_BACKOFF_MS));
     throw err;
   }
 }
 
+/* -------------------------------------------------------------------------- */
+/*                           ACCOUNT GROUPING                                 */
+/* -------------------------------------------------------------------------- */
+/**
+ * Group token rows by Ecobee account. thermostatSummary uses
+ * selectionType "registered", so one call covers every thermostat that
+ * shares a user and refresh token (compared by fingerprint, never plaintext).
+ * @param {object[]} tokens - Rows from loadActiveTokens()
+ * @returns {object[]} Array of { accountKey, rows }
+ */
+export function groupTokensByAccount(tokens) {
+  const accounts = new Map();
+  for (const row of tokens) {
+    const key = `${row.user_id}:${row.token_fingerprint || row.hvac_id}`;
+    if (!accounts.has(key)) {
+      accounts.set(key, { accountKey: row.user_id, rows: [] });
+    }
+    accounts.get(key).rows.push(row);
+  }
+  return [...accounts.values()];
+}
+
+// hvac_id -> promise of the account poll currently processing it
+const inFlight = new Map();
+
+/**
+ * Fetch the summary once for an account and fan it out to each thermostat.
+ * Thermostats already being processed by another poll are skipped, so two
+ * polls never race on the same ecobee_runtime row.
+ * @returns {Promise<object[]>} One result per thermostat: a PromiseSettledResult
+ *   or { status: 'skipped' } for a device that was already in flight
+ */
+function pollAccount(account) {
+  // Checked and marked before the first await, so the guard can't be raced
+  const busy = account.rows.map((row) => inFlight.has(row.hvac_id));
+  const rows = account.rows.filter((_, i) => !busy[i]);
+  if (busy.some(Boolean)) tickMetrics.skippedInFlight += busy.filter(Boolean).length;
+
+  const run = rows.length ? fetchAndProcessAccount({ ...account, rows }) : Promise.resolve([]);
+  for (const row of rows) inFlight.set(row.hvac_id, run);
+
+  return run
+    .finally(() => {
+      for (const row of rows) {
+        if (inFlight.get(row.hvac_id) === run) inFlight.delete(row.hvac_id);
+      }
+    })
+    .then((results) => {
+      let next = 0;
+      return busy.map((isBusy) => (isBusy ? { status: 'skipped' } : results[next++]));
+    });
+}
+
+async function fetchAndProcessAccount(account) {
+  const { accountKey, rows } = account;
+
+  let fetched;
+  try {
+    const { access_token } = await ensureValidToken(account);
+    fetched = await fetchSummaryWithRetry(account, access_token);
+  } catch (err) {
+    // Revoked links are already flagged and excluded from the next tick
+    if (!(err instanceof ReauthRequiredError)) {
+      console.error(`[${accountKey}] ✗ summary poll error:`, err?.response?.data || err.message || String(err));
+    }
+    return rows.map(() => ({ status: 'rejected', reason: err }));
+  }
+
+  const results = [];
+  for (const row of rows) {
+    try {
+      results.push({ status: 'fulfilled', value: await processThermostat(row, fetched) });
+    } catch (err) {
+      results.push({ status: 'rejected', reason: err });
+    }
+  }
+  return results;
+}
+
+/* -------------------------------------------------------------------------- */
+/*                          PERSISTED POLL SCHEDULE                           */
+/* -------------------------------------------------------------------------- */
+/**
+ * Store the outcome of one poll in ecobee_poll_schedule so timing, attempts
+ * and the last error survive restarts. Failures are retried with per-device
+ * exponential backoff (see pollBackoff.js) instead of the normal cadence.
+ * @param {string} hvac_id
+ * @param {object} result - Result from pollAccount()
+ * @param {object} opts
+ * @param {Date} opts.nextPollAt - When the device is due again after a success
+ * @param {number} [opts.attempt] - Consecutive failures before this poll (from the claim)
+ * @returns {Promise<Date>} when the device is actually due next
+ */
+export async function recordPollResult(hvac_id, result, { nextPollAt, attempt = 0 }) {
+  // Another poll owns this device right now; it records its own outcome
+  if (result.status === 'skipped') {
+    await releasePollClaims(INSTANCE_ID, [hvac_id]).catch(() => {});
+    return nextPollAt;
+  }
+
+  if (result.status === 'fulfilled') {
+    try {
+      await recordPollSuccess(hvac_id, { nextPollAt, nextPollSeconds: result.value?.nextPollSeconds });
+    } catch (e) {
+      console.warn(`[${hvac_id}] ⚠️ failed to persist poll schedule:`, e.message);
+    }
+    return nextPollAt;
+  }
+
+  const err = result.reason;
+  const { kind, delayMs } = pollBackoff(err, attempt + 1);
+  const retryAt = new Date(Date.now() + delayMs);
+  if (kind !== 'revoked') {
+    console.log(`[${hvac_id}] 💤 ${kind} error — retry #${attempt + 1} in ${Math.round(delayMs / 1000)}s`);
+  }
+
+  try {
+    await recordPollFailure(hvac_id, { nextPollAt: retryAt, error: `${kind}: ${err?.message || String(err)}` });
+  } catch (e) {
+    console.warn(`[${hvac_id}] ⚠️ failed to persist poll schedule:`, e.message);
+  }
+  return retryAt;
+}
+
+/* -------------------------------------------------------------------------- */
+/*                          TICK PLANNING / METRICS                           */
+/* -------------------------------------------------------------------------- */
+// Aim to finish a tick within this share of the interval
+const TARGET_TICK_FILL = 0.8;
+// The interval stretches up to this multiple of POLL_INTERVAL_MS; past that, work is shed
+const MAX_INTERVAL_STRETCH = 4;
+const TICK_COST_SMOOTHING = 0.3;
+
+let pollIntervalMs = POLL_INTERVAL_MS;
+
+const tickMetrics = {
+  ticks: 0,
+  overruns: 0,
+  shedTicks: 0,
+  skippedInFlight: 0,
+  lastTickStartedAt: null,
+  lastTickMs: 0,
+  maxTickMs: 0,
+  totalTickMs: 0,
+  lastTickDevices: 0,
+  msPerDevice: null, // smoothed tick cost per polled device
+  effectiveIntervalMs: POLL_INTERVAL_MS,
+  claimLimit: null,
+};
+
+/**
+ * Size the next tick from the measured cost per device: stretch the interval
+ * when the leased fleet can't be covered in one, and cap how many devices a
+ * tick claims (oldest due first) once stretching alone isn't enough.
+ */
+function planTick() {
+  const fleet = getLeaseStatus().leasedDevices;
+  if (!tickMetrics.msPerDevice || !fleet) {
+    tickMetrics.effectiveIntervalMs = pollIntervalMs;
+    tickMetrics.claimLimit = null;
+    return;
+  }
+
+  const neededMs = (tickMetrics.msPerDevice * fleet) / TARGET_TICK_FILL;
+  const effective = Math.round(Math.min(Math.max(pollIntervalMs, neededMs), pollIntervalMs * MAX_INTERVAL_STRETCH));
+  if (effective !== tickMetrics.effectiveIntervalMs) {
+    console.log(`⏱️ Poll interval ${effective === pollIntervalMs ? 'back to' : 'stretched to'} ${Math.round(effective / 1000)}s for ${fleet} device(s)`);
+  }
+  tickMetrics.effectiveIntervalMs = effective;
+  tickMetrics.claimLimit = Math.max(POLL_CONCURRENCY, Math.floor((effective * TARGET_TICK_FILL) / tickMetrics.msPerDevice));
+}
+
+function recordTick(tickStartedAt, devicesPolled) {
+  const durationMs = Date.now() - tickStartedAt.getTime();
+  tickMetrics.ticks += 1;
+  tickMetrics.lastTickStartedAt = tickStartedAt.toISOString();
+  tickMetrics.lastTickMs = durationMs;
+  tickMetrics.maxTickMs = Math.max(tickMetrics.maxTickMs, durationMs);
+  tickMetrics.totalTickMs += durationMs;
+  tickMetrics.lastTickDevices = devicesPolled;
+
+  if (devicesPolled > 0) {
+    const cost = durationMs / devicesPolled;
+    tickMetrics.msPerDevice = tickMetrics.msPerDevice === null
+      ? cost
+      : tickMetrics.msPerDevice + TICK_COST_SMOOTHING * (cost - tickMetrics.msPerDevice);
+  }
+
+  if (durationMs > tickMetrics.effectiveIntervalMs) {
+    tickMetrics.overruns += 1;
+    console.warn(`⚠️ Poll tick overran: ${Math.round(durationMs / 1000)}s for ${devicesPolled} device(s) (interval ${Math.round(tickMetrics.effectiveIntervalMs / 1000)}s)`);
+  }
+}
+
+/**
+ * Snapshot of tick timing, overruns and load shedding, for the metrics route.
+ */
+export function getPollerMetrics() {
+  return {
+    ...tickMetrics,
+    msPerDevice: tickMetrics.msPerDevice === null ? null : Math.round(tickMetrics.msPerDevice),
+    avgTickMs: tickMetrics.ticks ? Math.round(tickMetrics.totalTickMs / tickMetrics.ticks) : 0,
+    configuredIntervalMs: pollIntervalMs,
+    devicesInFlight: inFlight.size,
+    tickRunning: !!currentTick,
+  };
+}
+
 /* -------------------------------------------------------------------------- */
 /*                            POLL ALL THERMOSTATS                            */
 /* -------------------------------------------------------------------------- */
 export async function pollOnce() {
-  const tokens = await loadAllTokens();
-  if (!tokens.length) return;
+  const tickStartedAt = new Date();
+  planTick();
+  const devicesPolled = await pollDueDevices(tickStartedAt);
+  recordTick(tickStartedAt, devicesPolled);
+}
 
-  console.log(`\n🕐 tick ${nowUtc()} — ${tokens.length} thermostat(s)`);
+/**
+ * Claim and poll the devices due at tickStartedAt.
+ * @returns {Promise<number>} devices actually polled
+ */
+async function pollDueDevices(tickStartedAt) {
+  // Due devices leased to this replica; the rest are polled elsewhere or on a later tick
+  const limit = tickMetrics.claimLimit ?? undefined;
+  const claimed = await claimDuePolls(INSTANCE_ID, { dueBy: tickStartedAt, claimTtlMs: POLL_CLAIM_TTL_MS, limit });
+  if (!claimed.length) return 0;
+  if (limit && claimed.length >= limit) {
+    tickMetrics.shedTicks += 1;
+    console.warn(`⚠️ Poll tick capped at ${limit} device(s); remaining due devices wait for the next tick`);
+  }
+
+  const claimedIds = new Set(claimed.map((c) => c.hvac_id));
+  const attempts = new Map(claimed.map((c) => [c.hvac_id, c.attempt]));
+  const tokens = (await loadActiveTokens()).filter((t) => claimedIds.has(t.hvac_id) && ownsDevice(t.hvac_id));
+
+  // Revoked or lease lost since the claim: hand the rows back untouched
+  const unpolled = [...claimedIds].filter((id) => !tokens.some((t) => t.hvac_id === id));
+  if (unpolled.length) await releasePollClaims(INSTANCE_ID, unpolled);
+  if (!tokens.length) return 0;
+
+  const accounts = groupTokensByAccount(tokens);
+  console.log(`\n🕐 tick ${nowUtc()} — ${tokens.length} thermostat(s) across ${accounts.length} account(s)`);
+
+  // Anchored to the tick start so the device is due again on the next tick
+  const nextPollAt = new Date(tickStartedAt.getTime() + tickMetrics.effectiveIntervalMs);
+
+  const pollAndRecord = async (account) => {
+    const accountResults = await pollAccount(account);
+    for (let i = 0; i < account.rows.length; i++) {
+      const { hvac_id } = account.rows[i];
+      await recordPollResult(hvac_id, accountResults[i], { nextPollAt, attempt: attempts.get(hvac_id) });
+    }
+    return accountResults;
+  };
 
   const results = [];
-  for (let i = 0; i < tokens.length; i += POLL_CONCURRENCY) {
-    const batch = tokens.slice(i, i + POLL_CONCURRENCY);
-    const batchResults = await Promise.allSettled(batch.map((token) => processThermostat(token)));
-    results.push(...batchResults);
+  for (let i = 0; i < accounts.length; i += POLL_CONCURRENCY) {
+    const batch = accounts.slice(i, i + POLL_CONCURRENCY);
+    const batchResults = await Promise.all(batch.map(pollAndRecord));
+    results.push(...batchResults.flat());
   }
 
   const successful = results.filter((r) => r.status === 'fulfilled').length;
@@ -339,24 +822,65 @@ export async function pollOnce() {
   if (failed > 0) {
     console.log(`📊 Poll complete: ${successful} succeeded, ${failed} failed`);
   }
+  return successful + failed;
+}
+
+/**
+ * Poll a single thermostat right away (control writes, adaptive scheduler),
+ * without waiting for the next tick.
+ * @param {string} hvac_id
+ * @returns {Promise<{ nextPollSeconds: number|null }|null>} null when not actively linked or leased elsewhere
+ * @throws the poll error (ReauthRequiredError when the link was revoked)
+ */
+export async function pollThermostatNow(hvac_id) {
+  if (!ownsDevice(hvac_id)) return null;
+  const rows = await loadActiveTokensForHvac(hvac_id);
+  if (!rows.length) return null;
+
+  // Let a poll already processing this device finish, then poll fresh
+  while (inFlight.has(hvac_id)) await inFlight.get(hvac_id);
+
+  const [result] = await pollAccount({ accountKey: rows[0].user_id, rows: rows.slice(0, 1) });
+  if (result.status === 'rejected') throw result.reason;
+  return result.value;
 }
 
 /* -------------------------------------------------------------------------- */
 /*                             POLLER LIFECYCLE                              */
 /* -------------------------------------------------------------------------- */
-let pollerInterval;
+// Non-reentrant: the next tick is armed only after the current one finishes,
+// relative to its start, so a slow tick delays the next instead of overlapping it.
+let tickTimer = null;
+let currentTick = null;
+let pollerRunning = false;
+
+async function runTick() {
+  tickTimer = null;
+  const startedAt = Date.now();
+  currentTick = pollOnce().catch((e) => console.error('Poll error:', e));
+  await currentTick;
+  currentTick = null;
+
+  if (!pollerRunning) return;
+  const elapsed = Date.now() - startedAt;
+  tickTimer = setTimeout(runTick, Math.max(0, tickMetrics.effectiveIntervalMs - elapsed));
+}
 
 export function startPoller(intervalMs) {
-  pollOnce().catch((e) => console.error('Initial poll error:', e));
-  pollerInterval = setInterval(() => {
-    pollOnce().catch((e) => console.error('Poll error:', e));
-  }, intervalMs);
-  return pollerInterval;
+  pollIntervalMs = intervalMs;
+  tickMetrics.effectiveIntervalMs = intervalMs;
+  pollerRunning = true;
+  runTick();
 }
 
-export function stopPoller() {
-  if (pollerInterval) {
-    clearInterval(pollerInterval);
-    pollerInterval = null;
+/**
+ * Stop scheduling ticks and wait for the running one to finish.
+ */
+export async function stopPoller() {
+  pollerRunning = false;
+  if (tickTimer) {
+    clearTimeout(tickTimer);
+    tickTimer = null;
   }
+  if (currentTick) await currentTick;
 }
@@ -0,0 +1,215 @@
+'use strict';
+
+import { ECOBEE_GLOBAL_REQUESTS_PER_SEC, ECOBEE_ACCOUNT_REQUESTS_PER_MIN } from './config.js';
+
+/**
+ * Central scheduler for every outbound Ecobee request.
+ *
+ * All callers (interval poller, adaptive poller, runtime validation, manual
+ * validation route) share one global budget plus a per-account budget, both
+ * enforced with token buckets. Queued requests are dispatched strictly by
+ * priority class, so live polling is never starved by report backfill.
+ */
+
+export const PRIORITY = {
+  CONTROL: 'control',
+  LIVE: 'live',
+  BACKFILL: 'backfill',
+};
+
+// Dispatch order: earlier classes always go first (user-initiated control beats polling)
+const PRIORITY_ORDER = [PRIORITY.CONTROL, PRIORITY.LIVE, PRIORITY.BACKFILL];
+
+const ACCOUNT_BUCKET_IDLE_MS = 10 * 60 * 1000;
+
+/* -------------------------------------------------------------------------- */
+/*                                Token buckets                               */
+/* -------------------------------------------------------------------------- */
+function createBucket(ratePerSec, capacity) {
+  return { ratePerSec, capacity, tokens: capacity, updatedAt: Date.now() };
+}
+
+function refill(bucket, now) {
+  const elapsedSec = (now - bucket.updatedAt) / 1000;
+  bucket.tokens = Math.min(bucket.capacity, bucket.tokens + elapsedSec * bucket.ratePerSec);
+  bucket.updatedAt = now;
+}
+
+function msUntilToken(bucket, now) {
+  refill(bucket, now);
+  if (bucket.tokens >= 1) return 0;
+  return Math.ceil(((1 - bucket.tokens) / bucket.ratePerSec) * 1000);
+}
+
+/* -------------------------------------------------------------------------- */
+/*                               Scheduler state                              */
+/* -------------------------------------------------------------------------- */
+const globalBucket = createBucket(ECOBEE_GLOBAL_REQUESTS_PER_SEC, Math.max(1, ECOBEE_GLOBAL_REQUESTS_PER_SEC));
+const accountBuckets = new Map();
+const queues = new Map(PRIORITY_ORDER.map((p) => [p, []]));
+
+const metrics = {
+  inFlight: 0,
+  dispatched: Object.fromEntries(PRIORITY_ORDER.map((p) => [p, 0])),
+  failed: Object.fromEntries(PRIORITY_ORDER.map((p) => [p, 0])),
+  totalWaitMs: Object.fromEntries(PRIORITY_ORDER.map((p) => [p, 0])),
+  maxWaitMs: Object.fromEntries(PRIORITY_ORDER.map((p) => [p, 0])),
+  maxQueueDepth: 0,
+};
+
+let drainTimer = null;
+const outcomeListeners = [];
+
+function accountBucket(account) {
+  let bucket = accountBuckets.get(account);
+  if (!bucket) {
+    const perSec = ECOBEE_ACCOUNT_REQUESTS_PER_MIN / 60;
+    bucket = createBucket(perSec, Math.max(1, Math.min(5, ECOBEE_ACCOUNT_REQUESTS_PER_MIN)));
+    accountBuckets.set(account, bucket);
+  }
+  return bucket;
+}
+
+function queueDepth() {
+  let depth = 0;
+  for (const q of queues.values()) depth += q.length;
+  return depth;
+}
+
+function pruneIdleAccountBuckets(now) {
+  for (const [account, bucket] of accountBuckets) {
+    if (now - bucket.updatedAt > ACCOUNT_BUCKET_IDLE_MS) accountBuckets.delete(account);
+  }
+}
+
+function dispatch(item, now) {
+  globalBucket.tokens -= 1;
+  accountBucket(item.account).tokens -= 1;
+
+  const waitMs = now - item.enqueuedAt;
+  metrics.dispatched[item.priority] += 1;
+  metrics.totalWaitMs[item.priority] += waitMs;
+  metrics.maxWaitMs[item.priority] = Math.max(metrics.maxWaitMs[item.priority], waitMs);
+  metrics.inFlight += 1;
+
+  Promise.resolve()
+    .then(item.task)
+    .then((value) => {
+      notifyOutcome(null, item);
+      item.resolve(value);
+    }, (err) => {
+      metrics.failed[item.priority] += 1;
+      notifyOutcome(err, item);
+      item.reject(err);
+    })
+    .finally(() => {
+      metrics.inFlight -= 1;
+    });
+}
+
+function notifyOutcome(err, item) {
+  for (const listener of outcomeListeners) {
+    try {
+      listener(err, { account: item.account, priority: item.priority });
+    } catch (e) {
+      console.warn('[Scheduler] outcome listener failed:', e.message);
+    }
+  }
+}
+
+function drain() {
+  drainTimer = null;
+
+  while (queueDepth() > 0) {
+    const now = Date.now();
+    const globalWait = msUntilToken(globalBucket, now);
+    if (globalWait > 0) {
+      drainTimer = setTimeout(drain, globalWait);
+      return;
+    }
+
+    // Highest priority request whose account still has budget
+    let picked = null;
+    let minAccountWait = Infinity;
+    for (const priority of PRIORITY_ORDER) {
+      const q = queues.get(priority);
+      const idx = q.findIndex((item) => {
+        const wait = msUntilToken(accountBucket(item.account), now);
+        minAccountWait = Math.min(minAccountWait, wait);
+        return wait === 0;
+      });
+      if (idx !== -1) {
+        picked = q.splice(idx, 1)[0];
+        break;
+      }
+    }
+
+    if (!picked) {
+      drainTimer = setTimeout(drain, minAccountWait);
+      return;
+    }
+
+    dispatch(picked, now);
+  }
+
+  pruneIdleAccountBuckets(Date.now());
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                 Public API                                 */
+/* -------------------------------------------------------------------------- */
+/**
+ * Queue an Ecobee request behind the global and per-account rate limits.
+ * @param {Function} task - Async function performing the HTTP call
+ * @param {object} opts
+ * @param {string} [opts.account] - Account key (user id) for the per-account budget
+ * @param {string} [opts.priority] - One of PRIORITY (defaults to LIVE)
+ * @returns {Promise<*>} Resolves/rejects with the task's result
+ */
+export function scheduleEcobeeRequest(task, { account = 'default', priority = PRIORITY.LIVE } = {}) {
+  const cls = queues.has(priority) ? priority : PRIORITY.LIVE;
+
+  return new Promise((resolve, reject) => {
+    queues.get(cls).push({ task, account: String(account), priority: cls, enqueuedAt: Date.now(), resolve, reject });
+    metrics.maxQueueDepth = Math.max(metrics.maxQueueDepth, queueDepth());
+    if (!drainTimer) drain();
+  });
+}
+
+/**
+ * Observe the outcome of every dispatched request (err is null on success).
+ * Used by the upstream circuit breaker.
+ * @param {Function} listener - (err, { account, priority }) => void
+ */
+export function addRequestOutcomeListener(listener) {
+  outcomeListeners.push(listener);
+}
+
+/**
+ * Snapshot of scheduler queue depth and throughput, for the metrics route.
+ */
+export function getSchedulerMetrics() {
+  const byPriority = {};
+  for (const priority of PRIORITY_ORDER) {
+    const dispatched = metrics.dispatched[priority];
+    byPriority[priority] = {
+      queued: queues.get(priority).length,
+      dispatched,
+      failed: metrics.failed[priority],
+      avgWaitMs: dispatched ? Math.round(metrics.totalWaitMs[priority] / dispatched) : 0,
+      maxWaitMs: metrics.maxWaitMs[priority],
+    };
+  }
+
+  return {
+    queueDepth: queueDepth(),
+    maxQueueDepth: metrics.maxQueueDepth,
+    inFlight: metrics.inFlight,
+    trackedAccounts: accountBuckets.size,
+    limits: {
+      globalRequestsPerSec: ECOBEE_GLOBAL_REQUESTS_PER_SEC,
+      accountRequestsPerMin: ECOBEE_ACCOUNT_REQUESTS_PER_MIN,
+    },
+    byPriority,
+  };
+}
@@ -4,42 +4,17 @@ import { v4 as uuidv4 } from 'uuid';
 import { nowUtc, toMillis } from './util.js';
 import { getRuntime, setRuntime, resetRuntime, getBackfillState, insertSession } from './db.js';
 import { buildCorePayload, postToCoreIngestAsync } from './coreIngest.js';
+import { getCachedDeviceProfile } from './deviceProfile.js';
+import { getDeviceTimezone } from './deviceLocation.js';
+import { parseEquipmentState } from './equipmentState.js';
+import { startSessionStats, accumulateSessionStats, summarizeSessionStats } from './sessionStats.js';
+import { openSegmentFields, isSegmentChange, closeSegments, rollSegmentFields, maxSegmentStage, persistSessionSegments, sessionEquipmentType } from './sessionSegments.js';
 import { MAX_ACCUMULATE_SECONDS } from './config.js';
 
 const MS_TO_SECONDS = 1000;
 const MIN_WRITE_INTERVAL_SECONDS = 60;
 const LONG_RUNTIME_THRESHOLD_SECONDS = 30 * 60; // 30 min continuous operation
 
-const statusCache = new Map();
-
-/* -------------------------------------------------------------------------- */
-/*                     Parse Ecobee equipmentStatus String                    */
-/* -------------------------------------------------------------------------- */
-function parseEcobeeEquipmentStatusCached(statusRaw) {
-  if (statusCache.has(statusRaw)) return statusCache.get(statusRaw);
-
-  const status = (statusRaw || '').toLowerCase().trim();
-  let result;
-
-  if (!status) result = { eventType: 'Idle', equipmentStatus: 'IDLE', isActive: false, mode: 'off' };
-  else {
-    const parts = status.split(',').map(s => s.trim());
-    const hasFan = parts.includes('fan');
-    const hasHeat = parts.some(p => p.startsWith('heat') || p.startsWith('heatpump'));
-    const hasAux = parts.some(p => p.startsWith('auxheat') || p === 'emergency');
-    const hasCool = parts.some(p => p.startsWith('cool') || p.startsWith('compcool'));
-
-    if (hasAux) result = { eventType: hasFan ? 'AuxHeat_Fan' : 'AuxHeat', equipmentStatus: 'AUX_HEATING', isActive: true, mode: 'auxheat' };
-    else if (hasHeat) result = { eventType: hasFan ? 'Heating_Fan' : 'Heating', equipmentStatus: 'HEATING', isActive: true, mode: 'heating' };
-    else if (hasCool) result = { eventType: hasFan ? 'Cooling_Fan' : 'Cooling', equipmentStatus: 'COOLING', isActive: true, mode: 'cooling' };
-    else if (hasFan) result = { eventType: 'Fan_only', equipmentStatus: 'FAN', isActive: true, mode: 'fan' };
-    else result = { eventType: 'Idle', equipmentStatus: 'IDLE', isActive: false, mode: 'off' };
-  }
-
-  statusCache.set(statusRaw, result);
-  return result;
-}
-
 /* -------------------------------------------------------------------------- */
 /*                   Calculate Next Poll Interval Dynamically                 */
 /* -------------------------------------------------------------------------- */
@@ -48,8 +23,8 @@ export function calculateNextPollSeconds(rt, parsed, lastRuntimeRevChangedAt) {
   const ageSec = lastRuntimeRevChangedAt ? (now - toMillis(lastRuntimeRevChangedAt)) / 1000 : 0;
 
   if (!rt.is_reachable) return 600; // offline → 10 min
-  if (!parsed.isActive) return 360; // idle → 6 min
-  if (parsed.isActive && rt.current_session_seconds > LONG_RUNTIME_THRESHOLD_SECONDS) return 180; // long run
+  if (!parsed.isRunning) return 360; // idle → 6 min
+  if (rt.current_session_seconds > LONG_RUNTIME_THRESHOLD_SECONDS) return 180; // long run
   if (rt.pending_mode_change) return 60; // verifying transition
   if (ageSec < 60) return 90; // fresh update, poll soon again
 
@@ -62,8 +37,8 @@ export function calculateNextPollSeconds(rt, parsed, lastRuntimeRevChangedAt) {
 export async function handleRuntimeAndMaybePostAdaptive({ user_id, hvac_id }, normalized) {
   const nowIso = nowUtc();
   const nowMs = Date.now();
-  const parsed = parseEcobeeEquipmentStatusCached(normalized.equipmentStatus);
-  const { eventType, equipmentStatus, isActive, mode } = parsed;
+  const parsed = parseEquipmentState(normalized.equipmentStatus, getCachedDeviceProfile(hvac_id));
+  const { state: eventType, equipmentClass: equipmentStatus, isRunning: isActive, mode } = parsed;
   const isReachable = normalized.isReachable !== false;
   const runtimeRev = normalized.runtimeRev || null;
   const backfill = await getBackfillState(hvac_id);
@@ -74,6 +49,7 @@ export async function handleRuntimeAndMaybePostAdaptive({ user_id, hvac_id }, no
   const heatSetpoint = normalized.desiredHeatF ?? backfill?.last_heat_setpoint ?? null;
   const coolSetpoint = normalized.desiredCoolF ?? backfill?.last_cool_setpoint ?? null;
   const thermostatMode = normalized.hvacMode ?? backfill?.thermostat_mode ?? null;
+  const statsSample = { temperatureF, humidity, heatSetpoint, coolSetpoint, outdoorTemperatureF: normalized.outdoorTemperatureF ?? null };
 
   let rt = await getRuntime(hvac_id);
   if (!rt) {
@@ -116,6 +92,9 @@ export async function handleRuntimeAndMaybePostAdaptive({ user_id, hvac_id }, no
 
     if (wasActive) {
       const total = Math.round((rt.current_session_seconds || 0) + deltaSec);
+      const segments = closeSegments(rt, nowIso, total);
+      // No telemetry from an offline device: the last readings hold to the end
+      const stats = summarizeSessionStats(accumulateSessionStats(rt.session_stats, {}, deltaSec), total);
       const payload = buildCorePayload({
         deviceKey: hvac_id,
         userId: user_id,
@@ -128,24 +107,30 @@ export async function handleRuntimeAndMaybePostAdaptive({ user_id, hvac_id }, no
         // Device is offline — send session metadata only, no sensor telemetry
         mode: rt.last_running_mode || null,
         observedAt: new Date(nowIso),
+        session: { segments, stats },
       });
       await postToCoreIngestAsync(payload, 'offline-session-end');
 
       // Persist session to database for runtime validation
       if (rt.current_session_started_at && total > 0) {
         try {
-          await insertSession({
+          const sessionId = await insertSession({
             hvac_id,
             user_id,
             started_at: rt.current_session_started_at,
             ended_at: nowIso,
             runtime_seconds: total,
-            equipment_type: prevEquipStatus,
-            avg_temperature: temperatureF,
-            avg_humidity: humidity,
+            equipment_type: sessionEquipmentType(segments, prevEquipStatus),
             thermostat_mode: thermostatMode,
+            stage: maxSegmentStage(segments),
+            segments,
+            ...stats,
+            avg_temperature: stats.avg_temperature ?? temperatureF,
+            avg_humidity: stats.avg_humidity ?? humidity,
+            timezone: getDeviceTimezone(hvac_id),
           });
-          console.log(`[${hvac_id}] 💾 Persisted offline session: ${prevEquipStatus} for ${total}s`);
+          await persistSessionSegments(sessionId, hvac_id, segments);
+          console.log(`[${hvac_id}] 💾 Persisted offline session: ${prevEquipStatus} for ${total}s (${segments.length} segment(s))`);
         } catch (err) {
           console.error(`[${hvac_id}] Failed to persist offline session:`, err.message);
         }
@@ -199,6 +184,9 @@ export async function handleRuntimeAndMaybePostAdaptive({ user_id, hvac_id }, no
       last_heat_setpoint: heatSetpoint,
       last_cool_setpoint: coolSetpoint,
       thermostat_mode: thermostatMode,
+      ...openSegmentFields(parsed, nowIso),
+      session_segments: '[]',
+      session_stats: JSON.stringify(startSessionStats(statsSample)),
     });
 
     const payload = buildCorePayload({
@@ -224,9 +212,16 @@ export async function handleRuntimeAndMaybePostAdaptive({ user_id, hvac_id }, no
   /* ----------------------------- Session tick ------------------------------ */
   if (wasActive && isActive) {
     const total = Math.round((rt.current_session_seconds || 0) + deltaSec);
-    const shouldWrite = (nowMs - lastTickMs) / 1000 >= MIN_WRITE_INTERVAL_SECONDS;
+    // A mode / stage change starts a segment now; the time since the last tick stays with the old one
+    const segmentChanged = isSegmentChange(rt, parsed);
+    if (segmentChanged) {
+      console.log(`[${hvac_id}] 🔀 Segment ${rt.current_segment_type}/${rt.current_segment_stage ?? '-'} → ${eventType}/${parsed.stage ?? '-'} at ${total}s`);
+    }
+    const shouldWrite = segmentChanged || (nowMs - lastTickMs) / 1000 >= MIN_WRITE_INTERVAL_SECONDS;
     if (shouldWrite) {
       await setRuntime(hvac_id, {
+        ...(segmentChanged ? rollSegmentFields(rt, parsed, nowIso, total) : {}),
+        session_stats: JSON.stringify(accumulateSessionStats(rt.session_stats, statsSample, deltaSec)),
         current_session_seconds: total,
         last_tick_at: nowIso,
         last_temperature: temperatureF,
@@ -245,6 +240,8 @@ export async function handleRuntimeAndMaybePostAdaptive({ user_id, hvac_id }, no
   /* ----------------------------- Session end ------------------------------- */
   if (wasActive && !isActive) {
     const total = Math.round((rt.current_session_seconds || 0) + deltaSec);
+    const segments = closeSegments(rt, nowIso, total);
+    const stats = summarizeSessionStats(accumulateSessionStats(rt.session_stats, statsSample, deltaSec), total);
     const payload = buildCorePayload({
       deviceKey: hvac_id,
       userId: user_id,
@@ -260,24 +257,30 @@ export async function handleRuntimeAndMaybePostAdaptive({ user_id, hvac_id }, no
       coolSetpoint,
       thermostatMode,
       observedAt: new Date(nowIso),
+      session: { segments, stats },
     });
     await postToCoreIngestAsync(payload, 'session-end');
 
     // Persist session to database for runtime validation
     if (rt.current_session_started_at && total > 0) {
       try {
-        await insertSession({
+        const sessionId = await insertSession({
           hvac_id,
           user_id,
           started_at: rt.current_session_started_at,
           ended_at: nowIso,
           runtime_seconds: total,
-          equipment_type: prevEquipStatus,
-          avg_temperature: temperatureF,
-          avg_humidity: humidity,
+          equipment_type: sessionEquipmentType(segments, prevEquipStatus),
           thermostat_mode: thermostatMode,
+          stage: maxSegmentStage(segments),
+          segments,
+          ...stats,
+          avg_temperature: stats.avg_temperature ?? temperatureF,
+          avg_humidity: stats.avg_humidity ?? humidity,
+          timezone: getDeviceTimezone(hvac_id),
         });
-        console.log(`[${hvac_id}] 💾 Persisted session: ${prevEquipStatus} for ${total}s`);
+        await persistSessionSegments(sessionId, hvac_id, segments);
+        console.log(`[${hvac_id}] 💾 Persisted session: ${prevEquipStatus} for ${total}s (${segments.length} segment(s))`);
       } catch (err) {
         console.error(`[${hvac_id}] Failed to persist session:`, err.message);
       }
@@ -1,52 +1,65 @@
 'use strict';
 
-import { validateYesterdayRuntime } from './runtimeValidator.js';
-import { loadAllTokens, updateTokensAfterRefresh } from './db.js';
-import { refreshEcobeeTokens } from './ecobeeApi.js';
-import { isExpiringSoon } from './util.js';
+import { validateRuntimeForDate, validateYesterdayRuntime, localYesterday } from './runtimeValidator.js';
+import { loadActiveTokens, getLastValidatedDates, setLastValidatedDate } from './db.js';
+import { resolveDeviceTimezone } from './deviceLocation.js';
+import { localHour } from './localTime.js';
+import { PRIORITY } from './requestScheduler.js';
+import { getValidTokens } from './tokenManager.js';
+import { isLeader } from './leases.js';
+
+// Local hour in which a thermostat's previous day is validated (its report has closed by then)
+const VALIDATION_LOCAL_HOUR = 1;
 
 /**
- * Run runtime validation for all registered thermostats
- * Typically runs once daily at 00:05 UTC to validate previous day's data
+ * Thermostats whose local time is in VALIDATION_LOCAL_HOUR and whose
+ * previous local day hasn't been validated yet (the 01:00 hour repeats on
+ * DST fall-back, and the leader may have changed since the last run)
  */
-export async function runDailyRuntimeValidation() {
-  console.log('\n🔍 [RuntimeValidation] Starting daily runtime validation job...');
+async function dueForValidation(tokens, now) {
+  const validatedDates = await getLastValidatedDates();
+  const due = [];
+  for (const row of tokens) {
+    const timezone = await resolveDeviceTimezone(row.hvac_id);
+    if (localHour(now, timezone) !== VALIDATION_LOCAL_HOUR) continue;
+    const { date } = await localYesterday(row.hvac_id, now);
+    if (validatedDates.get(row.hvac_id) !== date) due.push(row);
+  }
+  return due;
+}
+
+/**
+ * Run runtime validation for registered thermostats, each for its previous local day
+ * The scheduler runs this hourly and only picks thermostats just past local 01:00;
+ * pass { allDue: true } to validate every thermostat now
+ */
+export async function runDailyRuntimeValidation({ allDue = false } = {}) {
   const startTime = Date.now();
 
   try {
-    const tokens = await loadAllTokens();
+    const now = new Date();
+    const active = await loadActiveTokens();
+    const tokens = allDue ? active : await dueForValidation(active, now);
 
-    if (tokens.length === 0) {
-      console.log('[RuntimeValidation] No thermostats registered, skipping validation');
-      return;
-    }
+    // Most hourly runs find nobody past local 01:00
+    if (tokens.length === 0) return [];
 
+    console.log('\n🔍 [RuntimeValidation] Starting daily runtime validation job...');
     console.log(`[RuntimeValidation] Validating runtime for ${tokens.length} thermostat(s)`);
 
     const results = [];
 
     for (const row of tokens) {
       const { user_id, hvac_id } = row;
-      let { access_token, refresh_token, expires_at } = row;
 
       try {
         // Ensure token is valid
-        if (isExpiringSoon(expires_at)) {
-          console.log(`[RuntimeValidation] Refreshing token for ${hvac_id}`);
-          const refreshed = await refreshEcobeeTokens(refresh_token);
-          access_token = refreshed.access_token;
-          refresh_token = refreshed.refresh_token;
-          await updateTokensAfterRefresh({
-            user_id,
-            hvac_id,
-            access_token,
-            refresh_token,
-            expires_in: refreshed.expires_in
-          });
-        }
-
-        // Run validation for yesterday
-        const result = await validateYesterdayRuntime(access_token, user_id, hvac_id);
+        const { access_token } = await getValidTokens(row, { account: user_id, priority: PRIORITY.BACKFILL });
+
+        // Run validation for the thermostat's local yesterday
+        const { date, timezone } = await localYesterday(hvac_id, now);
+        const result = await validateRuntimeForDate(access_token, user_id, hvac_id, date, timezone);
+        await setLastValidatedDate(hvac_id, date);
         results.push({ hvac_id, success: true, result });
 
       } catch (err) {
@@ -85,19 +98,19 @@ export async function runDailyRuntimeValidation() {
 }
 
 /**
- * Calculate milliseconds until next scheduled run (00:05 UTC)
+ * Calculate milliseconds until next scheduled run (5 past the hour, UTC)
  * @returns {number} Milliseconds until next run
  */
 function getMillisUntilNextRun() {
   const now = new Date();
   const next = new Date();
 
-  // Set to 00:05 UTC
-  next.setUTCHours(0, 5, 0, 0);
+  // Set to HH:05 UTC
+  next.setUTCMinutes(5, 0, 0);
 
-  // If we've already passed 00:05 today, schedule for tomorrow
+  // If we've already passed :05 this hour, schedule for the next
   if (now >= next) {
-    next.setUTCDate(next.getUTCDate() + 1);
+    next.setUTCHours(next.getUTCHours() + 1);
   }
 
   const msUntilNext = next.getTime() - now.getTime();
@@ -110,7 +123,8 @@ function getMillisUntilNextRun() {
 
 /**
  * Schedule the daily runtime validation job
- * Runs at 00:05 UTC every day
+ * Runs at 5 past every hour; each thermostat is validated once a day, shortly
+ * after 01:00 in its own time zone
  */
 export function scheduleDailyRuntimeValidation() {
   let timeoutId;
@@ -120,7 +134,9 @@ export function scheduleDailyRuntimeValidation() {
 
     timeoutId = setTimeout(async () => {
       try {
-        await runDailyRuntimeValidation();
+        // Every replica keeps the timer so a new leader picks the job up
+        if (isLeader()) await runDailyRuntimeValidation();
+        else console.log('[RuntimeValidation] Not the leader — skipping daily validation on this replica');
       } catch (err) {
         console.error('[RuntimeValidation] Scheduled validation failed:', err.message);
       }
@@ -151,7 +167,7 @@ export function scheduleDailyRuntimeValidation() {
 export async function runValidationNow(hvac_id = null) {
   console.log('\n[RuntimeValidation] Running immediate validation (testing mode)...');
 
-  const tokens = await loadAllTokens();
+  const tokens = await loadActiveTokens();
   const filteredTokens = hvac_id
     ? tokens.filter(t => t.hvac_id === hvac_id)
     : tokens;
@@ -163,21 +179,9 @@ export async function runValidationNow(hvac_id = null) {
 
   for (const row of filteredTokens) {
     const { user_id, hvac_id: id } = row;
-    let { access_token, refresh_token, expires_at } = row;
 
     try {
-      if (isExpiringSoon(expires_at)) {
-        const refreshed = await refreshEcobeeTokens(refresh_token);
-        access_token = refreshed.access_token;
-        refresh_token = refreshed.refresh_token;
-        await updateTokensAfterRefresh({
-          user_id,
-          hvac_id: id,
-          access_token,
-          refresh_token,
-          expires_in: refreshed.expires_in
-        });
-      }
+      const { access_token } = await getValidTokens(row, { account: user_id, priority: PRIORITY.BACKFILL });
 
       await validateYesterdayRuntime(access_token, user_id, id);
     } catch (err) {
@@ -2,9 +2,13 @@
 
 import { fetchRuntimeReport } from './ecobeeApi.js';
 import { parseRuntimeReport, getRuntimeSummary } from './runtimeReportParser.js';
-import { upsertRuntimeReportInterval, getTotalRuntimeFromReport, getTotalRuntimeFromSessions, insertCoreEvent } from './db.js';
+import { upsertRuntimeReportInterval, getTotalRuntimeFromReportRange, getTotalRuntimeFromSessions, insertCoreEvent } from './db.js';
 import { buildCorePayload, postToCoreIngestAsync } from './coreIngest.js';
 import { CORE_INGEST_URL } from './config.js';
+import { localDayBounds, localDate, nextDate, previousDate } from './localTime.js';
+import { resolveDeviceTimezone } from './deviceLocation.js';
+import { PRIORITY } from './requestScheduler.js';
+import { reconstructMissedSessions } from './sessionReconstruction.js';
 import { v4 as uuidv4 } from 'uuid';
 import axios from 'axios';
 
@@ -119,14 +123,19 @@ async function postRuntimeReportToCore(hvac_id, user_id, date, intervals) {
  * @param {string} hvac_id - Thermostat identifier
  * @param {string} user_id - User identifier
  * @param {string} date - Date in YYYY-MM-DD format
+ * @param {object} options - { postToCore }: false to only store (neighbouring days of a local day)
  * @returns {Promise<object>} Summary of stored data
  */
-export async function fetchAndStoreRuntimeReport(access_token, hvac_id, user_id, date) {
+export async function fetchAndStoreRuntimeReport(access_token, hvac_id, user_id, date, { postToCore = true } = {}) {
   try {
     console.log(`[RuntimeValidator] Fetching runtime report for ${hvac_id} on ${date}`);
 
     // Fetch report from Ecobee API
-    const reportData = await fetchRuntimeReport(access_token, hvac_id, date);
+    // Report backfill yields to live polling in the shared request scheduler
+    const reportData = await fetchRuntimeReport(access_token, hvac_id, date, null, null, {
+      account: user_id,
+      priority: PRIORITY.BACKFILL
+    });
 
     // Parse CSV data into structured intervals
     const intervals = parseRuntimeReport(reportData, hvac_id);
@@ -144,7 +153,7 @@ export async function fetchAndStoreRuntimeReport(access_token, hvac_id, user_id,
     }
 
     // Post intervals to Core Ingest (both detailed and summary)
-    await postRuntimeReportToCore(hvac_id, user_id, date, intervals);
+    if (postToCore) await postRuntimeReportToCore(hvac_id, user_id, date, intervals);
 
     // Get summary
     const summary = getRuntimeSummary(intervals);
@@ -165,14 +174,60 @@ export async function fetchAndStoreRuntimeReport(access_token, hvac_id, user_id,
   }
 }
 
+// Ecobee revisions are UTC timestamps formatted as YYMMDDHHMMSS
+function revisionToDate(rev) {
+  const m = /^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/.exec(rev || '');
+  if (!m) return null;
+  return new Date(Date.UTC(2000 + Number(m[1]), Number(m[2]) - 1, Number(m[3]), Number(m[4]), Number(m[5]), Number(m[6])));
+}
+
+const MAX_INTERVAL_SYNC_DAYS = 2;
+// Extra report history around a window so runs crossing its edges have a known start/end
+export const RECONSTRUCT_MARGIN_MS = 6 * 3600 * 1000;
+
+/**
+ * Pull the 5-minute intervals Ecobee uploaded since the last intervalRev and
+ * store them in ecobee_runtime_reports. Lighter than fetchAndStoreRuntimeReport:
+ * nothing is posted to Core (the daily validation job does that).
+ * @param {string} access_token - Ecobee access token
+ * @param {string} hvac_id - Thermostat identifier
+ * @param {object} revs - { fromRev, toRev } previous and current intervalRev
+ * @param {object} opts - Scheduler options { account, priority }
+ * @returns {Promise<{ stored: number, since?: Date, until?: Date }>} stored count and the window synced
+ */
+export async function syncRuntimeIntervals(access_token, hvac_id, { fromRev, toRev }, opts = {}) {
+  const until = revisionToDate(toRev);
+  if (!until) return { stored: 0 };
+
+  // Cover a midnight rollover since the last sync, but leave long gaps to the daily job
+  const oldest = new Date(until.getTime() - MAX_INTERVAL_SYNC_DAYS * 24 * 3600 * 1000);
+  const from = revisionToDate(fromRev);
+  const since = from && from > oldest ? from : new Date(`${until.toISOString().slice(0, 10)}T00:00:00Z`);
+
+  const startDate = since.toISOString().slice(0, 10);
+  const endDate = until.toISOString().slice(0, 10);
+  const reportData = await fetchRuntimeReport(access_token, hvac_id, startDate, endDate, null, opts);
+
+  // Rows after intervalRev are placeholders for intervals not uploaded yet
+  const intervals = parseRuntimeReport(reportData, hvac_id).filter((i) => {
+    const ts = new Date(i.interval_timestamp);
+    return ts >= since && ts <= until;
+  });
+
+  for (const interval of intervals) {
+    await upsertRuntimeReportInterval(hvac_id, interval);
+  }
+  return { stored: intervals.length, since, until };
+}
+
 /**
  * Get our calculated runtime from session data for a specific date
  * @param {string} hvac_id - Thermostat identifier
- * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} date - Local date in YYYY-MM-DD format
  * @returns {Promise<object>} Calculated runtime totals
  */
 export async function getCalculatedRuntimeForDate(hvac_id, date) {
-  // Query the ecobee_runtime_sessions table for sessions that started on this date
+  // Each session's share of runtime on this local day (split at midnight on insert)
   const sessionTotals = await getTotalRuntimeFromSessions(hvac_id, date);
 
   return {
@@ -189,18 +244,33 @@ export async function getCalculatedRuntimeForDate(hvac_id, date) {
  * @param {string} access_token - Ecobee access token
  * @param {string} user_id - User ID
  * @param {string} hvac_id - Thermostat identifier
- * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} date - Local date in YYYY-MM-DD format
+ * @param {string} [timezone] - IANA zone the day is counted in (defaults to the thermostat's)
  * @returns {Promise<object>} Validation results with discrepancies
  */
-export async function validateRuntimeForDate(access_token, user_id, hvac_id, date) {
+export async function validateRuntimeForDate(access_token, user_id, hvac_id, date, timezone = null) {
   try {
-    console.log(`\n[RuntimeValidator] 📊 Validating runtime for ${hvac_id} on ${date}`);
+    timezone = timezone || await resolveDeviceTimezone(hvac_id);
+    console.log(`\n[RuntimeValidator] 📊 Validating runtime for ${hvac_id} on ${date} (${timezone})`);
+    const day = localDayBounds(date, timezone);
 
-    // Fetch and store Ecobee's ground truth
+    // Fetch and store Ecobee's ground truth; a local day off UTC spans two report dates
     await fetchAndStoreRuntimeReport(access_token, hvac_id, user_id, date);
+    const lastUtcDate = new Date(day.end.getTime() - 1).toISOString().slice(0, 10);
+    for (let d = day.start.toISOString().slice(0, 10); d <= lastUtcDate; d = nextDate(d)) {
+      if (d !== date) await fetchAndStoreRuntimeReport(access_token, hvac_id, user_id, d, { postToCore: false });
+    }
+
+    // Fill sessions the poller missed before comparing; the window runs past
+    // both midnights so a session crossing either has a known start and end
+    const { inserted } = await reconstructMissedSessions(
+      { user_id, hvac_id },
+      { from: new Date(day.start.getTime() - RECONSTRUCT_MARGIN_MS), to: new Date(day.end.getTime() + RECONSTRUCT_MARGIN_MS) }
+    );
+    if (inserted) console.log(`[RuntimeValidator] 🧩 Reconstructed ${inserted} missed session(s) for ${hvac_id} on ${date}`);
 
-    // Get Ecobee's totals from database
-    const ecobeeRuntime = await getTotalRuntimeFromReport(hvac_id, date);
+    // Get Ecobee's totals for the same local day
+    const ecobeeRuntime = await getTotalRuntimeFromReportRange(hvac_id, day.start, day.end);
 
     // Get our calculated totals
     const calculatedRuntime = await getCalculatedRuntimeForDate(hvac_id, date);
@@ -218,6 +288,7 @@ export async function validateRuntimeForDate(access_token, user_id, hvac_id, dat
     const result = {
       hvac_id,
       date,
+      timezone,
       ecobee_runtime: ecobeeRuntime,
       calculated_runtime: calculatedRuntime,
       discrepancies: {
@@ -243,20 +314,28 @@ export async function validateRuntimeForDate(access_token, user_id, hvac_id, dat
   }
 }
 
+/**
+ * The thermostat's previous local day, in its own time zone
+ * @param {string} hvac_id - Thermostat identifier
+ * @param {Date} [now]
+ * @returns {Promise<{ date: string, timezone: string }>}
+ */
+export async function localYesterday(hvac_id, now = new Date()) {
+  const timezone = await resolveDeviceTimezone(hvac_id);
+  return { date: previousDate(localDate(now, timezone)), timezone };
+}
+
 /**
  * Validate yesterday's runtime for a single thermostat
- * Convenience wrapper around validateRuntimeForDate that auto-computes yesterday's date
+ * Convenience wrapper around validateRuntimeForDate for the thermostat's previous local day
  * @param {string} access_token - Ecobee access token
  * @param {string} user_id - User ID
  * @param {string} hvac_id - Thermostat identifier
  * @returns {Promise<object>} Validation results with discrepancies
  */
 export async function validateYesterdayRuntime(access_token, user_id, hvac_id) {
-  const yesterday = new Date();
-  yesterday.setDate(yesterday.getDate() - 1);
-  const date = yesterday.toISOString().split('T')[0];
-
-  return validateRuntimeForDate(access_token, user_id, hvac_id, date);
+  const { date, timezone } = await localYesterday(hvac_id);
+  return validateRuntimeForDate(access_token, user_id, hvac_id, date, timezone);
 }
 
 /**
@@ -265,13 +344,11 @@ export async function validateYesterdayRuntime(access_token, user_id, hvac_id) {
  * @returns {Promise<Array>} Array of validation results
  */
 export async function runDailyRuntimeValidation(thermostats) {
-  // Get yesterday's date (Ecobee reports are available the next day)
-  const yesterday = new Date();
-  yesterday.setDate(yesterday.getDate() - 1);
-  const date = yesterday.toISOString().split('T')[0];
+  // Each thermostat's own yesterday (Ecobee reports are available the next day)
+  const now = new Date();
 
   console.log(`\n========================================`);
-  console.log(`🔍 Running daily runtime validation for ${date}`);
+  console.log(`🔍 Running daily runtime validation for each thermostat's local yesterday`);
   console.log(`Processing ${thermostats.length} thermostats`);
   console.log(`========================================\n`);
 
@@ -279,8 +356,11 @@ export async function runDailyRuntimeValidation(thermostats) {
   const discrepancies = [];
 
   for (const t of thermostats) {
+    let date = null;
     try {
-      const result = await validateRuntimeForDate(t.access_token, t.user_id, t.hvac_id, date);
+      const day = await localYesterday(t.hvac_id, now);
+      date = day.date;
+      const result = await validateRuntimeForDate(t.access_token, t.user_id, t.hvac_id, date, day.timezone);
       results.push(result);
 
       if (result.discrepancies.has_discrepancy) {
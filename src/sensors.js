@@ -0,0 +1,73 @@
+'use strict';
+
+import { v4 as uuidv4 } from 'uuid';
+import { nowUtc } from './util.js';
+import { normalizeSensorsFromDetails } from './normalize.js';
+import { getLatestSensorReadings, insertSensorReadings } from './db.js';
+import { buildCorePayload, postToCoreIngestAsync } from './coreIngest.js';
+
+// Temperature moves below this (°F) are sensor noise, not a new reading for Core
+const SENSOR_TEMP_DELTA_F = 0.5;
+
+function hasSensorChanged(prev, reading) {
+  if (!prev) return true;
+
+  const prevTemp = prev.temperature_f === null ? null : Number(prev.temperature_f);
+  const tempChanged =
+    (prevTemp === null) !== (reading.temperatureF === null) ||
+    (prevTemp !== null && Math.abs(prevTemp - reading.temperatureF) >= SENSOR_TEMP_DELTA_F);
+
+  return (
+    tempChanged ||
+    prev.humidity !== reading.humidity ||
+    prev.occupancy !== reading.occupancy ||
+    prev.in_use !== reading.inUse
+  );
+}
+
+/**
+ * Store remote sensor readings from a details fetch and forward changed
+ * sensors to Core as SENSOR_READING events (one per sensor). Readings are
+ * stored only after Core accepts the changed ones: the latest stored reading
+ * is the baseline, so a failed post is re-detected next time.
+ *
+ * @param {object} args - { user_id, hvac_id }
+ * @param {object} details - response body from fetchThermostatDetails()
+ * @returns {Promise<{ stored: number, posted: number }>}
+ */
+export async function handleSensorReadings({ user_id, hvac_id }, details) {
+  const readings = normalizeSensorsFromDetails({ hvac_id }, details);
+  if (!readings.length) return { stored: 0, posted: 0 };
+
+  const observedAt = nowUtc();
+  const previous = await getLatestSensorReadings(hvac_id);
+  const changed = readings.filter((r) => hasSensorChanged(previous.get(r.sensorId), r));
+
+  if (!changed.length) {
+    await insertSensorReadings(hvac_id, readings, observedAt);
+    return { stored: readings.length, posted: 0 };
+  }
+
+  const payloads = changed.map((r) =>
+    buildCorePayload({
+      deviceKey: hvac_id,
+      userId: user_id,
+      eventType: 'SENSOR_READING',
+      isReachable: true,
+      temperatureF: r.temperatureF,
+      humidity: r.humidity,
+      sensorId: r.sensorId,
+      sensorName: r.sensorName,
+      sensorType: r.sensorType,
+      occupancy: r.occupancy,
+      observedAt: new Date(observedAt),
+      sourceEventId: uuidv4(),
+      payloadRaw: r
+    })
+  );
+
+  await postToCoreIngestAsync(payloads, 'sensor-reading');
+  await insertSensorReadings(hvac_id, readings, observedAt);
+  console.log(`[${hvac_id}] 🌡️ Posted ${payloads.length}/${readings.length} sensor reading(s) to Core`);
+  return { stored: readings.length, posted: payloads.length };
+}
@@ -1,8 +1,17 @@
 import express from "express";
-import { pool, upsertTokens, deleteUser, deleteThermostat, queryOutboundEventLog } from "./db.js";
+import { pool, upsertTokens, deleteUser, deleteThermostat, queryOutboundEventLog, getLinkStatus, getDeviceProfile, getUserIdForHvac } from "./db.js";
 import { nowUtc } from "./util.js";
 import { runValidationNow } from "./runtimeValidationScheduler.js";
 import { CORE_API_KEY } from "./config.js";
+import { getSchedulerMetrics } from "./requestScheduler.js";
+import { applyThermostatControl, ThermostatControlError } from "./thermostatControl.js";
+import { forgetDeviceProfile } from "./deviceProfile.js";
+import { forgetDeviceLocation } from "./deviceLocation.js";
+import { addAdaptiveDevice, removeAdaptiveDevice } from "./poller-adaptive.js";
+import { getLeaseStatus } from "./leases.js";
+import { getPollerMetrics } from "./poller.js";
+import { getUpstreamStatus } from "./upstreamBreaker.js";
+import { reconstructMissedSessions } from "./sessionReconstruction.js";
 
 export function buildServer() {
   const app = express();
@@ -28,12 +37,21 @@ export function buildServer() {
   app.get("/health", async (_req, res) => {
     try {
       await pool.query("SELECT 1");
-      res.json({ ok: true, time: nowUtc() });
+      const lease = getLeaseStatus();
+      res.json({ ok: true, time: nowUtc(), instance_id: lease.instanceId, is_leader: lease.isLeader, leased_devices: lease.leasedDevices });
     } catch (e) {
       res.status(500).json({ ok: false, error: e.message });
     }
   });
 
+  app.get("/metrics/ecobee-requests", requireApiKey, (_req, res) => {
+    res.json({ ok: true, time: nowUtc(), scheduler: getSchedulerMetrics(), upstream: getUpstreamStatus() });
+  });
+
+  app.get("/metrics/poller", requireApiKey, (_req, res) => {
+    res.json({ ok: true, time: nowUtc(), poller: getPollerMetrics() });
+  });
+
   app.post("/ecobee/link", requireApiKey, async (req, res) => {
     try {
       const { user_id, hvac_id, access_token, refresh_token, expires_in, scope } = req.body || {};
@@ -68,6 +86,8 @@ export function buildServer() {
         scope 
       });
       
+      addAdaptiveDevice(hvac_id.trim());
+      
       console.log(`[${hvac_id.trim()}] 🔗 link/upsert from Bubble @ ${nowUtc()}`);
       res.json({ ok: true, saved: true });
     } catch (e) {
@@ -76,6 +96,35 @@ export function buildServer() {
     }
   });
 
+  app.get("/ecobee/link/:hvac_id/status", requireApiKey, async (req, res) => {
+    try {
+      const hvac_id = req.params.hvac_id?.trim();
+      if (!hvac_id) {
+        return res.status(400).json({ ok: false, error: "Invalid or missing hvac_id" });
+      }
+
+      const link = await getLinkStatus(hvac_id);
+      if (!link) {
+        return res.status(404).json({ ok: false, linked: false, hvac_id, error: "Thermostat not linked" });
+      }
+
+      res.json({
+        ok: true,
+        linked: true,
+        hvac_id,
+        user_id: link.user_id,
+        auth_status: link.auth_status,
+        needs_reauth: link.auth_status === "reauth_required",
+        auth_status_changed_at: link.auth_status_changed_at,
+        auth_error: link.auth_error,
+        token_expires_at: link.expires_at
+      });
+    } catch (e) {
+      console.error("link status error:", e);
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
   app.post("/ecobee/unlink", requireApiKey, async (req, res) => {
     try {
       const { user_id, hvac_id } = req.body || {};
@@ -96,6 +145,16 @@ export function buildServer() {
       await pool.query(`DELETE FROM ecobee_runtime WHERE hvac_id=$1`, [trimmedHvacId]);
       await pool.query(`DELETE FROM ecobee_revisions WHERE hvac_id=$1`, [trimmedHvacId]);
       await pool.query(`DELETE FROM ecobee_runtime_reports WHERE hvac_id=$1`, [trimmedHvacId]);
+      await pool.query(`DELETE FROM ecobee_sensor_readings WHERE hvac_id=$1`, [trimmedHvacId]);
+      await pool.query(`DELETE FROM ecobee_thermostat_events WHERE hvac_id=$1`, [trimmedHvacId]);
+      await pool.query(`DELETE FROM ecobee_alerts WHERE hvac_id=$1`, [trimmedHvacId]);
+      await pool.query(`DELETE FROM ecobee_control_audit WHERE hvac_id=$1`, [trimmedHvacId]);
+      await pool.query(`DELETE FROM ecobee_device_profiles WHERE hvac_id=$1`, [trimmedHvacId]);
+      await pool.query(`DELETE FROM ecobee_device_locations WHERE hvac_id=$1`, [trimmedHvacId]);
+      await pool.query(`DELETE FROM ecobee_poll_schedule WHERE hvac_id=$1`, [trimmedHvacId]);
+      forgetDeviceProfile(trimmedHvacId);
+      forgetDeviceLocation(trimmedHvacId);
+      removeAdaptiveDevice(trimmedHvacId);
       
       console.log(`[${trimmedHvacId}] 🗑️ unlink cleanup @ ${nowUtc()}`);
       res.json({ ok: true, removed: true });
@@ -128,6 +187,31 @@ export function buildServer() {
     }
   });
 
+  // Rebuild missed sessions from stored report intervals (e.g. after an outage)
+  app.post("/runtime/reconstruct", requireApiKey, async (req, res) => {
+    try {
+      const { hvac_id, from, to } = req.body || {};
+      if (!hvac_id || typeof hvac_id !== 'string') {
+        return res.status(400).json({ ok: false, error: "Invalid or missing hvac_id" });
+      }
+
+      const fromDate = new Date(from);
+      const toDate = to ? new Date(to) : new Date();
+      if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime()) || fromDate >= toDate) {
+        return res.status(400).json({ ok: false, error: "from/to must be ISO timestamps with from < to" });
+      }
+
+      const user_id = await getUserIdForHvac(hvac_id);
+      if (!user_id) return res.status(404).json({ ok: false, error: "Thermostat not linked" });
+
+      const result = await reconstructMissedSessions({ user_id, hvac_id }, { from: fromDate, to: toDate });
+      res.json({ ok: true, hvac_id, from: fromDate.toISOString(), to: toDate.toISOString(), ...result });
+    } catch (e) {
+      console.error("session reconstruction error:", e);
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
   app.get("/runtime/debug/:hvac_id", requireApiKey, async (req, res) => {
     try {
       const { hvac_id } = req.params;
@@ -174,6 +258,11 @@ export function buildServer() {
 
       const trimmedUserId = user_id.trim();
       const deletedHvacIds = await deleteUser(trimmedUserId);
+      for (const id of deletedHvacIds) {
+        forgetDeviceProfile(id);
+        forgetDeviceLocation(id);
+        removeAdaptiveDevice(id);
+      }
 
       console.log(`[${trimmedUserId}] 🗑️ user deletion - removed ${deletedHvacIds.length} thermostats @ ${nowUtc()}`);
       res.json({
@@ -217,6 +306,55 @@ export function buildServer() {
     }
   });
 
+  app.get("/thermostat/:hvac_id/profile", requireApiKey, async (req, res) => {
+    try {
+      const hvac_id = req.params.hvac_id?.trim();
+      if (!hvac_id) {
+        return res.status(400).json({ ok: false, error: "Invalid or missing hvac_id" });
+      }
+
+      const row = await getDeviceProfile(hvac_id);
+      if (!row) {
+        return res.status(404).json({ ok: false, hvac_id, error: "No equipment profile yet (populated on the next poll)" });
+      }
+
+      res.json({
+        ok: true,
+        hvac_id,
+        thermostat_rev: row.thermostat_rev,
+        updated_at: row.updated_at,
+        profile: row.profile
+      });
+    } catch (e) {
+      console.error("profile error:", e);
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  // Thermostat control: POST /thermostat/:hvac_id/{hold,mode,fan,resume}
+  const controlRoute = (action) => async (req, res) => {
+    try {
+      const hvac_id = req.params.hvac_id?.trim();
+      if (!hvac_id) {
+        return res.status(400).json({ ok: false, error: "Invalid or missing hvac_id" });
+      }
+
+      const { ecobeeRequest, repollScheduled } = await applyThermostatControl(hvac_id, action, req.body || {});
+      res.json({ ok: true, hvac_id, action, ecobee_request: ecobeeRequest, repoll_scheduled: repollScheduled });
+    } catch (e) {
+      if (e instanceof ThermostatControlError) {
+        return res.status(e.statusCode).json({ ok: false, error: e.message });
+      }
+      console.error(`thermostat ${action} error:`, e?.response?.data || e.message);
+      res.status(502).json({ ok: false, error: e?.response?.data?.status?.message || e.message });
+    }
+  };
+
+  app.post("/thermostat/:hvac_id/hold", requireApiKey, controlRoute("hold"));
+  app.post("/thermostat/:hvac_id/mode", requireApiKey, controlRoute("mode"));
+  app.post("/thermostat/:hvac_id/fan", requireApiKey, controlRoute("fan"));
+  app.post("/thermostat/:hvac_id/resume", requireApiKey, controlRoute("resume"));
+
   app.delete("/thermostat/:hvac_id", requireApiKey, async (req, res) => {
     try {
       const { hvac_id } = req.params;
@@ -227,6 +365,9 @@ export function buildServer() {
 
       const trimmedHvacId = hvac_id.trim();
       await deleteThermostat(trimmedHvacId);
+      forgetDeviceProfile(trimmedHvacId);
+      forgetDeviceLocation(trimmedHvacId);
+      removeAdaptiveDevice(trimmedHvacId);
 
       console.log(`[${trimmedHvacId}] 🗑️ thermostat deletion @ ${nowUtc()}`);
       res.json({
@@ -0,0 +1,208 @@
+'use strict';
+
+import { getRuntime, getRuntimeReportIntervals, getSessionsOverlapping, insertSession } from './db.js';
+import { buildCorePayload, postToCoreIngestAsync } from './coreIngest.js';
+import { loadDeviceProfile } from './deviceProfile.js';
+import { resolveDeviceTimezone } from './deviceLocation.js';
+
+/**
+ * Rebuild sessions the live poller missed (poller down, device unreachable,
+ * ticks clamped to MAX_ACCUMULATE_SECONDS) from the 5-minute intervals in
+ * ecobee_runtime_reports.
+ *
+ * A session is a run of contiguous intervals with the same equipment type.
+ * Runs cut off by the edge of the window or a hole in the report have an
+ * unknown start or end and are left alone; a later, wider window picks them
+ * up. Only sessions overlapping nothing already in ecobee_runtime_sessions
+ * (or the session the poller is tracking right now) are inserted, with
+ * source='report', so re-running over the same window is a no-op.
+ */
+
+const INTERVAL_SECONDS = 300;
+const INTERVAL_MS = INTERVAL_SECONDS * 1000;
+// Poller sessions start/end on poll ticks, a few minutes off the report
+const OVERLAP_TOLERANCE_MS = INTERVAL_MS;
+
+const num = (v) => (v === null || v === undefined ? 0 : Number(v) || 0);
+
+function stageOf(values) {
+  let stage = 0;
+  values.forEach((v, i) => { if (v > 0) stage = i + 1; });
+  return stage;
+}
+
+/**
+ * What ran in one interval: the highest-priority equipment, matching the
+ * live parser (aux heat is the furnace when there is no heat pump).
+ * @returns {{ equipmentType: string, seconds: number, stage: number|null }|null} null when idle
+ */
+export function classifyInterval(interval, auxIsPrimary) {
+  const aux = [interval.aux_heat1, interval.aux_heat2, interval.aux_heat3].map(num);
+  const heat = [interval.comp_heat1, interval.comp_heat2].map(num);
+  const cool = [interval.comp_cool1, interval.comp_cool2].map(num);
+  const fan = num(interval.fan);
+
+  if (Math.max(...aux) > 0) {
+    return { equipmentType: auxIsPrimary ? 'Heating' : 'AuxHeat', seconds: Math.max(...aux), stage: stageOf(aux) };
+  }
+  if (Math.max(...heat) > 0) return { equipmentType: 'Heating', seconds: Math.max(...heat), stage: stageOf(heat) };
+  if (Math.max(...cool) > 0) return { equipmentType: 'Cooling', seconds: Math.max(...cool), stage: stageOf(cool) };
+  if (fan > 0) return { equipmentType: 'Fan_only', seconds: fan, stage: null };
+  return null;
+}
+
+function average(values) {
+  const present = values.filter((v) => v !== null && v !== undefined && !Number.isNaN(Number(v))).map(Number);
+  if (!present.length) return null;
+  return Math.round((present.reduce((a, b) => a + b, 0) / present.length) * 100) / 100;
+}
+
+function finishRun(run) {
+  // The equipment ran through the end of every interval but the last, so a
+  // multi-interval run started late in its first interval
+  const startMs = run.intervals > 1 ? run.firstTs + (INTERVAL_SECONDS - run.firstSeconds) * 1000 : run.firstTs;
+  return {
+    started_at: new Date(startMs),
+    ended_at: new Date(run.lastTs + run.lastSeconds * 1000),
+    runtime_seconds: Math.round(run.runtimeSeconds),
+    equipment_type: run.equipmentType,
+    stage: run.stage,
+    avg_temperature: average(run.temps),
+    avg_humidity: average(run.humidities) === null ? null : Math.round(average(run.humidities)),
+    thermostat_mode: run.mode,
+  };
+}
+
+/**
+ * Derive complete sessions from report intervals.
+ * @param {object[]} intervals - ecobee_runtime_reports rows, oldest first
+ * @param {object|null} profile - Equipment profile (aux heat handling)
+ * @returns {object[]} sessions { started_at, ended_at, runtime_seconds, equipment_type, stage, ... }
+ */
+export function deriveSessionsFromIntervals(intervals, profile = null) {
+  const auxIsPrimary = profile?.hasHeatPump === false;
+  const sessions = [];
+  let run = null;
+  let prevTs = null;
+
+  for (const interval of intervals) {
+    const ts = new Date(interval.interval_timestamp).getTime();
+    const contiguous = prevTs !== null && ts - prevTs === INTERVAL_MS;
+    const state = classifyInterval(interval, auxIsPrimary);
+
+    if (run && !(contiguous && state?.equipmentType === run.equipmentType)) {
+      // A known, different interval closes the run; a hole leaves its end unknown
+      if (contiguous && !run.openStart) sessions.push(finishRun(run));
+      run = null;
+    }
+
+    if (state) {
+      if (!run) {
+        run = {
+          equipmentType: state.equipmentType,
+          openStart: !contiguous,
+          firstTs: ts,
+          firstSeconds: state.seconds,
+          intervals: 0,
+          runtimeSeconds: 0,
+          stage: state.stage,
+          temps: [],
+          humidities: [],
+          mode: null,
+        };
+      }
+      run.intervals += 1;
+      run.lastTs = ts;
+      run.lastSeconds = state.seconds;
+      run.runtimeSeconds += state.seconds;
+      if (state.stage !== null) run.stage = Math.max(run.stage || 0, state.stage);
+      run.temps.push(interval.zone_avg_temp);
+      run.humidities.push(interval.zone_humidity);
+      run.mode = interval.hvac_mode || run.mode;
+    }
+
+    prevTs = ts;
+  }
+
+  // A run still going at the end of the window has no known end yet
+  return sessions;
+}
+
+function overlaps(session, existing) {
+  const start = new Date(existing.started_at).getTime() - OVERLAP_TOLERANCE_MS;
+  const end = new Date(existing.ended_at).getTime() + OVERLAP_TOLERANCE_MS;
+  return session.started_at.getTime() < end && session.ended_at.getTime() > start;
+}
+
+async function postBackfilledSession({ user_id, hvac_id }, session, sessionId) {
+  const corePayload = buildCorePayload({
+    deviceKey: hvac_id,
+    userId: user_id,
+    eventType: 'SESSION_BACKFILL',
+    equipmentStatus: 'IDLE',
+    previousStatus: session.equipment_type,
+    isActive: false,
+    isReachable: true,
+    mode: session.thermostat_mode,
+    runtimeSeconds: session.runtime_seconds,
+    temperatureF: session.avg_temperature,
+    humidity: session.avg_humidity,
+    thermostatMode: session.thermostat_mode,
+    observedAt: session.ended_at,
+    // Stable id so Core can dedupe a repost of the same reconstructed session
+    sourceEventId: sessionId,
+    payloadRaw: {
+      source: 'report',
+      backfilled: true,
+      started_at: session.started_at.toISOString(),
+      ended_at: session.ended_at.toISOString(),
+      equipment_type: session.equipment_type,
+      stage: session.stage,
+    }
+  });
+  await postToCoreIngestAsync(corePayload, 'session-backfill');
+}
+
+/**
+ * Insert (and send to Core) sessions found in report intervals within
+ * [from, to] that ecobee_runtime_sessions doesn't have.
+ * @param {object} device - { user_id, hvac_id }
+ * @param {object} window - { from: Date, to: Date }
+ * @returns {Promise<{ derived: number, inserted: number }>}
+ */
+export async function reconstructMissedSessions({ user_id, hvac_id }, { from, to }) {
+  const intervals = await getRuntimeReportIntervals(hvac_id, from, to);
+  if (!intervals.length) return { derived: 0, inserted: 0 };
+
+  const profile = await loadDeviceProfile(hvac_id);
+  const derived = deriveSessionsFromIntervals(intervals, profile);
+  if (!derived.length) return { derived: 0, inserted: 0 };
+
+  const windowStart = new Date(derived[0].started_at.getTime() - OVERLAP_TOLERANCE_MS);
+  const windowEnd = new Date(derived[derived.length - 1].ended_at.getTime() + OVERLAP_TOLERANCE_MS);
+  const existing = await getSessionsOverlapping(hvac_id, windowStart, windowEnd);
+
+  // The session the poller is tracking is only written when it ends
+  const rt = await getRuntime(hvac_id);
+  if (rt?.is_running && rt.current_session_started_at) {
+    existing.push({ started_at: rt.current_session_started_at, ended_at: new Date() });
+  }
+
+  const timezone = await resolveDeviceTimezone(hvac_id);
+  let inserted = 0;
+  for (const session of derived) {
+    if (existing.some((e) => overlaps(session, e))) continue;
+
+    const sessionId = await insertSession({ hvac_id, user_id, ...session, source: 'report', timezone });
+    inserted++;
+    console.log(`[${hvac_id}] 🧩 Reconstructed ${session.equipment_type} session ${session.started_at.toISOString()} → ${session.ended_at.toISOString()} (${session.runtime_seconds}s) from report`);
+
+    try {
+      await postBackfilledSession({ user_id, hvac_id }, session, sessionId);
+    } catch (e) {
+      console.error(`[${hvac_id}] Failed to post reconstructed session to Core:`, e.message);
+    }
+  }
+
+  return { derived: derived.length, inserted };
+}
@@ -0,0 +1,260 @@
+'use strict';
+
+import { v4 as uuidv4 } from 'uuid';
+import {
+  loadRunningRuntimes,
+  loadActiveTokensForHvac,
+  getRuntime,
+  setRuntime,
+  resetRuntime,
+  insertSession,
+  getRuntimeReportIntervals
+} from './db.js';
+import { buildCorePayload, postToCoreIngestAsync } from './coreIngest.js';
+import { classifyInterval } from './sessionReconstruction.js';
+import { baseSessionState } from './equipmentState.js';
+import { closeSegments, maxSegmentStage, persistSessionSegments, sessionEquipmentType } from './sessionSegments.js';
+import { summarizeSessionStats } from './sessionStats.js';
+import { loadDeviceProfile } from './deviceProfile.js';
+import { resolveDeviceTimezone } from './deviceLocation.js';
+import { ownsDevice, isLeader } from './leases.js';
+import { MAX_ACCUMULATE_SECONDS } from './config.js';
+import { toMillis } from './util.js';
+
+/**
+ * Reconcile sessions left open by a process that stopped mid-session.
+ *
+ * ecobee_runtime keeps is_running=true with the last_tick_at of the dead
+ * process; left alone, the next tick adds a clamped delta for the whole
+ * downtime. Each open session is settled once per process, before this
+ * process first handles the device's runtime:
+ *
+ *  - resumed    the gap is short enough for the next tick to account for it
+ *  - report     runtime report intervals cover the gap: the session is
+ *               continued through them or closed where the equipment stopped
+ *  - truncated  nothing covers the gap: closed at the last confirmed tick
+ *
+ * The startup pass resumes short gaps and truncates unlinked devices; the
+ * rest wait for their first poll, which syncs report intervals first.
+ * Core gets SESSION_RECOVERED or SESSION_TRUNCATED with the reason.
+ */
+
+const INTERVAL_MS = 300 * 1000;
+
+// hvac_ids whose open session this process has already settled
+const settled = new Set();
+
+async function postRecoveryEvent({ user_id, hvac_id }, rt, { eventType, isActive, runtimeSeconds, observedAt, session = null, payloadRaw }) {
+  const equipmentType = rt.last_equipment_status || rt.last_event_type || 'UNKNOWN';
+  const corePayload = buildCorePayload({
+    deviceKey: hvac_id,
+    userId: user_id,
+    eventType,
+    equipmentStatus: isActive ? equipmentType : 'IDLE',
+    previousStatus: equipmentType,
+    isActive,
+    isReachable: rt.is_reachable !== false,
+    mode: rt.last_running_mode || null,
+    runtimeSeconds,
+    thermostatMode: rt.thermostat_mode || null,
+    observedAt,
+    sourceEventId: uuidv4(),
+    session,
+    payloadRaw: {
+      session_started_at: new Date(rt.current_session_started_at).toISOString(),
+      last_tick_at: rt.last_tick_at ? new Date(rt.last_tick_at).toISOString() : null,
+      ...payloadRaw,
+    }
+  });
+  await postToCoreIngestAsync(corePayload, eventType === 'SESSION_TRUNCATED' ? 'session-truncated' : 'session-recovered');
+}
+
+async function closeSession({ user_id, hvac_id }, rt, { endedAt, runtimeSeconds }) {
+  const segments = closeSegments(rt, endedAt, runtimeSeconds);
+  const stats = summarizeSessionStats(rt.session_stats, runtimeSeconds);
+  if (runtimeSeconds > 0) {
+    const sessionId = await insertSession({
+      hvac_id,
+      user_id,
+      started_at: rt.current_session_started_at,
+      ended_at: endedAt,
+      runtime_seconds: runtimeSeconds,
+      equipment_type: sessionEquipmentType(segments, rt.last_equipment_status || rt.last_event_type),
+      thermostat_mode: rt.thermostat_mode,
+      stage: maxSegmentStage(segments),
+      segments,
+      ...stats,
+      avg_temperature: stats.avg_temperature ?? rt.last_temperature,
+      avg_humidity: stats.avg_humidity ?? rt.last_humidity,
+      timezone: await resolveDeviceTimezone(hvac_id),
+    });
+    await persistSessionSegments(sessionId, hvac_id, segments);
+  }
+  await resetRuntime(hvac_id);
+  return { segments, stats };
+}
+
+/**
+ * Walk report intervals forward from the last confirmed tick while they stay
+ * contiguous. Stops at the first interval where the session's equipment
+ * wasn't running (the session ended) or at a hole (coverage ends).
+ * @returns {{ ended: boolean, atMs: number, addSeconds: number }|null} null when no interval covers the last tick
+ */
+export function settleFromIntervals(intervals, { equipmentType, lastTickMs }, profile = null) {
+  const auxIsPrimary = profile?.hasHeatPump === false;
+  let prevTs = null;
+  let runningUntilMs = lastTickMs;
+  let addSeconds = 0;
+
+  for (const interval of intervals) {
+    const ts = toMillis(interval.interval_timestamp);
+    if (ts + INTERVAL_MS <= lastTickMs) continue;
+    if (prevTs === null ? ts > lastTickMs : ts - prevTs !== INTERVAL_MS) break;
+
+    const state = classifyInterval(interval, auxIsPrimary);
+    if (state?.equipmentType !== equipmentType) {
+      return { ended: true, atMs: runningUntilMs, addSeconds: Math.round(addSeconds) };
+    }
+
+    // Only the part of the first interval after the last tick is new runtime
+    const share = Math.min(1, (ts + INTERVAL_MS - lastTickMs) / INTERVAL_MS);
+    addSeconds += state.seconds * share;
+    runningUntilMs = Math.max(lastTickMs, ts + state.seconds * 1000);
+    prevTs = ts;
+  }
+
+  if (prevTs === null) return null;
+  return { ended: false, atMs: prevTs + INTERVAL_MS, addSeconds: Math.round(addSeconds) };
+}
+
+async function resumeSession(device, rt, gapSec) {
+  console.log(`[${device.hvac_id}] ▶️ Resuming ${rt.last_equipment_status} session after ${gapSec}s gap`);
+  await postRecoveryEvent(device, rt, {
+    eventType: 'SESSION_RECOVERED',
+    isActive: true,
+    runtimeSeconds: Math.round(rt.current_session_seconds || 0),
+    observedAt: new Date(),
+    payloadRaw: { resolution: 'resumed', gap_seconds: gapSec },
+  });
+  return 'resumed';
+}
+
+async function truncateSession(device, rt, gapSec, reason) {
+  const runtimeSeconds = Math.round(rt.current_session_seconds || 0);
+  const endedAt = new Date(rt.last_tick_at || rt.current_session_started_at);
+  const closed = await closeSession(device, rt, { endedAt, runtimeSeconds });
+  console.log(`[${device.hvac_id}] ✂️ Truncated ${rt.last_equipment_status} session at last tick ${endedAt.toISOString()} (${runtimeSeconds}s, ${gapSec}s unaccounted: ${reason})`);
+  await postRecoveryEvent(device, rt, {
+    eventType: 'SESSION_TRUNCATED',
+    isActive: false,
+    runtimeSeconds,
+    observedAt: endedAt,
+    session: closed,
+    payloadRaw: { resolution: 'last_tick', reason, unaccounted_seconds: gapSec },
+  });
+  return 'truncated';
+}
+
+async function settleFromReport(device, rt, settlement, gapSec) {
+  const runtimeSeconds = Math.round((rt.current_session_seconds || 0) + settlement.addSeconds);
+  const at = new Date(settlement.atMs);
+
+  let closed = null;
+  if (settlement.ended) {
+    closed = await closeSession(device, rt, { endedAt: at, runtimeSeconds });
+    console.log(`[${device.hvac_id}] 📊 Closed ${rt.last_equipment_status} session at ${at.toISOString()} from report (${runtimeSeconds}s)`);
+  } else {
+    // Report shows it still running: the next tick counts on from the report's end
+    await setRuntime(device.hvac_id, { current_session_seconds: runtimeSeconds, last_tick_at: at.toISOString() });
+    console.log(`[${device.hvac_id}] 📊 Continued ${rt.last_equipment_status} session through ${at.toISOString()} from report (${runtimeSeconds}s)`);
+  }
+
+  await postRecoveryEvent(device, rt, {
+    eventType: 'SESSION_RECOVERED',
+    isActive: !settlement.ended,
+    runtimeSeconds,
+    observedAt: at,
+    session: closed,
+    payloadRaw: {
+      resolution: settlement.ended ? 'report_closed' : 'report_continued',
+      gap_seconds: gapSec,
+      report_seconds: settlement.addSeconds,
+    },
+  });
+  return 'report';
+}
+
+/**
+ * Settle a device's open session, once per process.
+ * @param {object} device - { user_id, hvac_id }
+ * @param {object} [options] - { deferToPoll }: leave long gaps for the first poll
+ * @returns {Promise<string|null>} resumed | report | truncated | deferred, null when nothing was open
+ */
+export async function reconcileInterruptedSession({ user_id, hvac_id }, { deferToPoll = false } = {}) {
+  if (settled.has(hvac_id)) return null;
+
+  const rt = await getRuntime(hvac_id);
+  if (!rt?.is_running || !rt.current_session_started_at) {
+    settled.add(hvac_id);
+    return null;
+  }
+
+  const device = { user_id, hvac_id };
+  const lastTickMs = toMillis(rt.last_tick_at || rt.current_session_started_at);
+  const gapSec = Math.max(0, Math.round((Date.now() - lastTickMs) / 1000));
+
+  let outcome;
+  if (gapSec <= MAX_ACCUMULATE_SECONDS) {
+    outcome = await resumeSession(device, rt, gapSec);
+  } else if (!user_id) {
+    // No active link (unlinked or revoked): nothing will poll this device to settle it later
+    outcome = await truncateSession(device, rt, gapSec, 'unlinked');
+  } else if (deferToPoll) {
+    console.log(`[${hvac_id}] ⏸️ Open ${rt.last_equipment_status} session (${gapSec}s since last tick) deferred to first poll`);
+    return 'deferred';
+  } else {
+    const intervals = await getRuntimeReportIntervals(hvac_id, new Date(lastTickMs - INTERVAL_MS), new Date());
+    const settlement = settleFromIntervals(
+      intervals,
+      { equipmentType: baseSessionState(rt.last_equipment_status || rt.last_event_type), lastTickMs },
+      await loadDeviceProfile(hvac_id)
+    );
+    outcome = settlement
+      ? await settleFromReport(device, rt, settlement, gapSec)
+      : await truncateSession(device, rt, gapSec, 'no_report_coverage');
+  }
+
+  settled.add(hvac_id);
+  return outcome;
+}
+
+/**
+ * Startup pass over every open session on devices leased here. Devices with
+ * no active link hold no lease at all: the leader settles those.
+ * @returns {Promise<object>} counts per outcome
+ */
+export async function recoverInProgressSessions() {
+  const counts = { resumed: 0, report: 0, truncated: 0, deferred: 0, failed: 0 };
+  const running = await loadRunningRuntimes();
+
+  for (const { hvac_id } of running) {
+    try {
+      const [link] = await loadActiveTokensForHvac(hvac_id);
+      if (link ? !ownsDevice(hvac_id) : !isLeader()) continue;
+      const outcome = await reconcileInterruptedSession({ user_id: link?.user_id || null, hvac_id }, { deferToPoll: true });
+      if (outcome) counts[outcome]++;
+    } catch (e) {
+      counts.failed++;
+      console.error(`[${hvac_id}] Session recovery failed:`, e.message);
+    }
+  }
+  return counts;
+}
+
+/**
+ * Settle again next time this process sees the device (its lease moved
+ * away, so another process may have left a session open by then).
+ */
+export function forgetSessionRecovery(hvac_id) {
+  settled.delete(hvac_id);
+}
@@ -0,0 +1,122 @@
+'use strict';
+
+import { insertSessionSegments } from './db.js';
+import { baseSessionState } from './equipmentState.js';
+
+/**
+ * Segments of a live session.
+ *
+ * A session runs while any equipment does; a new segment starts whenever the
+ * running mode or stage changes within it (heat pump bringing in auxHeat1,
+ * compCool1 stepping up to compCool2). The fan coming on or off is not a
+ * boundary: segments are labeled with the base state ('Heating', 'AuxHeat').
+ *
+ * The open segment lives on ecobee_runtime (current_segment_*), with the
+ * session's runtime at the moment it opened; closed ones wait in
+ * session_segments until the session ends and they are written to
+ * ecobee_runtime_session_segments.
+ */
+
+/**
+ * ecobee_runtime fields that open a segment.
+ * @param {object} parsed - parseEquipmentState() result
+ * @param {string} atIso - Segment start
+ * @param {number} offsetSeconds - Session runtime so far
+ */
+export function openSegmentFields(parsed, atIso, offsetSeconds = 0) {
+  return {
+    current_segment_started_at: atIso,
+    current_segment_type: baseSessionState(parsed.state),
+    current_segment_stage: parsed.stage ?? null,
+    current_segment_offset_seconds: Math.round(offsetSeconds),
+  };
+}
+
+/**
+ * True when the running mode or stage differs from the open segment's.
+ */
+export function isSegmentChange(rt, parsed) {
+  if (!rt.current_segment_type) return false;
+  return rt.current_segment_type !== baseSessionState(parsed.state)
+    || (rt.current_segment_stage ?? null) !== (parsed.stage ?? null);
+}
+
+/**
+ * Every segment of the session with the open one closed at endedAt.
+ * @param {object} rt - ecobee_runtime row
+ * @param {string|Date} endedAt
+ * @param {number} totalSeconds - Session runtime at endedAt
+ * @returns {object[]} { started_at, ended_at, runtime_seconds, equipment_type, stage }
+ */
+export function closeSegments(rt, endedAt, totalSeconds) {
+  const closed = Array.isArray(rt.session_segments) ? rt.session_segments : [];
+  // Sessions opened before segments were tracked are a single segment
+  const current = {
+    started_at: rt.current_segment_started_at || rt.current_session_started_at,
+    ended_at: endedAt,
+    runtime_seconds: Math.max(0, Math.round(totalSeconds - (rt.current_segment_offset_seconds || 0))),
+    equipment_type: rt.current_segment_type || baseSessionState(rt.last_equipment_status || rt.last_event_type),
+    stage: rt.current_segment_stage ?? null,
+  };
+  return [...closed, current].map((seg) => ({
+    ...seg,
+    started_at: new Date(seg.started_at).toISOString(),
+    ended_at: new Date(seg.ended_at).toISOString(),
+  }));
+}
+
+/**
+ * ecobee_runtime fields that close the open segment and start the next one.
+ */
+export function rollSegmentFields(rt, parsed, atIso, totalSeconds) {
+  return {
+    session_segments: JSON.stringify(closeSegments(rt, atIso, totalSeconds)),
+    ...openSegmentFields(parsed, atIso, totalSeconds),
+  };
+}
+
+/**
+ * Highest stage reached across segments (null when no stage was reported).
+ */
+export function maxSegmentStage(segments) {
+  const stages = segments.map((s) => s.stage).filter((s) => s !== null && s !== undefined);
+  return stages.length ? Math.max(...stages) : null;
+}
+
+/**
+ * Measured runtime per equipment type across segments
+ * ({ Heating: 2400, AuxHeat: 300 }).
+ */
+export function runtimeByType(segments) {
+  const totals = {};
+  for (const seg of segments) {
+    totals[seg.equipment_type] = (totals[seg.equipment_type] || 0) + (seg.runtime_seconds || 0);
+  }
+  return totals;
+}
+
+/**
+ * The session's label: the type that ran longest. Fan-only time only wins
+ * when nothing else ran, so a heat pump run that ends on aux stays Heating.
+ * @param {object[]} segments
+ * @param {string} fallback - Used when there are no segments
+ */
+export function sessionEquipmentType(segments, fallback) {
+  const totals = Object.entries(runtimeByType(segments));
+  const running = totals.filter(([type]) => type !== 'Fan_only');
+  const [longest] = (running.length ? running : totals).sort((a, b) => b[1] - a[1]);
+  return longest ? longest[0] : baseSessionState(fallback);
+}
+
+/**
+ * Persist a finished session's segments. Failures are logged: the session
+ * row itself is already written.
+ */
+export async function persistSessionSegments(session_id, hvac_id, segments) {
+  if (!session_id || !segments.length) return;
+  try {
+    await insertSessionSegments(session_id, hvac_id, segments);
+  } catch (err) {
+    console.error(`[${hvac_id}] Failed to persist session segments:`, err.message);
+  }
+}
@@ -0,0 +1,106 @@
+'use strict';
+
+/**
+ * Statistics for a live session, accumulated tick by tick.
+ *
+ * Each reading holds until the next one (ticks are irregular: adaptive
+ * polling, skipped writes), so averages weight every value by how long it
+ * held. Ticks without fresh telemetry (summary-only polls) just extend the
+ * held value. The accumulator is JSON on ecobee_runtime.session_stats and is
+ * summarised into the session row when the session ends.
+ */
+
+const WEIGHTED_METRICS = ['temperature', 'humidity', 'outdoor_temperature'];
+const SNAPSHOT_METRICS = ['heat_setpoint', 'cool_setpoint'];
+
+const present = (v) => v !== null && v !== undefined && !Number.isNaN(Number(v));
+const round = (v, digits = 2) => (present(v) ? Math.round(Number(v) * 10 ** digits) / 10 ** digits : null);
+
+// Telemetry from the runtime handler → accumulator keys
+function sampleValues({ temperatureF, humidity, outdoorTemperatureF, heatSetpoint, coolSetpoint }) {
+  return {
+    temperature: temperatureF,
+    humidity,
+    outdoor_temperature: outdoorTemperatureF,
+    heat_setpoint: heatSetpoint,
+    cool_setpoint: coolSetpoint,
+  };
+}
+
+function observe(metric = {}, value) {
+  if (!present(value)) return metric;
+  const v = Number(value);
+  return {
+    ...metric,
+    first: metric.first ?? v,
+    last: v,
+    min: present(metric.min) ? Math.min(metric.min, v) : v,
+    max: present(metric.max) ? Math.max(metric.max, v) : v,
+  };
+}
+
+function hold(metric = {}, seconds) {
+  if (!present(metric.last) || !(seconds > 0)) return metric;
+  return {
+    ...metric,
+    sum: (metric.sum || 0) + metric.last * seconds,
+    seconds: (metric.seconds || 0) + seconds,
+  };
+}
+
+/**
+ * New accumulator from the session's first reading.
+ * @param {object} sample - { temperatureF, humidity, outdoorTemperatureF, heatSetpoint, coolSetpoint }
+ */
+export function startSessionStats(sample) {
+  return accumulateSessionStats({}, sample, 0);
+}
+
+/**
+ * Credit the held readings with deltaSec, then take the new sample.
+ * @param {object|null} stats - Accumulator (null for sessions started before stats existed)
+ * @param {object} sample - Telemetry of this tick (nulls keep the held value)
+ * @param {number} deltaSec - Seconds since the last accumulated tick
+ */
+export function accumulateSessionStats(stats, sample, deltaSec) {
+  const values = sampleValues(sample);
+  const next = { ...(stats || {}) };
+  for (const key of WEIGHTED_METRICS) next[key] = observe(hold(next[key], deltaSec), values[key]);
+  for (const key of SNAPSHOT_METRICS) next[key] = observe(next[key], values[key]);
+  return next;
+}
+
+function average(metric) {
+  if (!metric) return null;
+  return metric.seconds > 0 ? metric.sum / metric.seconds : metric.last ?? null;
+}
+
+/**
+ * Session row / Core fields from the accumulator.
+ * @param {object|null} stats
+ * @param {number} runtimeSeconds - Session runtime, for the rate of change
+ * @returns {object} avg/min/max/start/end temperature, avg humidity, start/end setpoints,
+ *   avg outdoor temperature and temperature_change_per_min (°F/min)
+ */
+export function summarizeSessionStats(stats, runtimeSeconds) {
+  const t = stats?.temperature;
+  const change = present(t?.first) && present(t?.last) && runtimeSeconds >= 60
+    ? (t.last - t.first) / (runtimeSeconds / 60)
+    : null;
+  const humidity = average(stats?.humidity);
+
+  return {
+    avg_temperature: round(average(t)),
+    min_temperature: round(t?.min),
+    max_temperature: round(t?.max),
+    start_temperature: round(t?.first),
+    end_temperature: round(t?.last),
+    avg_humidity: present(humidity) ? Math.round(humidity) : null,
+    start_heat_setpoint: round(stats?.heat_setpoint?.first),
+    end_heat_setpoint: round(stats?.heat_setpoint?.last),
+    start_cool_setpoint: round(stats?.cool_setpoint?.first),
+    end_cool_setpoint: round(stats?.cool_setpoint?.last),
+    avg_outdoor_temperature: round(average(stats?.outdoor_temperature)),
+    temperature_change_per_min: round(change, 3),
+  };
+}
@@ -0,0 +1,276 @@
+'use strict';
+
+import { tenthsFToF } from './util.js';
+import { normalizeEquipmentProfileFromDetails } from './normalize.js';
+import { getLinkStatus, insertControlAudit, markPollDue } from './db.js';
+import { fetchThermostatDetails, updateThermostat } from './ecobeeApi.js';
+import { PRIORITY } from './requestScheduler.js';
+import { getValidTokens, refreshAfterUnauthorized, ReauthRequiredError } from './tokenManager.js';
+import { pollThermostatNow } from './poller.js';
+import { ownsDevice } from './leases.js';
+
+/**
+ * Thermostat control: holds, HVAC mode, fan and resume-program writes.
+ *
+ * Every write is validated against what the equipment can actually do (read
+ * from settings just before the update), recorded in ecobee_control_audit,
+ * and followed by a re-poll so Core sees the new state without waiting for
+ * the next tick.
+ */
+
+const HVAC_MODES = ['auto', 'auxHeatOnly', 'cool', 'heat', 'off'];
+const HOLD_TYPES = ['nextTransition', 'indefinite', 'holdHours'];
+const FAN_MODES = ['on', 'auto'];
+const MAX_HOLD_HOURS = 48;
+
+// Ecobee takes a few seconds to reflect a write in thermostatSummary revisions
+const CONTROL_REPOLL_DELAY_MS = 3000;
+
+/**
+ * Rejected control request. statusCode is the HTTP status the route returns.
+ */
+export class ThermostatControlError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ThermostatControlError';
+    this.statusCode = statusCode;
+  }
+}
+
+const toTenths = (f) => Math.round(f * 10);
+
+function capabilitiesFromDetails(details) {
+  const t = details?.thermostatList?.[0];
+  const profile = normalizeEquipmentProfileFromDetails(details);
+  if (!t || !profile) throw new ThermostatControlError('Thermostat settings not returned by Ecobee', 502);
+
+  const settings = t.settings;
+  const runtime = t.runtime || {};
+
+  return {
+    canHeat: profile.heatStages > 0 || profile.hasHeatPump,
+    canCool: profile.coolStages > 0,
+    hasAuxHeat: profile.hasAuxHeat,
+    canAuto: profile.autoHeatCoolEnabled,
+    hasFan: profile.hasForcedAir || profile.hasHeatPump,
+    heatRangeF: [tenthsFToF(settings.heatRangeLow), tenthsFToF(settings.heatRangeHigh)],
+    coolRangeF: [tenthsFToF(settings.coolRangeLow), tenthsFToF(settings.coolRangeHigh)],
+    heatCoolMinDeltaF: tenthsFToF(settings.heatCoolMinDelta) ?? 0,
+    desiredHeatF: tenthsFToF(runtime.desiredHeat),
+    desiredCoolF: tenthsFToF(runtime.desiredCool),
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                              INPUT PARSING                                 */
+/* -------------------------------------------------------------------------- */
+function parseOptionalSetpoint(value, field) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new ThermostatControlError(`${field} must be a number (°F)`);
+  }
+  return value;
+}
+
+function parseHoldDuration({ hold_type = 'nextTransition', hold_hours }) {
+  if (!HOLD_TYPES.includes(hold_type)) {
+    throw new ThermostatControlError(`hold_type must be one of: ${HOLD_TYPES.join(', ')}`);
+  }
+  if (hold_type !== 'holdHours') return { holdType: hold_type };
+
+  if (!Number.isInteger(hold_hours) || hold_hours < 1 || hold_hours > MAX_HOLD_HOURS) {
+    throw new ThermostatControlError(`hold_hours must be an integer between 1 and ${MAX_HOLD_HOURS}`);
+  }
+  return { holdType: hold_type, holdHours: hold_hours };
+}
+
+function checkRange(value, [low, high], label) {
+  if (low !== null && value < low) throw new ThermostatControlError(`${label} ${value}°F is below the thermostat minimum of ${low}°F`);
+  if (high !== null && value > high) throw new ThermostatControlError(`${label} ${value}°F is above the thermostat maximum of ${high}°F`);
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                 ACTIONS                                    */
+/* -------------------------------------------------------------------------- */
+// parse(body) validates shape before any Ecobee call; build(params, caps)
+// validates against the equipment and returns the Ecobee update body.
+const ACTIONS = {
+  hold: {
+    needsCapabilities: true,
+    parse(body) {
+      const heat = parseOptionalSetpoint(body.heat_setpoint_f, 'heat_setpoint_f');
+      const cool = parseOptionalSetpoint(body.cool_setpoint_f, 'cool_setpoint_f');
+      if (heat === null && cool === null) {
+        throw new ThermostatControlError('heat_setpoint_f or cool_setpoint_f is required');
+      }
+      return { heat, cool, ...parseHoldDuration(body) };
+    },
+    build({ heat, cool, holdType, holdHours }, caps) {
+      if (heat !== null && !caps.canHeat) throw new ThermostatControlError('Thermostat has no heating equipment');
+      if (cool !== null && !caps.canCool) throw new ThermostatControlError('Thermostat has no cooling equipment');
+
+      const heatF = heat ?? caps.desiredHeatF;
+      const coolF = cool ?? caps.desiredCoolF;
+      if (heatF === null || coolF === null) {
+        throw new ThermostatControlError('Current setpoints unavailable; provide both heat_setpoint_f and cool_setpoint_f', 409);
+      }
+
+      if (heat !== null) checkRange(heatF, caps.heatRangeF, 'Heat setpoint');
+      if (cool !== null) checkRange(coolF, caps.coolRangeF, 'Cool setpoint');
+      if (coolF - heatF < caps.heatCoolMinDeltaF) {
+        throw new ThermostatControlError(`Cool setpoint must be at least ${caps.heatCoolMinDeltaF}°F above heat setpoint`);
+      }
+
+      const params = { holdType, heatHoldTemp: toTenths(heatF), coolHoldTemp: toTenths(coolF) };
+      if (holdHours) params.holdHours = holdHours;
+      return { functions: [{ type: 'setHold', params }] };
+    },
+  },
+
+  mode: {
+    needsCapabilities: true,
+    parse(body) {
+      if (!HVAC_MODES.includes(body.hvac_mode)) {
+        throw new ThermostatControlError(`hvac_mode must be one of: ${HVAC_MODES.join(', ')}`);
+      }
+      return { hvacMode: body.hvac_mode };
+    },
+    build({ hvacMode }, caps) {
+      if (hvacMode === 'heat' && !caps.canHeat) throw new ThermostatControlError('Thermostat has no heating equipment');
+      if (hvacMode === 'cool' && !caps.canCool) throw new ThermostatControlError('Thermostat has no cooling equipment');
+      if (hvacMode === 'auxHeatOnly' && !caps.hasAuxHeat) throw new ThermostatControlError('Thermostat has no auxiliary heat');
+      if (hvacMode === 'auto' && !(caps.canHeat && caps.canCool && caps.canAuto)) {
+        throw new ThermostatControlError('Auto heat/cool is not available on this thermostat');
+      }
+      return { thermostat: { settings: { hvacMode } } };
+    },
+  },
+
+  fan: {
+    needsCapabilities: true,
+    parse(body) {
+      if (!FAN_MODES.includes(body.fan)) {
+        throw new ThermostatControlError(`fan must be one of: ${FAN_MODES.join(', ')}`);
+      }
+      return { fan: body.fan, ...parseHoldDuration(body) };
+    },
+    build({ fan, holdType, holdHours }, caps) {
+      if (!caps.hasFan) throw new ThermostatControlError('Thermostat has no fan control');
+      if (caps.desiredHeatF === null || caps.desiredCoolF === null) {
+        throw new ThermostatControlError('Current setpoints unavailable', 409);
+      }
+
+      // setHold requires setpoints; keep the current ones so only the fan changes
+      const params = { holdType, fan, heatHoldTemp: toTenths(caps.desiredHeatF), coolHoldTemp: toTenths(caps.desiredCoolF) };
+      if (holdHours) params.holdHours = holdHours;
+      return { functions: [{ type: 'setHold', params }] };
+    },
+  },
+
+  resume: {
+    needsCapabilities: false,
+    parse(body) {
+      if (body.resume_all !== undefined && typeof body.resume_all !== 'boolean') {
+        throw new ThermostatControlError('resume_all must be a boolean');
+      }
+      return { resumeAll: body.resume_all === true };
+    },
+    build({ resumeAll }) {
+      return { functions: [{ type: 'resumeProgram', params: { resumeAll } }] };
+    },
+  },
+};
+
+export const CONTROL_ACTIONS = Object.keys(ACTIONS);
+
+/* -------------------------------------------------------------------------- */
+/*                                 EXECUTE                                    */
+/* -------------------------------------------------------------------------- */
+async function sendControl(link, action, params, requestOpts) {
+  const { hvac_id } = link;
+  let { access_token } = await getValidTokens(link, requestOpts);
+
+  const attempt = async () => {
+    let caps = null;
+    if (action.needsCapabilities) {
+      const details = await fetchThermostatDetails(access_token, hvac_id, requestOpts, { includeSensors: false });
+      caps = capabilitiesFromDetails(details);
+    }
+    const update = action.build(params, caps);
+    await updateThermostat(access_token, hvac_id, update, requestOpts);
+    return update;
+  };
+
+  try {
+    return await attempt();
+  } catch (e) {
+    if (e?.response?.status !== 401) throw e;
+    console.log(`[${hvac_id}] 🔄 401 on control request, refreshing token...`);
+    ({ access_token } = await refreshAfterUnauthorized(link, access_token, requestOpts));
+    return attempt();
+  }
+}
+
+/**
+ * Re-poll after a write: here when this replica holds the device lease,
+ * otherwise by making the device due in ecobee_poll_schedule for its owner.
+ * @returns {Promise<boolean>} whether a re-poll was scheduled
+ */
+async function scheduleRepoll(hvac_id, actionName) {
+  if (ownsDevice(hvac_id)) {
+    setTimeout(() => {
+      pollThermostatNow(hvac_id).catch((e) => console.error(`[${hvac_id}] Re-poll after ${actionName} failed:`, e.message));
+    }, CONTROL_REPOLL_DELAY_MS);
+    return true;
+  }
+  try {
+    return await markPollDue(hvac_id, CONTROL_REPOLL_DELAY_MS);
+  } catch (e) {
+    console.error(`[${hvac_id}] Could not schedule re-poll after ${actionName}:`, e.message);
+    return false;
+  }
+}
+
+/**
+ * Validate and apply a control request, audit it, and trigger a re-poll.
+ * @param {string} hvac_id
+ * @param {string} actionName - One of CONTROL_ACTIONS
+ * @param {object} body - Request body from the control route
+ * @returns {Promise<{ user_id: string, ecobeeRequest: object, repollScheduled: boolean }>}
+ * @throws {ThermostatControlError} on invalid input, unsupported equipment or missing link
+ */
+export async function applyThermostatControl(hvac_id, actionName, body = {}) {
+  const action = ACTIONS[actionName];
+  if (!action) throw new ThermostatControlError(`Unknown control action: ${actionName}`);
+
+  const link = await getLinkStatus(hvac_id);
+  if (!link) throw new ThermostatControlError('Thermostat not linked', 404);
+
+  const audit = (fields) => insertControlAudit({ hvac_id, user_id: link.user_id, action: actionName, request: body, ...fields });
+
+  if (link.auth_status !== 'active') {
+    await audit({ status: 'rejected', error: 'reauth_required' });
+    throw new ThermostatControlError('Ecobee authorization revoked; user must re-link', 409);
+  }
+
+  let ecobeeRequest = null;
+  try {
+    const params = action.parse(body);
+    ecobeeRequest = await sendControl(link, action, params, { account: link.user_id, priority: PRIORITY.CONTROL });
+  } catch (err) {
+    const rejected = err instanceof ThermostatControlError || err instanceof ReauthRequiredError;
+    await audit({ status: rejected ? 'rejected' : 'failed', error: err.message });
+
+    if (err instanceof ReauthRequiredError) {
+      throw new ThermostatControlError('Ecobee authorization revoked; user must re-link', 409);
+    }
+    throw err;
+  }
+
+  await audit({ status: 'success', ecobee_request: ecobeeRequest });
+  console.log(`[${hvac_id}] 🎛️ ${actionName} applied: ${JSON.stringify(ecobeeRequest)}`);
+
+  const repollScheduled = await scheduleRepoll(hvac_id, actionName);
+
+  return { user_id: link.user_id, ecobeeRequest, repollScheduled };
+}
@@ -0,0 +1,68 @@
+'use strict';
+
+import { v4 as uuidv4 } from 'uuid';
+import { normalizeEventsFromDetails } from './normalize.js';
+import { getActiveThermostatEvents, openThermostatEvent, closeThermostatEvent } from './db.js';
+import { buildCorePayload, postToCoreIngestAsync } from './coreIngest.js';
+
+// Holds get explicit start/end event types; vacations and DR carry a phase instead
+function coreEventType(kind, phase) {
+  if (kind === 'HOLD') return phase === 'started' ? 'HOLD_STARTED' : 'HOLD_ENDED';
+  return kind;
+}
+
+function buildEventPayload({ user_id, hvac_id }, event, phase) {
+  return buildCorePayload({
+    deviceKey: hvac_id,
+    userId: user_id,
+    eventType: coreEventType(event.kind, phase),
+    isReachable: true,
+    heatSetpoint: event.heatHoldF,
+    coolSetpoint: event.coolHoldF,
+    thermostatEvent: { ...event, phase },
+    observedAt: new Date(),
+    sourceEventId: uuidv4(),
+    payloadRaw: { ...event, phase }
+  });
+}
+
+/**
+ * Diff the running events list against what we last saw and forward
+ * HOLD_STARTED / HOLD_ENDED / VACATION / DEMAND_RESPONSE events to Core.
+ * The stored set only moves once Core has accepted the events, so a failed
+ * post finds the same differences on the retry.
+ * Only call with details fetched using { includeEvents: true }.
+ *
+ * @param {object} args - { user_id, hvac_id }
+ * @param {object} details - response body from fetchThermostatDetails()
+ * @returns {Promise<{ started: number, ended: number }>}
+ */
+export async function handleThermostatEvents({ user_id, hvac_id }, details) {
+  if (!details?.thermostatList?.[0]) return { started: 0, ended: 0 };
+
+  const current = normalizeEventsFromDetails(details);
+  const active = await getActiveThermostatEvents(hvac_id);
+
+  const currentKeys = new Set(current.map((e) => e.eventKey));
+  const activeKeys = new Set(active.map((r) => r.event_key));
+
+  const started = current.filter((e) => !activeKeys.has(e.eventKey));
+  const ended = active.filter((r) => !currentKeys.has(r.event_key)).map((r) => r.payload);
+
+  const payloads = [
+    ...started.map((e) => buildEventPayload({ user_id, hvac_id }, e, 'started')),
+    ...ended.map((e) => buildEventPayload({ user_id, hvac_id }, e, 'ended')),
+  ];
+
+  if (payloads.length) {
+    await postToCoreIngestAsync(payloads, 'thermostat-event');
+    for (const e of started) console.log(`[${hvac_id}] 📌 ${e.kind} started (${e.origin}) until ${e.endLocal || 'indefinite'}`);
+    for (const e of ended) console.log(`[${hvac_id}] 📌 ${e.kind} ended (${e.origin})`);
+  }
+
+  // Refresh still-running events too, so end times/setpoints stay current
+  for (const event of current) await openThermostatEvent(hvac_id, event);
+  for (const event of ended) await closeThermostatEvent(hvac_id, event.eventKey);
+
+  return { started: started.length, ended: ended.length };
+}
@@ -0,0 +1,130 @@
+'use strict';
+
+import crypto from 'crypto';
+import { TOKEN_ENCRYPTION_KEYS, TOKEN_ENCRYPTION_KEY_VERSION } from './config.js';
+
+/**
+ * Envelope encryption for Ecobee tokens stored in ecobee_tokens.
+ *
+ * Each row gets its own random data key (DEK). Tokens are sealed with the DEK
+ * using AES-256-GCM (bound to user_id:hvac_id as AAD), and the DEK is wrapped
+ * with a versioned master key (KEK) from TOKEN_ENCRYPTION_KEYS. Rotating the
+ * master key only re-wraps DEKs; token ciphertext never needs re-encrypting.
+ *
+ * TOKEN_ENCRYPTION_KEYS = "v1:<base64 32 bytes>,v2:<base64 32 bytes>"
+ * TOKEN_ENCRYPTION_KEY_VERSION = "v2" (defaults to the last listed key)
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const CIPHERTEXT_PREFIX = 'enc1:';
+
+function parseKeys(raw) {
+  const keys = new Map();
+  for (const entry of raw.split(',').map((s) => s.trim()).filter(Boolean)) {
+    const idx = entry.indexOf(':');
+    if (idx <= 0) throw new Error('TOKEN_ENCRYPTION_KEYS entries must look like "<version>:<base64 key>"');
+    const version = entry.slice(0, idx);
+    const key = Buffer.from(entry.slice(idx + 1), 'base64');
+    if (key.length !== 32) throw new Error(`Token encryption key ${version} must be 32 bytes (base64-encoded)`);
+    keys.set(version, key);
+  }
+  return keys;
+}
+
+const masterKeys = parseKeys(TOKEN_ENCRYPTION_KEYS);
+const activeVersion = TOKEN_ENCRYPTION_KEY_VERSION || [...masterKeys.keys()].pop() || null;
+
+if (activeVersion && !masterKeys.has(activeVersion)) {
+  throw new Error(`TOKEN_ENCRYPTION_KEY_VERSION ${activeVersion} not found in TOKEN_ENCRYPTION_KEYS`);
+}
+
+export const isTokenEncryptionEnabled = () => !!activeVersion;
+export const activeTokenKeyVersion = () => activeVersion;
+
+/* -------------------------------------------------------------------------- */
+/*                                AES-GCM seal                                */
+/* -------------------------------------------------------------------------- */
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ct = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ct].map((b) => b.toString('base64')).join('.');
+}
+
+function open(key, sealed, aad) {
+  const [iv, tag, ct] = sealed.split('.').map((p) => Buffer.from(p, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ct), decipher.final()]);
+}
+
+function masterKey(version) {
+  const key = masterKeys.get(version);
+  if (!key) throw new Error(`Token encryption key ${version} is not configured`);
+  return key;
+}
+
+const unwrapDek = (row) => open(masterKey(row.token_key_version), row.token_dek, `dek:${row.token_key_version}`);
+
+/* -------------------------------------------------------------------------- */
+/*                                 Public API                                 */
+/* -------------------------------------------------------------------------- */
+/**
+ * Non-reversible fingerprint of a refresh token, used to group thermostats
+ * that share one Ecobee account without loading the token itself.
+ */
+export function fingerprintToken(refresh_token) {
+  return crypto.createHash('sha256').update(String(refresh_token)).digest('hex').slice(0, 32);
+}
+
+/**
+ * Encrypt a token pair for storage. Returns plaintext (and null key fields)
+ * when no master key is configured.
+ * @returns {object} { access_token, refresh_token, token_dek, token_key_version, token_fingerprint }
+ */
+export function encryptTokens({ user_id, hvac_id, access_token, refresh_token }) {
+  const token_fingerprint = fingerprintToken(refresh_token);
+  if (!activeVersion) {
+    return { access_token, refresh_token, token_dek: null, token_key_version: null, token_fingerprint };
+  }
+
+  const dek = crypto.randomBytes(32);
+  const aad = `${user_id}:${hvac_id}`;
+  return {
+    access_token: CIPHERTEXT_PREFIX + seal(dek, access_token, aad),
+    refresh_token: CIPHERTEXT_PREFIX + seal(dek, refresh_token, aad),
+    token_dek: seal(masterKey(activeVersion), dek, `dek:${activeVersion}`),
+    token_key_version: activeVersion,
+    token_fingerprint
+  };
+}
+
+/**
+ * Decrypt the token pair of a stored row. Rows written before encryption was
+ * enabled (token_dek NULL) are returned as-is.
+ * @returns {object} { access_token, refresh_token }
+ */
+export function decryptTokens(row) {
+  if (!row.token_dek) {
+    return { access_token: row.access_token, refresh_token: row.refresh_token };
+  }
+
+  const dek = unwrapDek(row);
+  const aad = `${row.user_id}:${row.hvac_id}`;
+  const dec = (v) => open(dek, v.slice(CIPHERTEXT_PREFIX.length), aad).toString('utf8');
+  return { access_token: dec(row.access_token), refresh_token: dec(row.refresh_token) };
+}
+
+/**
+ * Re-wrap a row's data key with the active master key (key rotation).
+ * @returns {object} { token_dek, token_key_version }
+ */
+export function rewrapDataKey(row) {
+  const dek = unwrapDek(row);
+  return {
+    token_dek: seal(masterKey(activeVersion), dek, `dek:${activeVersion}`),
+    token_key_version: activeVersion
+  };
+}
@@ -0,0 +1,182 @@
+'use strict';
+
+import { v4 as uuidv4 } from 'uuid';
+import { isExpiringSoon } from './util.js';
+import { getTokensForUser, getDecryptedTokens, updateTokensAfterRefresh, withTokenRefreshLock, markReauthRequired } from './db.js';
+import { refreshEcobeeTokens } from './ecobeeApi.js';
+import { buildCorePayload, postToCoreIngestAsync } from './coreIngest.js';
+import { postReauthRequired } from './bubble.js';
+
+/**
+ * Single owner of Ecobee token refresh.
+ *
+ * Ecobee rotates refresh tokens on every refresh, so two concurrent refreshes
+ * for one account invalidate each other and break the link for good. Every
+ * refresh therefore runs:
+ *   1. behind an in-process mutex per user (one refresh at a time per replica)
+ *   2. inside a Postgres advisory lock per user (one refresh across replicas)
+ *   3. after re-reading the latest stored token, skipping the refresh when
+ *      another caller already did it while we waited.
+ *
+ * Nothing else in the codebase should call refreshEcobeeTokens directly, and
+ * this module is the only reader of decrypted token material.
+ */
+
+const localLocks = new Map(); // user_id -> tail of the promise chain
+
+/**
+ * Thrown when Ecobee has revoked the account's authorization. The link is
+ * flagged 'reauth_required' and polling stops until the user reconnects.
+ */
+export class ReauthRequiredError extends Error {
+  constructor(hvac_id, reason) {
+    super(`Ecobee authorization revoked for ${hvac_id}: ${reason}`);
+    this.name = 'ReauthRequiredError';
+    this.hvac_id = hvac_id;
+    this.reason = reason;
+  }
+}
+
+/**
+ * invalid_grant from the token endpoint, or Ecobee status 16
+ * ("Authorization has been revoked by the user") from the API.
+ */
+export function isRevokedAuthError(err) {
+  const data = err?.response?.data;
+  return data?.error === 'invalid_grant' || data?.status?.code === 16;
+}
+
+async function notifyReauthRequired(user_id, hvac_ids, reason) {
+  for (const hvac_id of hvac_ids) {
+    console.warn(`[${hvac_id}] 🔒 Ecobee authorization revoked — needs re-auth (${reason})`);
+
+    const corePayload = buildCorePayload({
+      deviceKey: hvac_id,
+      userId: user_id,
+      eventType: 'REAUTH_REQUIRED',
+      equipmentStatus: 'OFF',
+      previousStatus: 'UNKNOWN',
+      isActive: false,
+      isReachable: false,
+      mode: 'off',
+      runtimeSeconds: null,
+      observedAt: new Date(),
+      sourceEventId: uuidv4(),
+      payloadRaw: { auth_status: 'reauth_required', reason }
+    });
+    await postToCoreIngestAsync(corePayload, 'reauth-required').catch(e =>
+      console.error(`[${hvac_id}] Failed to post REAUTH_REQUIRED to Core:`, e.message)
+    );
+
+    await postReauthRequired({ userId: user_id, hvac_id, reason }).catch(e =>
+      console.error(`[${hvac_id}] Failed to post REAUTH_REQUIRED to Bubble:`, e.message)
+    );
+  }
+}
+
+function withLocalLock(user_id, fn) {
+  const prev = localLocks.get(user_id) || Promise.resolve();
+  const run = prev.catch(() => {}).then(fn);
+  const tail = run.catch(() => {});
+  localLocks.set(user_id, tail);
+  tail.then(() => {
+    if (localLocks.get(user_id) === tail) localLocks.delete(user_id);
+  });
+  return run;
+}
+
+/**
+ * Refresh under both locks unless the stored token no longer needs it.
+ * @param {object} row - Token row ({ user_id, hvac_id })
+ * @param {string|null} rejectedAccessToken - Access token Ecobee just rejected (401), if any
+ * @param {object} requestOpts - Scheduler options { account, priority }
+ * @returns {Promise<object>} { access_token, refresh_token, expires_at, refreshed }
+ */
+async function refreshUnderLock(row, rejectedAccessToken, requestOpts) {
+  const { user_id, hvac_id } = row;
+
+  const result = await withLocalLock(user_id, () => withTokenRefreshLock(user_id, async (client) => {
+    const accountRows = await getTokensForUser(user_id, client);
+    const current = accountRows.find((r) => r.hvac_id === hvac_id);
+    if (!current) throw new Error(`No Ecobee tokens stored for ${hvac_id}`);
+    if (current.auth_status === 'reauth_required') {
+      return { revoked: true, reason: current.auth_error || 'invalid_grant', transitioned: [] };
+    }
+
+    const stillNeeded = rejectedAccessToken
+      ? current.access_token === rejectedAccessToken
+      : isExpiringSoon(current.expires_at);
+
+    if (!stillNeeded) {
+      console.log(`[${hvac_id}] 🔄 token already refreshed by another worker`);
+      return { access_token: current.access_token, refresh_token: current.refresh_token, expires_at: current.expires_at, refreshed: false };
+    }
+
+    // Thermostats linked with the same refresh token belong to the same account
+    const hvac_ids = accountRows
+      .filter((r) => r.refresh_token === current.refresh_token)
+      .map((r) => r.hvac_id);
+
+    let refreshed;
+    try {
+      refreshed = await refreshEcobeeTokens(current.refresh_token, requestOpts);
+    } catch (e) {
+      console.warn(`[${hvac_id}] ⚠️ token refresh failed:`, e?.response?.data || e.message);
+      if (!isRevokedAuthError(e)) throw e;
+
+      // Commit the flag (not a rollback) so no other worker retries the dead token
+      const reason = e.response.data.error_description || e.response.data.error || e.response.data.status?.message || 'invalid_grant';
+      const transitioned = await markReauthRequired(user_id, hvac_ids, reason, client);
+      return { revoked: true, reason, transitioned };
+    }
+
+    await updateTokensAfterRefresh({
+      user_id,
+      hvac_ids,
+      access_token: refreshed.access_token,
+      refresh_token: refreshed.refresh_token,
+      expires_in: refreshed.expires_in
+    }, client);
+
+    console.log(`[${hvac_id}] 🔄 token refreshed (${hvac_ids.length} thermostat(s) updated)`);
+    return {
+      access_token: refreshed.access_token,
+      refresh_token: refreshed.refresh_token,
+      expires_at: new Date(Date.now() + Number(refreshed.expires_in) * 1000).toISOString(),
+      refreshed: true
+    };
+  }));
+
+  if (result.revoked) {
+    if (result.transitioned.length) {
+      await notifyReauthRequired(user_id, result.transitioned, result.reason);
+    }
+    throw new ReauthRequiredError(hvac_id, result.reason);
+  }
+  return result;
+}
+
+/**
+ * Return usable tokens for a row, refreshing first if they are about to expire.
+ * @param {object} row - Token row from loadActiveTokens()
+ * @param {object} requestOpts - Scheduler options { account, priority }
+ */
+export async function getValidTokens(row, requestOpts = {}) {
+  if (!isExpiringSoon(row.expires_at)) {
+    const stored = await getDecryptedTokens(row.user_id, row.hvac_id);
+    if (!stored) throw new Error(`No Ecobee tokens stored for ${row.hvac_id}`);
+    if (!isExpiringSoon(stored.expires_at)) return { ...stored, refreshed: false };
+  }
+  return refreshUnderLock(row, null, requestOpts);
+}
+
+/**
+ * Refresh after Ecobee rejected an access token with 401. If another worker
+ * already replaced that token, the newer stored token is returned instead.
+ * @param {object} row - Token row from loadActiveTokens()
+ * @param {string} rejectedAccessToken - The access token that got the 401
+ * @param {object} requestOpts - Scheduler options { account, priority }
+ */
+export async function refreshAfterUnauthorized(row, rejectedAccessToken, requestOpts = {}) {
+  return refreshUnderLock(row, rejectedAccessToken, requestOpts);
+}
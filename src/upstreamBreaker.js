@@ -0,0 +1,136 @@
+'use strict';
+
+import { v4 as uuidv4 } from 'uuid';
+import { ECOBEE_OUTAGE_FAILURE_THRESHOLD, REACHABILITY_STALE_MS, INSTANCE_ID } from './config.js';
+import { addRequestOutcomeListener } from './requestScheduler.js';
+import { classifyPollError } from './pollBackoff.js';
+import { resetPollBackoff } from './db.js';
+import { isLeader } from './leases.js';
+import { buildCorePayload, postToCoreIngestAsync } from './coreIngest.js';
+
+/**
+ * Circuit breaker for Ecobee platform outages.
+ *
+ * A device that drops off Wi-Fi still answers through the API (connected=false
+ * in its revision); API-level failures (5xx, timeouts, network errors) are
+ * never about one device. So after ECOBEE_OUTAGE_FAILURE_THRESHOLD such
+ * failures in a row, across every request this replica makes, the breaker
+ * opens: stale devices are not flipped offline and one UPSTREAM_OUTAGE event
+ * goes to Core. The first successful response closes it; offline transitions
+ * stay suppressed for REACHABILITY_STALE_MS so devices are re-polled (and
+ * last_seen_at refreshed) before staleness counts again.
+ */
+
+// Device key for fleet-level events; Core events are keyed per device
+const UPSTREAM_DEVICE_KEY = 'ecobee-api';
+const UPSTREAM_ERROR_KINDS = ['server', 'timeout', 'network'];
+
+const state = {
+  status: 'closed', // closed | open
+  consecutiveFailures: 0,
+  lastError: null,
+  openedAt: null,
+  closedAt: null,
+  outages: 0,
+};
+const recoveryListeners = [];
+
+function openBreaker(err) {
+  state.status = 'open';
+  state.openedAt = new Date();
+  state.outages += 1;
+  console.warn(`🚨 Ecobee API outage detected after ${state.consecutiveFailures} consecutive failures (${state.lastError}) — suppressing offline transitions`);
+
+  // One event per outage, from the replica that runs the connectivity scanner
+  if (!isLeader()) return;
+  const corePayload = buildCorePayload({
+    deviceKey: UPSTREAM_DEVICE_KEY,
+    userId: null,
+    deviceName: 'Ecobee API',
+    deviceType: 'upstream',
+    eventType: 'UPSTREAM_OUTAGE',
+    equipmentStatus: 'OFF',
+    previousStatus: 'UNKNOWN',
+    isActive: false,
+    isReachable: false,
+    mode: null,
+    runtimeSeconds: null,
+    observedAt: state.openedAt,
+    sourceEventId: uuidv4(),
+    payloadRaw: {
+      upstream: 'ecobee',
+      detected_by: INSTANCE_ID,
+      consecutive_failures: state.consecutiveFailures,
+      error_kind: classifyPollError(err),
+      last_error: state.lastError,
+    }
+  });
+  postToCoreIngestAsync(corePayload, 'upstream-outage').catch((e) =>
+    console.error('[Breaker] Failed to post UPSTREAM_OUTAGE to Core:', e.message)
+  );
+}
+
+async function closeBreaker() {
+  const downSec = Math.round((Date.now() - state.openedAt.getTime()) / 1000);
+  state.status = 'closed';
+  state.closedAt = new Date();
+  console.log(`✅ Ecobee API recovered after ${downSec}s — offline transitions resume in ${Math.round(REACHABILITY_STALE_MS / 1000)}s`);
+
+  // Devices backed off during the outage are due again now, not in up to POLL_BACKOFF_MAX_MS
+  try {
+    const hvacIds = await resetPollBackoff(INSTANCE_ID, UPSTREAM_ERROR_KINDS);
+    if (hvacIds.length) console.log(`[Breaker] ♻️ ${hvacIds.length} device(s) rescheduled after outage`);
+    for (const listener of recoveryListeners) listener(hvacIds);
+  } catch (e) {
+    console.warn('[Breaker] Failed to reset poll backoff after outage:', e.message);
+  }
+}
+
+function recordOutcome(err) {
+  if (err && UPSTREAM_ERROR_KINDS.includes(classifyPollError(err))) {
+    state.consecutiveFailures += 1;
+    state.lastError = err?.response?.status ? `HTTP ${err.response.status}` : err.code || err.message;
+    if (state.status === 'closed' && state.consecutiveFailures >= ECOBEE_OUTAGE_FAILURE_THRESHOLD) openBreaker(err);
+    return;
+  }
+
+  // Any answer from Ecobee (even a 4xx) means the platform is up
+  state.consecutiveFailures = 0;
+  if (state.status === 'open') closeBreaker();
+}
+
+addRequestOutcomeListener(recordOutcome);
+
+export function isUpstreamOutage() {
+  return state.status === 'open';
+}
+
+/**
+ * True while the breaker is open and for REACHABILITY_STALE_MS after it
+ * closes: last_seen_at can't be trusted until devices have been re-polled.
+ */
+export function shouldSuppressOfflineTransitions() {
+  if (state.status === 'open') return true;
+  return !!state.closedAt && Date.now() - state.closedAt.getTime() < REACHABILITY_STALE_MS;
+}
+
+/**
+ * Register a callback run when an outage ends, with the hvac_ids whose
+ * backoff was reset (the adaptive poller re-arms their timers).
+ */
+export function onUpstreamRecovered(listener) {
+  recoveryListeners.push(listener);
+}
+
+export function getUpstreamStatus() {
+  return {
+    status: state.status,
+    consecutiveFailures: state.consecutiveFailures,
+    failureThreshold: ECOBEE_OUTAGE_FAILURE_THRESHOLD,
+    lastError: state.lastError,
+    openedAt: state.openedAt?.toISOString() || null,
+    closedAt: state.closedAt?.toISOString() || null,
+    outages: state.outages,
+    suppressingOfflineTransitions: shouldSuppressOfflineTransitions(),
+  };
+}
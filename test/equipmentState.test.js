@@ -0,0 +1,106 @@
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseEquipmentState, sessionFamily, baseSessionState } from '../src/equipmentState.js';
+
+const HEAT_PUMP = { hasHeatPump: true };
+const FURNACE = { hasHeatPump: false };
+
+// [equipmentStatus, profile, expected subset of parseEquipmentState()]
+const FIXTURES = [
+  // Idle
+  ['', null, { state: 'Idle', standardizedState: 'Fan_off', family: null, equipmentClass: 'IDLE', mode: 'off', stage: null, isRunning: false }],
+
+  // Heat pump / compressor heat
+  ['heatPump', HEAT_PUMP, { state: 'Heating', family: 'heating', equipmentClass: 'HEATING', mode: 'heating', stage: 1, isHeating: true }],
+  ['heatPump2', HEAT_PUMP, { state: 'Heating', family: 'heating', stage: 2 }],
+  ['heatPump3', HEAT_PUMP, { state: 'Heating', family: 'heating', stage: 3 }],
+  ['compHeat1', HEAT_PUMP, { state: 'Heating', family: 'heating', stage: 1 }],
+  ['compHeat2', HEAT_PUMP, { state: 'Heating', family: 'heating', stage: 2 }],
+
+  // Aux heat on a heat pump system
+  ['auxHeat1', HEAT_PUMP, { state: 'AuxHeat', family: 'aux_heat', equipmentClass: 'AUX_HEATING', mode: 'auxheat', stage: 1, isAuxHeat: true }],
+  ['auxHeat2', HEAT_PUMP, { state: 'AuxHeat', family: 'aux_heat', stage: 2 }],
+  ['auxHeat3', HEAT_PUMP, { state: 'AuxHeat', family: 'aux_heat', stage: 3 }],
+  ['auxHeat1', null, { state: 'AuxHeat', family: 'aux_heat', stage: 1 }],
+
+  // Cooling
+  ['compCool1', null, { state: 'Cooling', family: 'cooling', equipmentClass: 'COOLING', mode: 'cooling', stage: 1, isCooling: true }],
+  ['compCool2', null, { state: 'Cooling', family: 'cooling', stage: 2 }],
+
+  // Fan
+  ['fan', null, { state: 'Fan_only', standardizedState: 'Fan_only', family: 'fan', equipmentClass: 'FAN', mode: 'fan', stage: null, isFanOnly: true, fanRunning: true }],
+
+  // Accessories alone don't make a session
+  ['humidifier', null, { state: 'Idle', isRunning: false, accessories: ['humidifier'] }],
+  ['dehumidifier', null, { state: 'Idle', isRunning: false, accessories: ['dehumidifier'] }],
+  ['ventilator', null, { state: 'Idle', isRunning: false, accessories: ['ventilator'] }],
+  ['economizer', null, { state: 'Idle', isRunning: false, accessories: ['economizer'] }],
+  ['compHotWater', null, { state: 'Idle', isRunning: false, accessories: ['compHotWater'] }],
+  ['auxHotWater', null, { state: 'Idle', isRunning: false, accessories: ['auxHotWater'] }],
+
+  // Multi-token strings
+  ['heatPump,fan', HEAT_PUMP, { state: 'Heating_Fan', standardizedState: 'Heating_Fan', family: 'heating', stage: 1, fanRunning: true }],
+  ['compHeat1,auxHeat1,fan', HEAT_PUMP, { state: 'AuxHeat_Fan', family: 'aux_heat', equipmentClass: 'AUX_HEATING', stage: 1, fanRunning: true }],
+  ['compHeat2,compHeat1,auxHeat2,auxHeat1,fan', HEAT_PUMP, { state: 'AuxHeat_Fan', family: 'aux_heat', stage: 2 }],
+  ['compCool2,compCool1', null, { state: 'Cooling', family: 'cooling', stage: 2, fanRunning: false }],
+  ['compCool2,compCool1,fan,dehumidifier', null, { state: 'Cooling_Fan', family: 'cooling', stage: 2, accessories: ['dehumidifier'] }],
+  ['fan,ventilator', null, { state: 'Fan_only', family: 'fan', accessories: ['ventilator'] }],
+  [' compCool1 , fan ', null, { state: 'Cooling_Fan', stage: 1 }],
+
+  // Furnace / boiler: auxHeat* is primary heat
+  ['auxHeat1', FURNACE, { state: 'Heating', family: 'heating', equipmentClass: 'HEATING', mode: 'heating', stage: 1, isHeating: true, isAuxHeat: false }],
+  ['auxHeat2,auxHeat1,fan', FURNACE, { state: 'Heating_Fan', family: 'heating', stage: 2 }],
+
+  // Unknown tokens are reported, not guessed at
+  ['warpDrive', null, { state: 'Idle', isRunning: false, unknownTokens: ['warpDrive'] }],
+  ['compCool1,warpDrive', null, { state: 'Cooling', isRunning: true, unknownTokens: ['warpDrive'] }],
+
+  // Legacy aliases
+  ['heatpump1', null, { state: 'Heating', stage: 1 }],
+  ['heating', null, { state: 'Heating' }],
+  ['emergency', HEAT_PUMP, { state: 'AuxHeat' }],
+  ['cooling', null, { state: 'Cooling' }],
+  ['fanOnly', null, { state: 'Fan_only' }],
+];
+
+for (const [raw, profile, expected] of FIXTURES) {
+  const label = `${JSON.stringify(raw)}${profile ? ` (hasHeatPump=${profile.hasHeatPump})` : ''}`;
+  test(`parseEquipmentState ${label}`, () => {
+    const parsed = parseEquipmentState(raw, profile);
+    for (const [key, value] of Object.entries(expected)) {
+      assert.deepEqual(parsed[key], value, `${key} of ${label}`);
+    }
+  });
+}
+
+test('parseEquipmentState flags follow the family', () => {
+  for (const [raw, profile] of FIXTURES) {
+    const p = parseEquipmentState(raw, profile);
+    assert.equal(p.isRunning, p.family !== null);
+    assert.equal(p.isHeating, p.family === 'heating');
+    assert.equal(p.isAuxHeat, p.family === 'aux_heat');
+    assert.equal(p.isCooling, p.family === 'cooling');
+    assert.equal(p.isFanOnly, p.family === 'fan');
+    assert.equal(sessionFamily(p.state), p.family);
+  }
+});
+
+test('parseEquipmentState results are cached and frozen', () => {
+  const a = parseEquipmentState('compCool1,fan');
+  assert.equal(parseEquipmentState('compCool1,fan'), a);
+  assert.ok(Object.isFrozen(a));
+  assert.notEqual(parseEquipmentState('auxHeat1', FURNACE), parseEquipmentState('auxHeat1', HEAT_PUMP));
+});
+
+test('sessionFamily and baseSessionState', () => {
+  assert.equal(sessionFamily('Heating_Fan'), 'heating');
+  assert.equal(sessionFamily('AuxHeat'), 'aux_heat');
+  assert.equal(sessionFamily('Cooling_Fan'), 'cooling');
+  assert.equal(sessionFamily('Fan_only'), 'fan');
+  assert.equal(sessionFamily('Idle'), null);
+  assert.equal(baseSessionState('AuxHeat_Fan'), 'AuxHeat');
+  assert.equal(baseSessionState('Fan_only'), 'Fan_only');
+  assert.equal(baseSessionState(null), '');
+});
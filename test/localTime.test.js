@@ -0,0 +1,101 @@
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { localDayBounds, splitByLocalDay, splitSegmentsByLocalDay } from '../src/localTime.js';
+
+const NY = 'America/New_York';
+const HOUR = 3600;
+
+const dayLengthHours = (date, tz) => {
+  const { start, end } = localDayBounds(date, tz);
+  return (end.getTime() - start.getTime()) / (HOUR * 1000);
+};
+
+test('localDayBounds follows DST: the spring day is 23h, the fall day 25h', () => {
+  assert.equal(dayLengthHours('2026-01-15', NY), 24);
+  assert.equal(dayLengthHours('2026-03-08', NY), 23);
+  assert.equal(dayLengthHours('2026-11-01', NY), 25);
+  assert.deepEqual(localDayBounds('2026-01-15', NY).start, new Date('2026-01-15T05:00:00Z'));
+});
+
+// [description, session, timezone, expected]
+const SPLIT_FIXTURES = [
+  [
+    'a session across local midnight is split by overlap',
+    { started_at: '2026-01-15T04:00:00Z', ended_at: '2026-01-15T06:00:00Z', runtime_seconds: 2 * HOUR },
+    NY,
+    [{ local_date: '2026-01-14', runtime_seconds: HOUR }, { local_date: '2026-01-15', runtime_seconds: HOUR }],
+  ],
+  [
+    'the same span is one day in UTC',
+    { started_at: '2026-01-15T04:00:00Z', ended_at: '2026-01-15T06:00:00Z', runtime_seconds: 2 * HOUR },
+    'UTC',
+    [{ local_date: '2026-01-15', runtime_seconds: 2 * HOUR }],
+  ],
+  [
+    'ending exactly at local midnight stays on the day',
+    { started_at: '2026-01-15T03:00:00Z', ended_at: '2026-01-15T05:00:00Z', runtime_seconds: 2 * HOUR },
+    NY,
+    [{ local_date: '2026-01-14', runtime_seconds: 2 * HOUR }],
+  ],
+  [
+    'a zero-length session belongs to its start day',
+    { started_at: '2026-01-15T04:59:00Z', ended_at: '2026-01-15T04:59:00Z', runtime_seconds: 30 },
+    NY,
+    [{ local_date: '2026-01-14', runtime_seconds: 30 }],
+  ],
+  [
+    'rounding leftovers go to the last day',
+    { started_at: '2026-01-15T04:00:00Z', ended_at: '2026-01-15T06:00:00Z', runtime_seconds: 1001 },
+    NY,
+    [{ local_date: '2026-01-14', runtime_seconds: 500 }, { local_date: '2026-01-15', runtime_seconds: 501 }],
+  ],
+  [
+    'runtime is apportioned by wall-clock overlap, not runtime',
+    { started_at: '2026-01-15T04:00:00Z', ended_at: '2026-01-15T08:00:00Z', runtime_seconds: HOUR },
+    NY,
+    [{ local_date: '2026-01-14', runtime_seconds: 900 }, { local_date: '2026-01-15', runtime_seconds: 2700 }],
+  ],
+  [
+    'spring forward: 1h before and the whole 23h day after',
+    { started_at: '2026-03-08T04:00:00Z', ended_at: '2026-03-09T04:00:00Z', runtime_seconds: 24 * HOUR },
+    NY,
+    [{ local_date: '2026-03-07', runtime_seconds: HOUR }, { local_date: '2026-03-08', runtime_seconds: 23 * HOUR }],
+  ],
+  [
+    'fall back: the 25h day keeps all 25 hours',
+    { started_at: '2026-11-01T03:00:00Z', ended_at: '2026-11-02T06:00:00Z', runtime_seconds: 27 * HOUR },
+    NY,
+    [
+      { local_date: '2026-10-31', runtime_seconds: HOUR },
+      { local_date: '2026-11-01', runtime_seconds: 25 * HOUR },
+      { local_date: '2026-11-02', runtime_seconds: HOUR },
+    ],
+  ],
+];
+
+for (const [description, session, timezone, expected] of SPLIT_FIXTURES) {
+  test(`splitByLocalDay: ${description}`, () => {
+    assert.deepEqual(splitByLocalDay(session, timezone), expected);
+  });
+}
+
+test('splitSegmentsByLocalDay sums each equipment type per local day', () => {
+  const segments = [
+    { started_at: '2026-01-15T04:00:00Z', ended_at: '2026-01-15T04:30:00Z', runtime_seconds: 1800, equipment_type: 'Heating' },
+    { started_at: '2026-01-15T04:30:00Z', ended_at: '2026-01-15T05:30:00Z', runtime_seconds: 3600, equipment_type: 'AuxHeat' },
+    { started_at: '2026-01-15T05:30:00Z', ended_at: '2026-01-15T06:00:00Z', runtime_seconds: 1800, equipment_type: 'Heating' },
+    { started_at: '2026-01-15T06:00:00Z', ended_at: '2026-01-15T06:10:00Z', runtime_seconds: 600, equipment_type: 'Heating' },
+  ];
+  assert.deepEqual(splitSegmentsByLocalDay(segments, NY), [
+    { local_date: '2026-01-14', equipment_type: 'Heating', runtime_seconds: 1800 },
+    { local_date: '2026-01-14', equipment_type: 'AuxHeat', runtime_seconds: 1800 },
+    { local_date: '2026-01-15', equipment_type: 'AuxHeat', runtime_seconds: 1800 },
+    { local_date: '2026-01-15', equipment_type: 'Heating', runtime_seconds: 2400 },
+  ]);
+});
+
+test('splitSegmentsByLocalDay: no segments, no days', () => {
+  assert.deepEqual(splitSegmentsByLocalDay([], NY), []);
+});
@@ -0,0 +1,57 @@
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { redactSecrets, installLogRedaction } from '../src/logRedaction.js';
+
+// [input, expected output]
+const FIXTURES = [
+  // Authorization header
+  ['Authorization: Bearer abc.DEF-123_~+/==', 'Authorization: Bearer [REDACTED]'],
+  ['headers: { Authorization: "bearer xyz" }', 'headers: { Authorization: "[REDACTED]" }'],
+
+  // Form / query encoded
+  ['grant_type=refresh_token&refresh_token=r3fr3sh&client_id=app', 'grant_type=refresh_token&refresh_token=[REDACTED]&client_id=app'],
+  ['access_token=tok123 expired', 'access_token=[REDACTED] expired'],
+  ['CLIENT_SECRET=s3cret', 'CLIENT_SECRET=[REDACTED]'],
+
+  // OAuth code only as a URL / form parameter
+  ['GET /callback?code=abc123&state=xyz', 'GET /callback?code=[REDACTED]&state=xyz'],
+  ['grant_type=authorization_code&code=abc123', 'grant_type=authorization_code&code=[REDACTED]'],
+  ['Ecobee rejected request: status code=14', 'Ecobee rejected request: status code=14'],
+  ['exit code=1', 'exit code=1'],
+
+  // JSON and inspected objects
+  ['{"access_token":"aaa","refresh_token":"bbb","expires_in":3600}', '{"access_token":"[REDACTED]","refresh_token":"[REDACTED]","expires_in":3600}'],
+  ["{ accessToken: 'aaa', refreshToken: 'bbb' }", "{ accessToken: '[REDACTED]', refreshToken: '[REDACTED]' }"],
+  ['{"token_dek": "wrapped"}', '{"token_dek": "[REDACTED]"}'],
+
+  // Stored ciphertext
+  ['refresh_token column: enc1:v2.AbC+/=.def', 'refresh_token column: enc1:[REDACTED]'],
+
+  // Nothing secret
+  ['[123456] 📥 summary equip="compCool1"', '[123456] 📥 summary equip="compCool1"'],
+];
+
+for (const [input, expected] of FIXTURES) {
+  test(`redactSecrets(${JSON.stringify(input)})`, () => {
+    assert.equal(redactSecrets(input), expected);
+  });
+}
+
+test('redactSecrets stringifies non-string input', () => {
+  assert.equal(redactSecrets(42), '42');
+});
+
+test('installLogRedaction redacts the formatted console line', () => {
+  const original = console.warn;
+  const lines = [];
+  console.warn = (line) => lines.push(line);
+  try {
+    installLogRedaction();
+    console.warn('refresh failed:', { refresh_token: 'r3fr3sh' });
+  } finally {
+    console.warn = original;
+  }
+  assert.deepEqual(lines, ["refresh failed: { refresh_token: '[REDACTED]' }"]);
+});
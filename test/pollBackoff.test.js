@@ -0,0 +1,66 @@
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyPollError, pollBackoff } from '../src/pollBackoff.js';
+import { ReauthRequiredError } from '../src/tokenManager.js';
+import { POLL_BACKOFF_BASE_MS, POLL_BACKOFF_MAX_MS } from '../src/config.js';
+
+const http = (status, data = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, data } });
+const ecobee = (code) => http(500, { status: { code } });
+const withCode = (code) => Object.assign(new Error(code), { code });
+
+// [description, error, expected kind]
+const FIXTURES = [
+  ['ReauthRequiredError', new ReauthRequiredError('123', 'invalid_grant'), 'revoked'],
+  ['invalid_grant from the token endpoint', http(400, { error: 'invalid_grant' }), 'revoked'],
+  ['Ecobee status 16', http(500, { status: { code: 16 } }), 'revoked'],
+  ['Ecobee status 14 (token expired)', ecobee(14), 'auth'],
+  ['Ecobee status 1 (auth failed)', ecobee(1), 'auth'],
+  ['HTTP 401', http(401), 'auth'],
+  ['HTTP 403', http(403), 'auth'],
+  ['HTTP 429', http(429), 'rate_limited'],
+  ['Ecobee status 3 (processing error)', ecobee(3), 'server'],
+  ['HTTP 503', http(503), 'server'],
+  ['Ecobee status 4 on HTTP 200', http(200, { status: { code: 4 } }), 'request'],
+  ['HTTP 400', http(400), 'request'],
+  ['axios timeout', withCode('ECONNABORTED'), 'timeout'],
+  ['socket timeout', withCode('ETIMEDOUT'), 'timeout'],
+  ['no response', Object.assign(new Error('ECONNRESET'), { request: {} }), 'network'],
+  ['plain error', new Error('boom'), 'unknown'],
+  ['undefined', undefined, 'unknown'],
+];
+
+for (const [description, err, expected] of FIXTURES) {
+  test(`classifyPollError: ${description} → ${expected}`, () => {
+    assert.equal(classifyPollError(err), expected);
+  });
+}
+
+test('pollBackoff doubles per attempt and scales by kind', (t) => {
+  t.mock.method(Math, 'random', () => 1); // top of the jitter range
+  const delay = (err, attempt) => pollBackoff(err, attempt).delayMs;
+
+  assert.equal(delay(withCode('ETIMEDOUT'), 1), Math.min(POLL_BACKOFF_MAX_MS, POLL_BACKOFF_BASE_MS));
+  assert.equal(delay(withCode('ETIMEDOUT'), 2), Math.min(POLL_BACKOFF_MAX_MS, POLL_BACKOFF_BASE_MS * 2));
+  assert.equal(delay(http(503), 1), Math.min(POLL_BACKOFF_MAX_MS, POLL_BACKOFF_BASE_MS * 2));
+  assert.equal(delay(http(429), 1), Math.min(POLL_BACKOFF_MAX_MS, POLL_BACKOFF_BASE_MS * 4));
+  assert.equal(delay(http(400), 1), Math.min(POLL_BACKOFF_MAX_MS, POLL_BACKOFF_BASE_MS * 8));
+  // Attempt 0 / negative counts as the first failure
+  assert.equal(delay(withCode('ETIMEDOUT'), 0), delay(withCode('ETIMEDOUT'), 1));
+});
+
+test('pollBackoff is capped at POLL_BACKOFF_MAX_MS', (t) => {
+  t.mock.method(Math, 'random', () => 1);
+  assert.equal(pollBackoff(new Error('boom'), 50).delayMs, POLL_BACKOFF_MAX_MS);
+  assert.equal(pollBackoff(new Error('boom'), 1_000_000).delayMs, POLL_BACKOFF_MAX_MS);
+});
+
+test('pollBackoff jitter keeps at least half the delay', (t) => {
+  t.mock.method(Math, 'random', () => 0);
+  assert.equal(pollBackoff(withCode('ETIMEDOUT'), 3).delayMs, Math.round(Math.min(POLL_BACKOFF_MAX_MS, POLL_BACKOFF_BASE_MS * 4) / 2));
+});
+
+test('pollBackoff parks revoked links at the maximum delay', () => {
+  assert.deepEqual(pollBackoff(http(400, { error: 'invalid_grant' }), 1), { kind: 'revoked', delayMs: POLL_BACKOFF_MAX_MS });
+});
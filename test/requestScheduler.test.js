@@ -0,0 +1,66 @@
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scheduleEcobeeRequest, getSchedulerMetrics, PRIORITY } from '../src/requestScheduler.js';
+import { ECOBEE_GLOBAL_REQUESTS_PER_SEC } from '../src/config.js';
+
+// Scheduler state is module-wide: every test uses its own account names
+
+function recorder() {
+  const order = [];
+  const task = (label) => async () => {
+    order.push(label);
+    return label;
+  };
+  return { order, task };
+}
+
+test('queued requests dispatch by priority class, not arrival order', async () => {
+  const { order, task } = recorder();
+
+  // Spend the global burst so the next requests have to queue
+  const burst = [];
+  for (let i = 0; i < Math.max(1, ECOBEE_GLOBAL_REQUESTS_PER_SEC); i++) {
+    burst.push(scheduleEcobeeRequest(task(`burst${i}`), { account: `order-burst-${i}` }));
+  }
+  const queued = [
+    scheduleEcobeeRequest(task('backfill'), { account: 'order-backfill', priority: PRIORITY.BACKFILL }),
+    scheduleEcobeeRequest(task('live'), { account: 'order-live', priority: PRIORITY.LIVE }),
+    scheduleEcobeeRequest(task('control'), { account: 'order-control', priority: PRIORITY.CONTROL }),
+  ];
+
+  assert.deepEqual(await Promise.all(queued), ['backfill', 'live', 'control']);
+  await Promise.all(burst);
+  assert.deepEqual(order.slice(-3), ['control', 'live', 'backfill']);
+});
+
+test('a higher class waiting on its account budget does not block other accounts', async () => {
+  const { order, task } = recorder();
+
+  // Five requests empty this account's bucket
+  const spent = [];
+  for (let i = 0; i < 5; i++) spent.push(scheduleEcobeeRequest(task(`spent${i}`), { account: 'busy-account' }));
+  await Promise.all(spent);
+
+  await Promise.all([
+    scheduleEcobeeRequest(task('control'), { account: 'busy-account', priority: PRIORITY.CONTROL }),
+    scheduleEcobeeRequest(task('backfill'), { account: 'idle-account', priority: PRIORITY.BACKFILL }),
+  ]);
+  assert.deepEqual(order.slice(-2), ['backfill', 'control']);
+});
+
+test('unknown priority is scheduled as live', async () => {
+  const before = getSchedulerMetrics().byPriority.live.dispatched;
+  await scheduleEcobeeRequest(async () => null, { account: 'unknown-priority', priority: 'urgent' });
+  assert.equal(getSchedulerMetrics().byPriority.live.dispatched, before + 1);
+});
+
+test('task failures reject the caller and are counted per class', async () => {
+  const before = getSchedulerMetrics().byPriority.backfill.failed;
+  await assert.rejects(
+    scheduleEcobeeRequest(async () => { throw new Error('boom'); }, { account: 'failing', priority: PRIORITY.BACKFILL }),
+    /boom/
+  );
+  assert.equal(getSchedulerMetrics().byPriority.backfill.failed, before + 1);
+});
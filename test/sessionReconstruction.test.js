@@ -0,0 +1,91 @@
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyInterval, deriveSessionsFromIntervals } from '../src/sessionReconstruction.js';
+
+const BASE_MS = Date.parse('2026-01-15T10:00:00Z');
+const at = (i, seconds = 0) => new Date(BASE_MS + i * 300_000 + seconds * 1000);
+
+// Report rows from [index, columns] pairs; index is the 5-minute slot from BASE_MS
+function intervals(...rows) {
+  return rows.map(([i, columns]) => ({ interval_timestamp: at(i).toISOString(), ...columns }));
+}
+
+// [description, interval, auxIsPrimary, expected]
+const CLASSIFY_FIXTURES = [
+  ['idle', {}, false, null],
+  ['nulls and strings', { comp_cool1: null, fan: '0' }, false, null],
+  ['fan only', { fan: 300 }, false, { equipmentType: 'Fan_only', seconds: 300, stage: null }],
+  ['compressor cooling stage 2', { comp_cool1: 300, comp_cool2: 120, fan: 300 }, false, { equipmentType: 'Cooling', seconds: 300, stage: 2 }],
+  ['compressor heating', { comp_heat1: '180' }, false, { equipmentType: 'Heating', seconds: 180, stage: 1 }],
+  ['aux heat on a heat pump', { comp_heat1: 300, aux_heat1: 60 }, false, { equipmentType: 'AuxHeat', seconds: 60, stage: 1 }],
+  ['aux heat on a furnace', { aux_heat1: 300, aux_heat2: 200 }, true, { equipmentType: 'Heating', seconds: 300, stage: 2 }],
+];
+
+for (const [description, interval, auxIsPrimary, expected] of CLASSIFY_FIXTURES) {
+  test(`classifyInterval: ${description}`, () => {
+    assert.deepEqual(classifyInterval(interval, auxIsPrimary), expected);
+  });
+}
+
+test('deriveSessionsFromIntervals: a run bounded by idle intervals is one session', () => {
+  const sessions = deriveSessionsFromIntervals(intervals(
+    [0, {}],
+    [1, { comp_cool1: 180, zone_avg_temp: 76, zone_humidity: 50, hvac_mode: 'cool' }],
+    [2, { comp_cool1: 300, comp_cool2: 300, zone_avg_temp: 75, zone_humidity: 49 }],
+    [3, { comp_cool1: 120, zone_avg_temp: 74, zone_humidity: 47 }],
+    [4, {}],
+  ));
+
+  assert.deepEqual(sessions, [{
+    // Ran through the end of slot 1, so it started 180s before then
+    started_at: at(1, 120),
+    ended_at: at(3, 120),
+    runtime_seconds: 600,
+    equipment_type: 'Cooling',
+    stage: 2,
+    avg_temperature: 75,
+    avg_humidity: 49,
+    thermostat_mode: 'cool',
+  }]);
+});
+
+test('deriveSessionsFromIntervals: a single interval starts at its timestamp', () => {
+  const [session] = deriveSessionsFromIntervals(intervals([0, {}], [1, { comp_heat1: 90 }], [2, {}]));
+  assert.deepEqual([session.started_at, session.ended_at, session.runtime_seconds], [at(1), at(1, 90), 90]);
+});
+
+test('deriveSessionsFromIntervals: runs cut off by the window edges are left alone', () => {
+  assert.deepEqual(deriveSessionsFromIntervals(intervals([0, { comp_heat1: 300 }], [1, {}])), []);
+  assert.deepEqual(deriveSessionsFromIntervals(intervals([0, {}], [1, { comp_heat1: 300 }])), []);
+});
+
+test('deriveSessionsFromIntervals: a hole in the report leaves both sides unknown', () => {
+  const sessions = deriveSessionsFromIntervals(intervals(
+    [0, {}],
+    [1, { comp_heat1: 300 }],
+    // slot 2 missing
+    [3, { comp_heat1: 300 }],
+    [4, {}],
+  ));
+  assert.deepEqual(sessions, []);
+});
+
+test('deriveSessionsFromIntervals: a contiguous change of equipment splits sessions', () => {
+  const sessions = deriveSessionsFromIntervals(intervals(
+    [0, {}],
+    [1, { comp_heat1: 300 }],
+    [2, { comp_heat1: 300, aux_heat1: 300 }],
+    [3, { fan: 100 }],
+    [4, {}],
+  ));
+  assert.deepEqual(sessions.map((s) => [s.equipment_type, s.runtime_seconds]), [['Heating', 300], ['AuxHeat', 300], ['Fan_only', 100]]);
+});
+
+test('deriveSessionsFromIntervals: aux heat is primary heat without a heat pump', () => {
+  const rows = intervals([0, {}], [1, { aux_heat1: 300 }], [2, { aux_heat1: 60 }], [3, {}]);
+  assert.equal(deriveSessionsFromIntervals(rows, { hasHeatPump: false })[0].equipment_type, 'Heating');
+  assert.equal(deriveSessionsFromIntervals(rows, { hasHeatPump: true })[0].equipment_type, 'AuxHeat');
+  assert.equal(deriveSessionsFromIntervals(rows, null)[0].equipment_type, 'AuxHeat');
+});
@@ -0,0 +1,64 @@
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { settleFromIntervals } from '../src/sessionRecovery.js';
+
+const BASE_MS = Date.parse('2026-01-15T10:00:00Z');
+const slot = (i, seconds = 0) => BASE_MS + i * 300_000 + seconds * 1000;
+
+// Report rows from [index, columns] pairs; index is the 5-minute slot from BASE_MS
+function intervals(...rows) {
+  return rows.map(([i, columns]) => ({ interval_timestamp: new Date(slot(i)).toISOString(), ...columns }));
+}
+
+const COOLING = { equipmentType: 'Cooling', lastTickMs: slot(1, 120) };
+
+test('settleFromIntervals: closes the session where the report shows it stopped', () => {
+  const settlement = settleFromIntervals(intervals(
+    [0, { comp_cool1: 300 }],
+    [1, { comp_cool1: 300 }],
+    [2, { comp_cool1: 300 }],
+    [3, { comp_cool1: 300 }],
+    [4, { comp_cool1: 120 }],
+    [5, {}],
+  ), COOLING);
+
+  // 180s of slot 1 after the tick, two full slots, 120s of slot 4
+  assert.deepEqual(settlement, { ended: true, atMs: slot(4, 120), addSeconds: 900 });
+});
+
+test('settleFromIntervals: still running at the end of the report', () => {
+  const settlement = settleFromIntervals(intervals(
+    [1, { comp_cool1: 300 }],
+    [2, { comp_cool1: 300 }],
+  ), COOLING);
+  assert.deepEqual(settlement, { ended: false, atMs: slot(3), addSeconds: 480 });
+});
+
+test('settleFromIntervals: a hole ends coverage, not the session', () => {
+  const settlement = settleFromIntervals(intervals(
+    [1, { comp_cool1: 300 }],
+    // slot 2 missing
+    [3, {}],
+  ), COOLING);
+  assert.deepEqual(settlement, { ended: false, atMs: slot(2), addSeconds: 180 });
+});
+
+test('settleFromIntervals: other equipment right after the tick ends the session at the tick', () => {
+  const settlement = settleFromIntervals(intervals([1, { comp_heat1: 300 }]), COOLING);
+  assert.deepEqual(settlement, { ended: true, atMs: slot(1, 120), addSeconds: 0 });
+});
+
+test('settleFromIntervals: null when no interval covers the last tick', () => {
+  assert.equal(settleFromIntervals([], COOLING), null);
+  assert.equal(settleFromIntervals(intervals([0, { comp_cool1: 300 }]), COOLING), null);
+  assert.equal(settleFromIntervals(intervals([2, { comp_cool1: 300 }]), COOLING), null);
+});
+
+test('settleFromIntervals: aux heat counts as the furnace session without a heat pump', () => {
+  const rows = intervals([1, { aux_heat1: 300 }], [2, {}]);
+  const heating = { equipmentType: 'Heating', lastTickMs: slot(1) };
+  assert.deepEqual(settleFromIntervals(rows, heating, { hasHeatPump: false }), { ended: true, atMs: slot(2), addSeconds: 300 });
+  assert.deepEqual(settleFromIntervals(rows, heating, { hasHeatPump: true }), { ended: true, atMs: slot(1), addSeconds: 0 });
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseEquipmentState } from '../src/equipmentState.js';
+import {
+  openSegmentFields,
+  isSegmentChange,
+  closeSegments,
+  rollSegmentFields,
+  maxSegmentStage,
+  runtimeByType,
+  sessionEquipmentType,
+} from '../src/sessionSegments.js';
+
+const HEAT_PUMP = { hasHeatPump: true };
+const T0 = '2026-01-15T10:00:00.000Z';
+const T1 = '2026-01-15T10:20:00.000Z';
+const T2 = '2026-01-15T10:30:00.000Z';
+
+test('openSegmentFields labels the segment with the base state and stage', () => {
+  assert.deepEqual(openSegmentFields(parseEquipmentState('compHeat2,fan', HEAT_PUMP), T0, 120.4), {
+    current_segment_started_at: T0,
+    current_segment_type: 'Heating',
+    current_segment_stage: 2,
+    current_segment_offset_seconds: 120,
+  });
+  assert.equal(openSegmentFields(parseEquipmentState('fan'), T0).current_segment_offset_seconds, 0);
+});
+
+test('isSegmentChange: mode or stage changes are boundaries, the fan is not', () => {
+  const rt = { current_segment_type: 'Heating', current_segment_stage: 1 };
+  assert.equal(isSegmentChange(rt, parseEquipmentState('compHeat1,fan', HEAT_PUMP)), false);
+  assert.equal(isSegmentChange(rt, parseEquipmentState('compHeat2,compHeat1', HEAT_PUMP)), true);
+  assert.equal(isSegmentChange(rt, parseEquipmentState('auxHeat1,compHeat1', HEAT_PUMP)), true);
+  // Sessions opened before segments were tracked never roll
+  assert.equal(isSegmentChange({}, parseEquipmentState('compCool1')), false);
+});
+
+test('closeSegments closes the open segment after the closed ones', () => {
+  const rt = {
+    session_segments: [{ started_at: T0, ended_at: T1, runtime_seconds: 1200, equipment_type: 'Heating', stage: 1 }],
+    current_segment_started_at: new Date(T1),
+    current_segment_type: 'AuxHeat',
+    current_segment_stage: 1,
+    current_segment_offset_seconds: 1200,
+  };
+  assert.deepEqual(closeSegments(rt, new Date(T2), 1800), [
+    { started_at: T0, ended_at: T1, runtime_seconds: 1200, equipment_type: 'Heating', stage: 1 },
+    { started_at: T1, ended_at: T2, runtime_seconds: 600, equipment_type: 'AuxHeat', stage: 1 },
+  ]);
+});
+
+test('closeSegments treats a session without segment fields as one segment', () => {
+  const rt = { current_session_started_at: T0, last_equipment_status: 'Cooling_Fan' };
+  assert.deepEqual(closeSegments(rt, T2, 1800), [
+    { started_at: T0, ended_at: T2, runtime_seconds: 1800, equipment_type: 'Cooling', stage: null },
+  ]);
+});
+
+test('rollSegmentFields stores the closed segment and opens the next', () => {
+  const rt = { current_segment_started_at: T0, current_segment_type: 'Heating', current_segment_stage: 1, current_segment_offset_seconds: 0 };
+  const fields = rollSegmentFields(rt, parseEquipmentState('auxHeat1', HEAT_PUMP), T1, 1200);
+  assert.deepEqual(JSON.parse(fields.session_segments), [
+    { started_at: T0, ended_at: T1, runtime_seconds: 1200, equipment_type: 'Heating', stage: 1 },
+  ]);
+  assert.equal(fields.current_segment_type, 'AuxHeat');
+  assert.equal(fields.current_segment_offset_seconds, 1200);
+});
+
+const SEGMENTS = [
+  { equipment_type: 'Heating', stage: 1, runtime_seconds: 1200 },
+  { equipment_type: 'AuxHeat', stage: 2, runtime_seconds: 300 },
+  { equipment_type: 'Heating', stage: null, runtime_seconds: 600 },
+];
+
+test('maxSegmentStage ignores segments without a stage', () => {
+  assert.equal(maxSegmentStage(SEGMENTS), 2);
+  assert.equal(maxSegmentStage([{ stage: null }, {}]), null);
+  assert.equal(maxSegmentStage([]), null);
+});
+
+test('runtimeByType sums runtime per equipment type', () => {
+  assert.deepEqual(runtimeByType(SEGMENTS), { Heating: 1800, AuxHeat: 300 });
+  assert.deepEqual(runtimeByType([]), {});
+});
+
+test('sessionEquipmentType picks the longest type, fan only when nothing else ran', () => {
+  assert.equal(sessionEquipmentType(SEGMENTS, 'AuxHeat'), 'Heating');
+  assert.equal(sessionEquipmentType([
+    { equipment_type: 'Fan_only', runtime_seconds: 3000 },
+    { equipment_type: 'Cooling', runtime_seconds: 60 },
+  ], 'Fan_only'), 'Cooling');
+  assert.equal(sessionEquipmentType([{ equipment_type: 'Fan_only', runtime_seconds: 60 }], 'Cooling'), 'Fan_only');
+  assert.equal(sessionEquipmentType([], 'Heating_Fan'), 'Heating');
+});
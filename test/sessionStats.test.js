@@ -0,0 +1,66 @@
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startSessionStats, accumulateSessionStats, summarizeSessionStats } from '../src/sessionStats.js';
+
+const EMPTY_SUMMARY = {
+  avg_temperature: null,
+  min_temperature: null,
+  max_temperature: null,
+  start_temperature: null,
+  end_temperature: null,
+  avg_humidity: null,
+  start_heat_setpoint: null,
+  end_heat_setpoint: null,
+  start_cool_setpoint: null,
+  end_cool_setpoint: null,
+  avg_outdoor_temperature: null,
+  temperature_change_per_min: null,
+};
+
+test('readings are weighted by how long they held', () => {
+  let stats = startSessionStats({ temperatureF: 70, humidity: 40, outdoorTemperatureF: 30, heatSetpoint: 68, coolSetpoint: 75 });
+  // Missing values keep the held reading
+  stats = accumulateSessionStats(stats, { temperatureF: 72, humidity: null, heatSetpoint: 69 }, 60);
+  stats = accumulateSessionStats(stats, { temperatureF: 71 }, 120);
+  // Session end: the last readings hold to the end
+  stats = accumulateSessionStats(stats, {}, 60);
+
+  assert.deepEqual(summarizeSessionStats(stats, 240), {
+    avg_temperature: 71.25, // (70·60 + 72·120 + 71·60) / 240
+    min_temperature: 70,
+    max_temperature: 72,
+    start_temperature: 70,
+    end_temperature: 71,
+    avg_humidity: 40,
+    start_heat_setpoint: 68,
+    end_heat_setpoint: 69,
+    start_cool_setpoint: 75,
+    end_cool_setpoint: 75,
+    avg_outdoor_temperature: 30,
+    temperature_change_per_min: 0.25,
+  });
+});
+
+test('the accumulator survives a JSON round trip', () => {
+  let stats = startSessionStats({ temperatureF: '70.5', humidity: 41 });
+  stats = JSON.parse(JSON.stringify(accumulateSessionStats(stats, { temperatureF: 71.5 }, 30)));
+  stats = accumulateSessionStats(stats, {}, 30);
+  const summary = summarizeSessionStats(stats, 60);
+  assert.equal(summary.avg_temperature, 71);
+  assert.equal(summary.temperature_change_per_min, 1);
+});
+
+test('a single reading without held time is its own average', () => {
+  const summary = summarizeSessionStats(startSessionStats({ temperatureF: 68.333, humidity: 44.6 }), 0);
+  assert.equal(summary.avg_temperature, 68.33);
+  assert.equal(summary.avg_humidity, 45);
+  // Under a minute of runtime gives no rate of change
+  assert.equal(summary.temperature_change_per_min, null);
+});
+
+test('sessions started before stats existed summarise to nulls', () => {
+  assert.deepEqual(summarizeSessionStats(null, 600), EMPTY_SUMMARY);
+  assert.deepEqual(summarizeSessionStats(accumulateSessionStats(null, {}, 600), 600), EMPTY_SUMMARY);
+});